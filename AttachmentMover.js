@@ -15,7 +15,7 @@ class FolderPopulator {
    * @param {string} rootFolderId - The ID of the root folder
    */
   populateSheetWithClassroomMembers(courseId, studentSheet, courseSheet, rootFolderId) {
-    courseSheet.appendRow(["Course ID:", courseId]);
+    courseSheet.appendRow(["Course ID:", courseId, "Root Folder ID:", rootFolderId]);
     courseSheet.appendRow(["Template File IDs"]);
   
     const members = ClassroomManager.getClassroomMembers(courseId);
@@ -33,9 +33,7 @@ class FolderPopulator {
   
     if (classroomUrlResponse.getSelectedButton() === SpreadsheetApp.getUi().Button.OK) {
       const classroomUrl = classroomUrlResponse.getResponseText().trim();
-      const classroom = Classroom.Courses;
-      const courses = classroom.list().courses;
-      const course = courses.find(c => c.alternateLink === classroomUrl);
+      const course = ClassroomManager.getCourseByUrl(classroomUrl);
       const courseId = course ? course.id : null;
   
       if (!courseId) {
@@ -64,10 +62,54 @@ class FolderPopulator {
     }
   }
   
+  /**
+   * Syncs the Student Info sheet with the current Classroom roster without clearing it.
+   * New students get a folder and a row, withdrawn students are marked inactive,
+   * changed names are updated and any extra columns are kept as they are.
+   */
+  syncRoster() {
+    const { studentSheet, courseSheet } = SpreadsheetManager.getSpreadsheetSheets();
+    const courseId = SpreadsheetManager.getCourseId(courseSheet);
+
+    if (!courseId) {
+      UIManager.showAlert('No Course ID found in the Course Info sheet. Please run "Get names and IDs" first.');
+      return;
+    }
+
+    let rootFolderId = SpreadsheetManager.getRootFolderId(courseSheet);
+    if (!rootFolderId) {
+      const folderResponse = UIManager.promptUser(
+        'Enter Root Folder ID',
+        'Please enter the ID of the root folder on Google Drive where student folders are created.'
+      );
+
+      if (folderResponse.getSelectedButton() !== SpreadsheetApp.getUi().Button.OK) {
+        UIManager.showAlert('Operation canceled.');
+        return;
+      }
+
+      rootFolderId = folderResponse.getResponseText().trim();
+      courseSheet.getRange(1, 3, 1, 2).setValues([["Root Folder ID:", rootFolderId]]);
+    }
+
+    const members = ClassroomManager.getClassroomMembers(courseId);
+    const summary = SpreadsheetManager.syncMembersToSheet(members, studentSheet, rootFolderId);
+
+    const describe = (label, names) => `${label}: ${names.length}${names.length > 0 ? ` (${names.join(', ')})` : ''}`;
+    UIManager.showAlert([
+      'Roster sync complete.',
+      describe('Added', summary.added),
+      describe('Renamed', summary.renamed),
+      describe('Reactivated', summary.reactivated),
+      describe('Marked inactive', summary.deactivated)
+    ].join('\n'));
+  }
+
   /**
    * Processes attachments from Google Classroom assignments
+   * @returns {Promise<void>}
    */
-  processAssignmentAttachments() {
+  async processAssignmentAttachments() {
     const assignmentTitleResponse = UIManager.promptUser(
       'Enter Google Classroom Assignment Title',
       'Please enter the title of the Google Classroom assignment.'
@@ -82,9 +124,29 @@ class FolderPopulator {
   
       if (prependResponse.getSelectedButton() === SpreadsheetApp.getUi().Button.OK) {
         const prependString = prependResponse.getResponseText().trim();
-        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Student Info");
-        const data = sheet.getDataRange().getValues();
-        this.processFolderAttachments(assignmentTitle, prependString, data);
+        const ui = SpreadsheetApp.getUi();
+        const submittedResponse = ui.alert(
+          'Copy Coursework Submissions',
+          'Only copy work that has been turned in or returned? Drafts that haven\'t been turned in will be skipped.',
+          ui.ButtonSet.YES_NO_CANCEL
+        );
+        if (submittedResponse === ui.Button.CANCEL || submittedResponse === ui.Button.CLOSE) {
+          UIManager.showAlert('Operation canceled.');
+          return;
+        }
+        const submittedOnly = submittedResponse === ui.Button.YES;
+
+        const students = SpreadsheetManager.getStudentRecords();
+        const runner = new JobRunner(FolderPopulator.ATTACHMENT_JOB).start('continueCopyingSubmissions', {
+          assignmentTitle: assignmentTitle,
+          prependString: prependString,
+          submittedOnly: submittedOnly,
+          conflictPolicy: DriveManager.conflictPolicy
+        });
+        const summary = await this.processFolderAttachments(assignmentTitle, prependString, students, runner, submittedOnly);
+        if (summary) {
+          UIManager.showAlert(JobRunner.describeSummary(summary));
+        }
       } else {
         UIManager.showAlert('Operation canceled.');
       }
@@ -97,70 +159,147 @@ class FolderPopulator {
    * Processes folder attachments for a Google Classroom assignment
    * @param {string} assignmentTitle - The title of the Google Classroom assignment
    * @param {string} prependString - The string to prepend to file attachments
-   * @param {Array[]} data - The data from the spreadsheet, including folderIds
+   * @param {Object[]} students - Student records from `SpreadsheetManager.getStudentRecords`
+   * @param {JobRunner} runner - Started job runner that tracks which students have been done
+   * @param {boolean} [submittedOnly=false] - Only copy work that has been turned in or returned
+   * @returns {Promise<Object|undefined>} The job runner's summary, or undefined if the assignment wasn't found
    */
-  processFolderAttachments(assignmentTitle, prependString, data) {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Course Info");
-    const courseId = sheet.getRange(1, 2).getValue(); // Get the courseId from the first row, second column
+  async processFolderAttachments(assignmentTitle, prependString, students, runner, submittedOnly = false) {
+    const courseId = SpreadsheetManager.getCourseId();
     const assignmentId = ClassroomManager.getAssignmentId(courseId, assignmentTitle);
   
     if (!assignmentId) {
-      UIManager.showAlert('Invalid Google Classroom Assignment title or access denied.');
+      runner.abandon();
+      // Continuations run from a trigger, where there's no UI to show an alert in
+      console.error(`Assignment "${assignmentTitle}" not found, or access denied.`);
+      if (DriveManager.isUiAvailable()) {
+        UIManager.showAlert('Invalid Google Classroom Assignment title or access denied.');
+      }
       return;
     }
-  
-    data.forEach((row, index) => {
-      if (index < 1) return; // Skip the header row
-  
-      const [name, userId, folderId] = row;
-  
-      if (!folderId) {
-        console.log(`No folder ID found for user ${userId}`);
-        return;
+
+    const activeStudents = students.filter(student => student.active);
+    return runner.run(
+      activeStudents,
+      student => student.userId,
+      student => this.copyStudentAttachments(courseId, assignmentId, student, prependString, submittedOnly)
+    );
+  }
+
+  /**
+   * Copies one student's attachments for an assignment into their folder
+   * @param {string} courseId - The course ID
+   * @param {string} assignmentId - The assignment ID
+   * @param {Object} student - A student record
+   * @param {string} prependString - The string to prepend to file attachments
+   * @param {boolean} [submittedOnly=false] - Skip submissions that haven't been turned in or returned
+   * @param {string[]} [fileTypes=null] - Only copy these types of file (see `FileTypeClassifier.TYPES`), or null for all
+   * @returns {Promise<string>} What happened (see `FolderPopulator.COPY_OUTCOME`)
+   */
+  async copyStudentAttachments(courseId, assignmentId, student, prependString, submittedOnly = false, fileTypes = null) {
+    const { name, userId, folderId } = student;
+    const outcomes = FolderPopulator.COPY_OUTCOME;
+
+    if (!folderId) {
+      console.log(`No folder ID found for user ${userId}`);
+      return outcomes.NO_FOLDER;
+    }
+
+    const submissions = ClassroomManager.getStudentSubmissions(courseId, assignmentId, userId);
+    // How many files were copied or converted, kept by the conflict policy, or failed
+    const results = { copied: 0, kept: 0, failed: 0 };
+    let notTurnedIn = false;
+
+    // Copies or converts one file and counts the result. The copy functions return null when the conflict
+    // policy keeps the existing copy, and throw when the copy or conversion fails.
+    const copyCounted = async (file, copy) => {
+      try {
+        if (await copy(file)) {
+          results.copied++;
+        } else {
+          results.kept++;
+        }
+      } catch (e) {
+        results.failed++;
+        console.error(`Error copying ${file.getName()} for user ${name}: ${e.message}`);
       }
-  
-      const submissions = ClassroomManager.getStudentSubmissions(courseId, assignmentId, userId);
-  
-      submissions.forEach(submission => {
-        const attachments = submission.assignmentSubmission.attachments || [];
-        let pdfFiles = [];
-        let googleDocsFiles = [];
-        let zipFiles = []; // Array to hold zip files
-  
-        attachments.forEach(attachment => {
-          if (attachment.driveFile) {
-            try {
-              const file = DriveApp.getFileById(attachment.driveFile.id);
-              if (DriveManager.isPdf(file)) {
-                pdfFiles.push(file);
-              } else if (DriveManager.isGoogleDoc(file)) {
-                googleDocsFiles.push(file);
-              } else if (DriveManager.isZip(file)) { // Check for zip files
-                zipFiles.push(file);
-              }
-            } catch (e) {
-              console.error(`Error accessing file ID ${attachment.driveFile.id}: ${e.message}`);
+    };
+
+    for (const submission of submissions) {
+      if (submittedOnly && !ClassroomManager.isSubmitted(submission)) {
+        console.log(`Skipping ${name}'s submission as it is ${submission.state || "not turned in"}.`);
+        notTurnedIn = true;
+        continue;
+      }
+
+      const attachments = submission.assignmentSubmission.attachments || [];
+      const types = FileTypeClassifier.TYPES;
+      // Attachments grouped by their type (see FileTypeClassifier.TYPES)
+      const filesByType = {};
+
+      attachments.forEach(attachment => {
+        if (attachment.driveFile) {
+          try {
+            const file = DriveApp.getFileById(attachment.driveFile.id);
+            const type = FileTypeClassifier.classify(file);
+            if (fileTypes && !fileTypes.includes(type)) {
+              console.log(`Not copying ${file.getName()} for user ${name}: only ${fileTypes.join(", ")} files are collected.`);
+              return;
             }
+            (filesByType[type] = filesByType[type] || []).push(file);
+          } catch (e) {
+            results.failed++;
+            console.error(`Error accessing file ID ${attachment.driveFile.id}: ${e.message}`);
           }
-        });
-  
-        try {
-          const folder = DriveApp.getFolderById(folderId);
-  
-          // Always copy zip files if they exist
-          zipFiles.forEach(file => DriveManager.copyFile(file, folder, prependString, name));
-  
-          // Then handle PDFs or Google Docs
-          if (pdfFiles.length > 0) {
-            pdfFiles.forEach(file => DriveManager.copyFile(file, folder, prependString, name));
-          } else if (googleDocsFiles.length > 0) { // Only process Google Docs if no PDFs were found
-            googleDocsFiles.forEach(file => DriveManager.copyGoogleDocAsPdf(file, folder, prependString, name));
-          }
-        } catch (e) {
-           console.error(`Error processing folder ID ${folderId} for user ${name}: ${e.message}`);
         }
       });
-    });
+      const filesOf = type => filesByType[type] || [];
+
+      try {
+        const folder = DriveApp.getFolderById(folderId);
+        const copyFile = file => DriveManager.copyFile(file, folder, prependString);
+
+        // Always copy zip files if they exist
+        for (const file of filesOf(types.ZIP)) await copyCounted(file, copyFile);
+
+        // Images are evidence alongside the main submission, so copy them too
+        for (const file of filesOf(types.IMAGE)) await copyCounted(file, copyFile);
+
+        // Then handle PDFs, or documents converted to PDF if there aren't any
+        if (filesOf(types.PDF).length > 0) {
+          for (const file of filesOf(types.PDF)) await copyCounted(file, copyFile);
+        } else { // Only convert documents if no PDFs were found
+          for (const file of filesOf(types.GOOGLE_DOC)) {
+            await copyCounted(file, doc => DriveManager.copyGoogleDocAsPdf(doc, folder, prependString));
+          }
+          for (const file of filesOf(types.WORD).concat(filesOf(types.POWERPOINT))) {
+            await copyCounted(file, officeFile => DriveManager.copyOfficeFileAsPdf(officeFile, folder, prependString));
+          }
+        }
+
+        // Source code is rendered as a PDF so that it can join the category merges
+        const renderer = new SourceCodeRenderer();
+        for (const file of filesOf(types.SOURCE)) {
+          await copyCounted(file, source => renderer.renderFileAsPdf(source, folder, prependString));
+        }
+
+        // Sheets and Slides are usually testing tables and storyboards alongside the main document, so always convert them
+        for (const file of filesOf(types.GOOGLE_SHEET).concat(filesOf(types.GOOGLE_SLIDES))) {
+          await copyCounted(file, googleFile => DriveManager.copyGoogleFileAsPdf(googleFile, folder, prependString));
+        }
+
+        filesOf(types.OTHER).forEach(file => console.warn(`Not copying ${file.getName()} (${file.getMimeType()}) for user ${name}: this type of file isn't supported.`));
+      } catch (e) {
+         results.failed++;
+         console.error(`Error processing folder ID ${folderId} for user ${name}: ${e.message}`);
+      }
+    }
+
+    // A failure is reported even if other files were copied, so that it gets looked at
+    if (results.failed > 0) return outcomes.FAILED;
+    if (results.copied > 0) return outcomes.COPIED;
+    if (results.kept > 0) return outcomes.KEPT_EXISTING;
+    return notTurnedIn ? outcomes.NOT_TURNED_IN : outcomes.NOTHING_ATTACHED;
   }
   
   /**
@@ -178,11 +317,10 @@ class FolderPopulator {
       return;
     }
   
-    // Get student data from the "Student Info" sheet
-    const studentData = studentSheet.getDataRange().getValues();
+    // Get student records from the "Student Info" sheet
+    const students = SpreadsheetManager.getStudentRecords(studentSheet).filter(student => student.active);
     // Get template file IDs from the "Course Info" sheet, starting from the third row
-    const templateFileIds = courseSheet.getRange(3, 1, courseSheet.getLastRow() - 2, 1)
-      .getValues().flat().filter(id => id);
+    const templateFileIds = SpreadsheetManager.getTemplateFileIds(courseSheet);
   
     // Check if there are any template file IDs
     if (templateFileIds.length === 0) {
@@ -190,11 +328,12 @@ class FolderPopulator {
       return;
     }
   
-    // Iterate over each student, starting from the second row (excluding header)
-    studentData.slice(1).forEach(([name, userId, folderId]) => {
-      // Extract first initial of first name and first two initials of surname
-      const [firstName, lastName] = name.split(' ');
-      const initials = `${firstName.charAt(0)}${lastName.charAt(0)}${lastName.charAt(1)}`.toUpperCase();
+    const namingConvention = NamingConvention.getActive();
+
+    // Iterate over each active student
+    students.forEach(student => {
+      const { folderId } = student;
+      const namingValues = NamingConvention.getStudentValues(student);
   
       // Iterate over each template file ID
       templateFileIds.forEach(templateFileId => {
@@ -203,15 +342,14 @@ class FolderPopulator {
           const driveFile = DriveApp.getFileById(templateFileId);
           // Get the student's folder by its ID
           const folder = DriveApp.getFolderById(folderId);
-          // Create a new file name with the initials prepended
-          const newFileName = `${initials}_${driveFile.getName()}`;
+          // Name the copy using the naming convention (initials prepended for WJEC)
+          const newFileName = namingConvention.templateCopyName(driveFile.getName(), namingValues);
   
-          // Check if the file should be copied (handles existing file prompt)
-          if (DriveManager.checkAndHandleExistingFile(folder, newFileName, name)) {
-            // Make a copy of the file in the student's folder with the new name
-            driveFile.makeCopy(newFileName, folder);
+          // Copy the file into the student's folder, applying the run's conflict policy
+          const copiedFile = DriveManager.copyAndRenameFile(driveFile, folder, newFileName);
+          if (copiedFile) {
             // Log the success message to the console
-            console.log(`Copied file ${driveFile.getName()} to ${folder.getName()} as ${newFileName}`);
+            console.log(`Copied file ${driveFile.getName()} to ${folder.getName()} as ${copiedFile.getName()}`);
           }
         } catch (e) {
           // Log any errors encountered during the file copy process
@@ -222,22 +360,73 @@ class FolderPopulator {
   }
 }
 
+/**
+ * Name of the resumable job that copies coursework submissions
+ * @type {string}
+ */
+FolderPopulator.ATTACHMENT_JOB = "copySubmissions";
+
+/**
+ * What happened when copying a student's attachments for an assignment (see `copyStudentAttachments`).
+ * COPIED means at least one file was copied or converted; KEPT_EXISTING means every file was already there
+ * and the conflict policy kept it; FAILED means at least one copy or conversion went wrong.
+ * @type {Object<string, string>}
+ */
+FolderPopulator.COPY_OUTCOME = {
+  COPIED: "copied",
+  KEPT_EXISTING: "already copied",
+  FAILED: "failed",
+  NOTHING_ATTACHED: "nothing attached",
+  NOT_TURNED_IN: "not turned in",
+  NO_FOLDER: "no folder"
+};
+
 // Global entry point functions that maintain backward compatibility
 function onOpen() {
   UIManager.createMenu();
 }
 
 function runScript() {
+  if (!UIManager.promptConflictPolicy()) return;
   const folderPopulator = new FolderPopulator();
   folderPopulator.initializeClassroomAndFolders();
 }
 
+function syncRoster() {
+  if (!UIManager.promptConflictPolicy()) return;
+  const folderPopulator = new FolderPopulator();
+  folderPopulator.syncRoster();
+}
+
 function populateFolders() {
+  if (!UIManager.promptConflictPolicy()) return;
   const folderPopulator = new FolderPopulator();
-  folderPopulator.processAssignmentAttachments();
+  return folderPopulator.processAssignmentAttachments();
+}
+
+/**
+ * Continues a paused "copy coursework submissions" job. Called by the job's trigger or from the menu.
+ */
+async function continueCopyingSubmissions() {
+  const runner = new JobRunner(FolderPopulator.ATTACHMENT_JOB);
+  if (!runner.hasSavedState()) {
+    console.log('No saved progress for copying coursework submissions.');
+    return;
+  }
+
+  const { assignmentTitle, prependString, submittedOnly, conflictPolicy } = runner.getParams();
+  DriveManager.setConflictPolicy(conflictPolicy);
+
+  const folderPopulator = new FolderPopulator();
+  const summary = await folderPopulator.processFolderAttachments(
+    assignmentTitle, prependString, SpreadsheetManager.getStudentRecords(), runner, Boolean(submittedOnly));
+  if (summary) {
+    JobRunner.reportSummary(summary);
+  }
 }
 
 function populateFoldersWithTemplates() {
+  if (!UIManager.promptConflictPolicy()) return;
   const folderPopulator = new FolderPopulator();
   folderPopulator.populateFoldersWithTemplates();
 }
@@ -259,17 +448,66 @@ async function mergeAllStudentPDFs() {
   }
   
   const recursive = (response == ui.Button.YES);
+
+  const contentsResponse = ui.alert(
+    'Contents page',
+    'Do you want a contents page at the front of each merged category PDF? Bookmarks are always added.',
+    ui.ButtonSet.YES_NO_CANCEL);
+
+  if (contentsResponse == ui.Button.CANCEL) {
+    ui.alert('Operation cancelled.');
+    return;
+  }
+
+  const addContentsPage = (contentsResponse == ui.Button.YES);
+
+  const stampResponse = ui.alert(
+    'Stamp pages',
+    'Do you want the centre number, candidate number, name and "page X of Y" stamped on every page? Page content is shrunk slightly to make room.',
+    ui.ButtonSet.YES_NO_CANCEL);
+
+  if (stampResponse == ui.Button.CANCEL) {
+    ui.alert('Operation cancelled.');
+    return;
+  }
+
+  const addStamp = (stampResponse == ui.Button.YES);
+
+  if (!UIManager.promptConflictPolicy()) return;
+
+  const destinationResponse = UIManager.promptUser(
+    'Enter Destination Folder ID',
+    'Please enter the ID of the folder where each student\'s merged PDFs should be created.'
+  );
+
+  if (destinationResponse.getSelectedButton() !== ui.Button.OK) {
+    ui.alert('Operation cancelled.');
+    return;
+  }
+
+  const destinationFolderId = destinationResponse.getResponseText().trim();
+  const students = SpreadsheetManager.getStudentRecords().filter(student => student.active);
   
   // Show a loading message
   ui.alert('Starting PDF merge process for all students. This may take some time.');
   
   try {
+    const runner = new JobRunner(PDFMerger.MERGE_JOB).start('continueMergingPDFs', {
+      destinationFolderId: destinationFolderId,
+      recursive: recursive,
+      addContentsPage: addContentsPage,
+      addStamp: addStamp,
+      conflictPolicy: DriveManager.conflictPolicy
+    });
+
     // Run the merge operation
-    const result = await PDFMerger.getInstance().mergePDFsForAllStudents(recursive);
+    const merger = PDFMerger.getInstance();
+    merger.setMergeOptions({ addContentsPage: addContentsPage, addStamp: addStamp });
+    const result = await merger.mergePDFsForAllStudents(students, destinationFolderId, recursive, runner);
     
     // Show results to the user
     if (result.success) {
-      ui.alert('Success', `${result.message}\n\nProcessed ${result.studentResults.length} students.`, ui.ButtonSet.OK);
+      ui.alert('Success', result.message, ui.ButtonSet.OK);
     } else {
       ui.alert('Error', result.message, ui.ButtonSet.OK);
     }
@@ -277,3 +515,27 @@ async function mergeAllStudentPDFs() {
     ui.alert('Error', `An error occurred: ${e.message}`, ui.ButtonSet.OK);
   }
 }
+
+/**
+ * Continues a paused "merge PDFs for all students" job. Called by the job's trigger or from the menu.
+ */
+async function continueMergingPDFs() {
+  const runner = new JobRunner(PDFMerger.MERGE_JOB);
+  if (!runner.hasSavedState()) {
+    console.log('No saved progress for merging PDFs.');
+    return;
+  }
+
+  const { destinationFolderId, recursive, addContentsPage, addStamp, conflictPolicy } = runner.getParams();
+  DriveManager.setConflictPolicy(conflictPolicy);
+
+  const merger = PDFMerger.getInstance();
+  merger.setMergeOptions({ addContentsPage: Boolean(addContentsPage), addStamp: addStamp !== false });
+  const result = await merger.mergePDFsForAllStudents(
+    SpreadsheetManager.getStudentRecords(), destinationFolderId, recursive, runner);
+  if (result.summary) {
+    JobRunner.reportSummary(result.summary);
+  } else {
+    console.error(result.message);
+  }
+}
@@ -0,0 +1,319 @@
+/**
+ * Imports candidate numbers from the exams office's MIS export so that they, rather than what students
+ * type into their declarations, decide how files are named.
+ *
+ * The export is a CSV file in Drive with a header row. Columns are found by their header (see
+ * `CandidateNumberImporter.CSV_HEADERS`), so exports from different MIS systems work as long as they have
+ * a candidate number column and an email or name column. Each row is matched to a Student Info student by
+ * email first and then by name, and the results are written to the "Candidate Import" sheet.
+ */
+class CandidateNumberImporter {
+  /**
+   * Creates an importer for the given students
+   * @param {Object[]} students - Student records from `SpreadsheetManager.getStudentRecords`
+   */
+  constructor(students) {
+    this.students = students;
+  }
+
+  /**
+   * Reads the CSV file from Drive, matches each row to a student and writes the candidate numbers
+   * (and UPNs, if the export has them) to the Student Info sheet
+   * @param {string} fileId - ID of the CSV file in Drive
+   * @returns {Object} Counts of rows `matched`, `updated` and `unmatched`, and students `missing` from the export
+   */
+  importFromDrive(fileId) {
+    const file = DriveApp.getFileById(fileId);
+    console.log(`Importing candidate numbers from ${file.getName()}`);
+    const rows = Utilities.parseCsv(file.getBlob().getDataAsString());
+    const csvRows = this.readCsvRows(rows);
+    const results = this.matchRows(csvRows);
+
+    let updated = 0;
+    results.forEach(result => {
+      if (!result.student) return;
+      const fields = {};
+      // Sheets drops leading zeros, so the numbers are compared padded
+      const digits = TextProcessor.CANDIDATE_DIGITS;
+      if (NamingConvention.padNumber(result.student.candidateNo, digits) !== NamingConvention.padNumber(result.row.candidateNo, digits)) {
+        fields.candidateNo = result.row.candidateNo;
+      }
+      if (result.row.upn && result.student.upn !== result.row.upn) {
+        fields.upn = result.row.upn;
+      }
+      if (Object.keys(fields).length > 0) {
+        result.previousCandidateNo = result.student.candidateNo;
+        SpreadsheetManager.updateStudentRecord(result.student, fields);
+        updated++;
+      }
+    });
+
+    const missing = this.getMissingStudents(results);
+    this.writeReport(results, missing);
+
+    const summary = {
+      matched: results.filter(result => result.student).length,
+      updated: updated,
+      unmatched: results.filter(result => !result.student).length,
+      missing: missing.length
+    };
+    console.log(`Candidate import: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  /**
+   * Converts parsed CSV rows into objects, finding each column by its header
+   * @param {string[][]} rows - The parsed CSV, header row first
+   * @returns {Object[]} Rows with `line`, `name`, `forename`, `surname`, `email`, `upn` and `candidateNo`
+   */
+  readCsvRows(rows) {
+    if (rows.length < 2) {
+      throw new Error('The CSV file has no data rows.');
+    }
+
+    const headers = rows[0].map(header => String(header).trim().toLowerCase());
+    const columns = {};
+    Object.keys(CandidateNumberImporter.CSV_HEADERS).forEach(field => {
+      columns[field] = headers.findIndex(header => CandidateNumberImporter.CSV_HEADERS[field].includes(header));
+    });
+
+    if (columns.candidateNo === -1) {
+      throw new Error(`The CSV file has no candidate number column. Expected one of: ${CandidateNumberImporter.CSV_HEADERS.candidateNo.join(', ')}.`);
+    }
+    if (columns.email === -1 && columns.name === -1 && columns.surname === -1) {
+      throw new Error('The CSV file needs an email or name column to match students.');
+    }
+
+    const value = (row, field) => columns[field] === -1 || row[columns[field]] === undefined ? "" : String(row[columns[field]]).trim();
+
+    return rows.slice(1)
+      .map((row, i) => ({
+        line: i + 2,
+        name: value(row, 'name'),
+        forename: value(row, 'forename'),
+        surname: value(row, 'surname'),
+        email: value(row, 'email').toLowerCase(),
+        upn: value(row, 'upn'),
+        candidateNo: value(row, 'candidateNo')
+      }))
+      .filter(row => row.candidateNo || row.name || row.surname || row.email);
+  }
+
+  /**
+   * Matches each CSV row to a student, by email and then by name. A student is matched to at most one row.
+   * Rows without a candidate number aren't matched, so they can't blank a student's number.
+   * @param {Object[]} csvRows - Rows from `readCsvRows`
+   * @returns {Object[]} One result per row with the `row`, the matched `student` (or null), how it was
+   *   matched (`matchedBy`: "email" or "name") and a `note` explaining any failure
+   */
+  matchRows(csvRows) {
+    const results = csvRows.map(row => ({ row: row, student: null, matchedBy: null, note: "" }));
+    const claimed = new Set();
+
+    const studentsByEmail = new Map();
+    this.students.filter(student => student.email)
+      .forEach(student => studentsByEmail.set(student.email.toLowerCase(), student));
+
+    const numbered = results.filter(result => {
+      if (!result.row.candidateNo) {
+        result.note = "No candidate number in this row.";
+      }
+      return result.row.candidateNo;
+    });
+
+    // Emails are exact, so match them all before any name is guessed
+    numbered.forEach(result => {
+      const student = result.row.email && studentsByEmail.get(result.row.email);
+      if (student && !claimed.has(student.userId)) {
+        result.student = student;
+        result.matchedBy = "email";
+        claimed.add(student.userId);
+      }
+    });
+
+    numbered.filter(result => !result.student).forEach(result => {
+      const scored = this.students
+        .filter(student => !claimed.has(student.userId))
+        .map(student => ({ student, score: this.scoreNameMatch(result.row, student) }))
+        .filter(({ score }) => score >= CandidateNumberImporter.NAME_MATCH_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+
+      if (scored.length === 0) {
+        result.note = "No student with this email or a similar name.";
+      } else if (scored.length > 1 && scored[0].score - scored[1].score < CandidateNumberImporter.NAME_MATCH_MARGIN) {
+        result.note = `Name is as close to ${scored[0].student.name} as to ${scored[1].student.name}.`;
+        result.ambiguous = true;
+      } else {
+        result.student = scored[0].student;
+        result.matchedBy = "name";
+        claimed.add(scored[0].student.userId);
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Scores how closely a CSV row's name matches a student's, from 0 to 1. Names are compared without
+   * accents, punctuation, case or word order, using the student's legal, Classroom and display names.
+   * @param {Object} row - A row from `readCsvRows`
+   * @param {Object} student - A student record
+   * @returns {number} The similarity score
+   */
+  scoreNameMatch(row, student) {
+    const rowName = CandidateNumberImporter.normaliseName(row.name || `${row.forename} ${row.surname}`);
+    if (!rowName) return 0;
+
+    const studentNames = [
+      student.legalName,
+      `${student.givenName || ""} ${student.familyName || ""}`,
+      student.name
+    ].map(name => CandidateNumberImporter.normaliseName(name)).filter(name => name);
+
+    return Math.max(0, ...studentNames.map(name => CandidateNumberImporter.similarity(rowName, name)));
+  }
+
+  /**
+   * Lists the active students that no CSV row matched
+   * @param {Object[]} results - Results from `matchRows`
+   * @returns {Object[]} The unmatched students
+   */
+  getMissingStudents(results) {
+    const matched = new Set(results.filter(result => result.student).map(result => result.student.userId));
+    return this.students.filter(student => student.active && !matched.has(student.userId));
+  }
+
+  /**
+   * Writes the outcome for every CSV row, and every student missing from the export, to the "Candidate Import" sheet
+   * @param {Object[]} results - Results from `matchRows` (after the Student Info sheet has been updated)
+   * @param {Object[]} missing - Students from `getMissingStudents`
+   */
+  writeReport(results, missing) {
+    const digits = TextProcessor.CANDIDATE_DIGITS;
+    const rows = results.map(({ row, student, matchedBy, note, ambiguous, previousCandidateNo }) => {
+      let status = "OK";
+      if (!student) {
+        status = ambiguous ? "AMBIGUOUS" : "MISSING";
+      } else if (previousCandidateNo && NamingConvention.padNumber(previousCandidateNo, digits) !== NamingConvention.padNumber(row.candidateNo, digits)) {
+        status = "WARNING";
+        note = `Replaced candidate number ${previousCandidateNo}.`;
+      }
+      const csvName = row.name || `${row.forename} ${row.surname}`.trim();
+      return [row.line, csvName, row.email, row.candidateNo, student ? student.name : "", matchedBy || "", status, note];
+    });
+
+    missing.forEach(student => {
+      rows.push(["", "", "", "", student.name, "", "MISSING", "Student isn't in the export, so their candidate number wasn't changed."]);
+    });
+
+    SpreadsheetManager.writeReportSheet(
+      CandidateNumberImporter.REPORT_SHEET,
+      ["CSV Row", "CSV Name", "CSV Email", "Candidate No", "Student", "Matched By", "Status", "Notes"],
+      rows,
+      6
+    );
+  }
+
+  /**
+   * Normalises a name for comparison: accents and punctuation removed, lower case, words sorted
+   * @param {string} name - The name
+   * @returns {string} The normalised name
+   */
+  static normaliseName(name) {
+    return String(name || "")
+      .split(/[\s,]+/)
+      .map(word => NameParser.toFileSafe(word).replace(/-/g, '').toLowerCase())
+      .filter(word => word)
+      .sort()
+      .join(' ');
+  }
+
+  /**
+   * Measures how similar two strings are, from 0 (nothing in common) to 1 (identical), using edit distance
+   * @param {string} a - The first string
+   * @param {string} b - The second string
+   * @returns {number} The similarity
+   */
+  static similarity(a, b) {
+    if (a === b) return 1;
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return 1 - previous[b.length] / longest;
+  }
+}
+
+/**
+ * Accepted CSV headers (lower case) for each field
+ * @type {Object<string, string[]>}
+ */
+CandidateNumberImporter.CSV_HEADERS = {
+  name: ["name", "full name", "student name", "candidate name", "legal name"],
+  forename: ["forename", "first name", "legal forename", "given name"],
+  surname: ["surname", "last name", "legal surname", "family name"],
+  email: ["email", "email address", "e-mail", "school email"],
+  upn: ["upn", "unique pupil number"],
+  candidateNo: ["candidate number", "candidate no", "candidate no.", "exam number", "cand no"]
+};
+
+/**
+ * Lowest name similarity (0 to 1) accepted as a match
+ * @type {number}
+ */
+CandidateNumberImporter.NAME_MATCH_THRESHOLD = 0.85;
+
+/**
+ * How far ahead the best name match must be of the next best to be accepted
+ * @type {number}
+ */
+CandidateNumberImporter.NAME_MATCH_MARGIN = 0.05;
+
+/**
+ * Name of the sheet listing the outcome of the import
+ * @type {string}
+ */
+CandidateNumberImporter.REPORT_SHEET = "Candidate Import";
+
+/**
+ * Entry point for importing candidate numbers from an MIS CSV export in Drive
+ */
+function importCandidateNumbers() {
+  const response = UIManager.promptUser(
+    'Import Candidate Numbers',
+    'Enter the Drive file ID (or link) of the CSV exported from the MIS. It needs a candidate number column and an email or name column.'
+  );
+
+  if (response.getSelectedButton() !== SpreadsheetApp.getUi().Button.OK) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+
+  const input = response.getResponseText().trim();
+  const idMatch = input.match(/[-\w]{25,}/);
+  if (!idMatch) {
+    UIManager.showAlert('That doesn\'t look like a Drive file ID or link.');
+    return;
+  }
+
+  try {
+    const importer = new CandidateNumberImporter(SpreadsheetManager.getStudentRecords());
+    const summary = importer.importFromDrive(idMatch[0]);
+    UIManager.showAlert(
+      `Matched ${summary.matched} rows and updated ${summary.updated} students.\n` +
+      `${summary.unmatched} rows couldn't be matched and ${summary.missing} active students weren't in the export.\n` +
+      `See the "${CandidateNumberImporter.REPORT_SHEET}" sheet for details.`
+    );
+  } catch (e) {
+    console.error(`Candidate number import failed: ${e.message}`);
+    UIManager.showAlert(`Candidate number import failed: ${e.message}`);
+  }
+}
@@ -3,6 +3,49 @@
  * This class is shared between declarationOrganiser.js and attachmentMover.js
  */
 class ClassroomManager {
+  /**
+   * Reads every page of results from a Classroom list endpoint by following `nextPageToken`
+   * @param {function(Object): Object} listPage - Calls the list endpoint with the given paging options and returns its response
+   * @param {string} itemsKey - The response property that holds the results (e.g. "students")
+   * @param {number} [pageSize=ClassroomManager.pageSize] - The number of results to request per page
+   * @return {Object[]} All results across every page (empty if there are none)
+   */
+  static listAll(listPage, itemsKey, pageSize = ClassroomManager.pageSize) {
+    const items = [];
+    let pageToken = null;
+
+    do {
+      const pageOptions = { pageSize: pageSize };
+      if (pageToken) {
+        pageOptions.pageToken = pageToken;
+      }
+
+      const response = listPage(pageOptions) || {};
+      items.push(...(response[itemsKey] || []));
+      pageToken = response.nextPageToken || null;
+    } while (pageToken);
+
+    return items;
+  }
+
+  /**
+   * Gets every course the user can access
+   * @return {Object[]} Array of course objects
+   */
+  static getCourses() {
+    return this.listAll(pageOptions => Classroom.Courses.list(pageOptions), "courses");
+  }
+
+  /**
+   * Finds a course from its Google Classroom URL
+   * @param {string} classroomUrl - The URL of the course (its `alternateLink`)
+   * @return {Object|null} The course object or null if not found
+   */
+  static getCourseByUrl(classroomUrl) {
+    const course = this.getCourses().find(c => c.alternateLink === classroomUrl);
+    return course || null;
+  }
+
   /**
    * Gets assignment ID from assignment title
    * @param {string} courseId - The course ID
@@ -10,11 +53,21 @@ class ClassroomManager {
    * @return {string|null} The assignment ID or null if not found
    */
   static getAssignmentId(courseId, assignmentTitle) {
-    const classroom = Classroom.Courses.CourseWork;
-    const courses = classroom.list(courseId).courseWork;
-    const assignment = courses.find(a => a.title === assignmentTitle);
+    const assignment = this.getAssignments(courseId).find(a => a.title === assignmentTitle);
     return assignment ? assignment.id : null;
   }
+
+  /**
+   * Gets every assignment in a course
+   * @param {string} courseId - The course ID
+   * @return {Object[]} Array of course work objects
+   */
+  static getAssignments(courseId) {
+    return this.listAll(
+      pageOptions => Classroom.Courses.CourseWork.list(courseId, pageOptions),
+      "courseWork"
+    );
+  }
   
   /**
    * Gets student submissions for an assignment
@@ -25,7 +78,67 @@ class ClassroomManager {
    */
   static getStudentSubmissions(courseId, assignmentId, userId) {
     const submissionService = Classroom.Courses.CourseWork.StudentSubmissions;
-    return submissionService.list(courseId, assignmentId, { userId: userId }).studentSubmissions;
+    return this.listAll(
+      pageOptions => submissionService.list(courseId, assignmentId, { userId: userId, ...pageOptions }),
+      "studentSubmissions"
+    );
+  }
+
+  /**
+   * Gets every student's submission for an assignment
+   * @param {string} courseId - The course ID
+   * @param {string} assignmentId - The assignment ID
+   * @return {Object[]} Array of submissions
+   */
+  static getAssignmentSubmissions(courseId, assignmentId) {
+    const submissionService = Classroom.Courses.CourseWork.StudentSubmissions;
+    return this.listAll(
+      pageOptions => submissionService.list(courseId, assignmentId, pageOptions),
+      "studentSubmissions"
+    );
+  }
+
+  /**
+   * Checks whether a submission has been handed in, so its attachments are the student's finished work
+   * @param {Object} submission - A student submission
+   * @return {boolean} True if the submission is turned in or has been returned by the teacher
+   */
+  static isSubmitted(submission) {
+    return ClassroomManager.SUBMITTED_STATES.includes(submission.state);
+  }
+
+  /**
+   * Classifies a submission by its state, late flag and attachments
+   * @param {Object|null} submission - A student submission, or null if the student has none
+   * @return {Object} The submission's `state`, whether it is `late`, its `updateTime` (a Date, or null),
+   *   the number of `attachments` and a `status` (see `ClassroomManager.SUBMISSION_STATUS`)
+   */
+  static describeSubmission(submission) {
+    const statuses = ClassroomManager.SUBMISSION_STATUS;
+    if (!submission) {
+      return { state: "", late: false, updateTime: null, attachments: 0, status: statuses.MISSING };
+    }
+
+    const attachments = ((submission.assignmentSubmission || {}).attachments || []).length;
+    const late = Boolean(submission.late);
+    let status;
+    if (submission.state === "RETURNED") {
+      // Returned work has been handed back by the teacher, so it can be turned in again
+      status = statuses.RETURNED;
+    } else if (this.isSubmitted(submission)) {
+      status = late ? statuses.LATE : statuses.OK;
+    } else {
+      // Work that was never turned in (or was unsubmitted) is a draft if there is anything attached
+      status = attachments > 0 ? statuses.DRAFT : statuses.MISSING;
+    }
+
+    return {
+      state: submission.state || "",
+      late: late,
+      updateTime: submission.updateTime ? new Date(submission.updateTime) : null,
+      attachments: attachments,
+      status: status
+    };
   }
 
   /**
@@ -35,13 +148,41 @@ class ClassroomManager {
    */
   static getClassroomMembers(courseId) {
     const classroomService = Classroom.Courses.Students;
-    const students = classroomService.list(courseId).students;
+    const students = this.listAll(pageOptions => classroomService.list(courseId, pageOptions), "students");
   
     const members = students.map(member => ({
       name: member.profile.name.fullName,
+      givenName: member.profile.name.givenName || "",
+      familyName: member.profile.name.familyName || "",
+      email: member.profile.emailAddress || "",
       userId: member.userId
     }));
   
     return members;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Number of results requested per page from the Classroom list endpoints.
+ * Classroom may return fewer than this; `listAll` keeps following page tokens regardless.
+ * @type {number}
+ */
+ClassroomManager.pageSize = 100;
+
+/**
+ * Submission states whose attachments count as handed in
+ * @type {string[]}
+ */
+ClassroomManager.SUBMITTED_STATES = ["TURNED_IN", "RETURNED"];
+
+/**
+ * Results of classifying a submission with `describeSubmission`
+ * @type {Object<string, string>}
+ */
+ClassroomManager.SUBMISSION_STATUS = {
+  OK: "OK",
+  LATE: "LATE",
+  RETURNED: "RETURNED",
+  DRAFT: "DRAFT",
+  MISSING: "MISSING"
+};
@@ -0,0 +1,223 @@
+/**
+ * Collects the submissions for several Classroom assignments in one run, following the "Collection Plan"
+ * sheet (Assignment | Prepend | File Types | Turned In Only). Each row names an assignment, the prepend
+ * string its files are copied with, the types of file to collect (see `FileTypeClassifier.TYPES`, blank for
+ * all) and whether drafts are skipped. "Set up collection plan" fills the sheet with the course's assignments.
+ *
+ * Every student is visited once and all of their assignments are copied together. The job runner saves
+ * progress after each student, so a long collection can pause and carry on, and counts what happened
+ * for each assignment.
+ */
+class CollectionPlanner {
+  /**
+   * Creates a planner for a list of plan entries
+   * @param {Object[]} entries - The entries, each with an `assignment` title, `prepend` string,
+   *   `fileTypes` (null for all) and `submittedOnly`
+   */
+  constructor(entries) {
+    this.entries = entries;
+  }
+
+  /**
+   * Loads the plan from the "Collection Plan" sheet
+   * @param {Sheet} [sheet=null] - The plan sheet (defaults to the "Collection Plan" sheet of the active spreadsheet)
+   * @returns {CollectionPlanner|null} The planner, or null if the sheet is missing or empty
+   * @throws {Error} If a row names a file type that doesn't exist
+   */
+  static load(sheet = null) {
+    const planSheet = sheet || SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CollectionPlanner.PLAN_SHEET);
+    if (!planSheet || planSheet.getLastRow() < 2) {
+      return null;
+    }
+
+    const knownTypes = Object.values(FileTypeClassifier.TYPES);
+    const entries = planSheet.getRange(2, 1, planSheet.getLastRow() - 1, 4).getDisplayValues()
+      .filter(([assignment]) => String(assignment).trim())
+      .map(([assignment, prepend, fileTypes, submittedOnly]) => {
+        const types = String(fileTypes).split(",").map(type => type.trim()).filter(Boolean);
+        const unknown = types.filter(type => !knownTypes.includes(type));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown file type "${unknown[0]}" for ${assignment}. Use any of: ${knownTypes.join(", ")}.`);
+        }
+        return {
+          assignment: String(assignment).trim(),
+          prepend: String(prepend).trim(),
+          fileTypes: types.length > 0 ? types : null,
+          submittedOnly: SpreadsheetManager.isYes(submittedOnly)
+        };
+      });
+    return entries.length > 0 ? new CollectionPlanner(entries) : null;
+  }
+
+  /**
+   * Writes the "Collection Plan" sheet with a row for each assignment, replacing anything already there.
+   * Each assignment's title is used as its prepend string, every file type is collected and drafts are skipped.
+   * @param {Object[]} assignments - Course work objects
+   * @returns {Sheet} The plan sheet
+   */
+  static writePlanSheet(assignments) {
+    const rows = assignments.map(assignment => [assignment.title, assignment.title, "", "Yes"]);
+    return SpreadsheetManager.writeReportSheet(
+      CollectionPlanner.PLAN_SHEET, ["Assignment", "Prepend", "File Types", "Turned In Only"], rows);
+  }
+
+  /**
+   * Finds the Classroom assignment for each entry
+   * @param {string} courseId - The course ID
+   * @returns {Object} The `entries` that were found, each with its `assignmentId`, and the `unknown` assignment titles
+   */
+  resolveAssignments(courseId) {
+    const assignments = ClassroomManager.getAssignments(courseId);
+    const entries = [];
+    const unknown = [];
+    this.entries.forEach(entry => {
+      const assignment = assignments.find(a => a.title === entry.assignment);
+      if (assignment) {
+        entries.push({ ...entry, assignmentId: assignment.id });
+      } else {
+        unknown.push(entry.assignment);
+      }
+    });
+    return { entries, unknown };
+  }
+
+  /**
+   * Copies every entry's attachments for each active student, one student at a time
+   * @param {string} courseId - The course ID
+   * @param {Object[]} entries - Entries with their `assignmentId` (see `resolveAssignments`)
+   * @param {Object[]} students - Student records
+   * @param {JobRunner} runner - Started job runner that tracks which students have been done
+   * @returns {Promise<Object>} The job runner's summary, whose `progress` counts each assignment's outcomes
+   */
+  static async collect(courseId, entries, students, runner) {
+    const folderPopulator = new FolderPopulator();
+    return runner.run(
+      students.filter(student => student.active),
+      student => student.userId,
+      async student => {
+        for (const entry of entries) {
+          const outcome = await folderPopulator.copyStudentAttachments(
+            courseId, entry.assignmentId, student, entry.prepend, entry.submittedOnly, entry.fileTypes);
+          runner.recordProgress(entry.assignment, outcome);
+        }
+      }
+    );
+  }
+
+  /**
+   * Describes a collection's summary, with a line for each assignment
+   * @param {Object} summary - The summary returned by `collect`
+   * @param {Object[]} entries - The entries that were collected
+   * @returns {string} The description
+   */
+  static describeSummary(summary, entries) {
+    const lines = entries.map(entry => {
+      const counts = summary.progress[entry.assignment] || {};
+      const parts = Object.keys(counts).map(outcome => `${counts[outcome]} ${outcome}`);
+      return `${entry.assignment}: ${parts.length > 0 ? parts.join(", ") : "no students yet"}`;
+    });
+    return [JobRunner.describeSummary(summary)].concat(lines).join('\n');
+  }
+}
+
+/**
+ * Name of the sheet listing the assignments to collect
+ * @type {string}
+ */
+CollectionPlanner.PLAN_SHEET = "Collection Plan";
+
+/**
+ * Name of the resumable job that collects every assignment in the plan
+ * @type {string}
+ */
+CollectionPlanner.COLLECTION_JOB = "collectSubmissions";
+
+/**
+ * Entry point for filling in the "Collection Plan" sheet with the course's assignments
+ */
+function setUpCollectionPlanSheet() {
+  const courseId = SpreadsheetManager.getCourseId();
+  if (!courseId) {
+    UIManager.showAlert('No course ID found. Please run "Get names and IDs" first.');
+    return;
+  }
+
+  try {
+    const existing = CollectionPlanner.load();
+    if (existing) {
+      const ui = SpreadsheetApp.getUi();
+      const response = ui.alert(
+        'Collection Plan',
+        `The "${CollectionPlanner.PLAN_SHEET}" sheet already has ${existing.entries.length} assignments. Replace them with the course's assignments?`,
+        ui.ButtonSet.YES_NO
+      );
+      if (response !== ui.Button.YES) {
+        UIManager.showAlert('Operation canceled.');
+        return;
+      }
+    }
+
+    const assignments = ClassroomManager.getAssignments(courseId);
+    CollectionPlanner.writePlanSheet(assignments);
+    UIManager.showAlert(
+      `Listed ${assignments.length} assignments in the "${CollectionPlanner.PLAN_SHEET}" sheet. ` +
+      'Set the prepend string for each so that it matches a category in the Prefixes sheet, and delete the rows you don\'t want collected.'
+    );
+  } catch (e) {
+    console.error(`Collection plan set-up failed: ${e.message}`);
+    UIManager.showAlert(`Collection plan set-up failed: ${e.message}`);
+  }
+}
+
+/**
+ * Entry point for collecting every assignment in the "Collection Plan" sheet
+ */
+async function collectAllSubmissions() {
+  try {
+    const planner = CollectionPlanner.load();
+    if (!planner) {
+      UIManager.showAlert(`No "${CollectionPlanner.PLAN_SHEET}" sheet found. Please run "Set up collection plan" first.`);
+      return;
+    }
+
+    const courseId = SpreadsheetManager.getCourseId();
+    const { entries, unknown } = planner.resolveAssignments(courseId);
+    if (unknown.length > 0) {
+      UIManager.showAlert(`These assignments weren't found in Google Classroom: ${unknown.join(', ')}. Please check the "${CollectionPlanner.PLAN_SHEET}" sheet.`);
+      return;
+    }
+    if (!UIManager.promptConflictPolicy()) return;
+
+    const runner = new JobRunner(CollectionPlanner.COLLECTION_JOB).start('continueCollectingSubmissions', {
+      courseId: courseId,
+      entries: entries,
+      conflictPolicy: DriveManager.conflictPolicy
+    });
+    const summary = await CollectionPlanner.collect(courseId, entries, SpreadsheetManager.getStudentRecords(), runner);
+    UIManager.showAlert(CollectionPlanner.describeSummary(summary, entries));
+  } catch (e) {
+    console.error(`Collecting submissions failed: ${e.message}`);
+    UIManager.showAlert(`Collecting submissions failed: ${e.message}`);
+  }
+}
+
+/**
+ * Continues a paused collection. Called by the job's trigger or from the menu.
+ */
+async function continueCollectingSubmissions() {
+  const runner = new JobRunner(CollectionPlanner.COLLECTION_JOB);
+  if (!runner.hasSavedState()) {
+    console.log('No saved progress for collecting submissions.');
+    return;
+  }
+
+  const { courseId, entries, conflictPolicy } = runner.getParams();
+  DriveManager.setConflictPolicy(conflictPolicy);
+
+  const summary = await CollectionPlanner.collect(courseId, entries, SpreadsheetManager.getStudentRecords(), runner);
+  const description = CollectionPlanner.describeSummary(summary, entries);
+  console.log(description);
+  if (DriveManager.isUiAvailable()) {
+    UIManager.showAlert(description);
+  }
+}
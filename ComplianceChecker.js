@@ -0,0 +1,494 @@
+/**
+ * Checks every PDF and zip in a finished sample folder against the exam board portal's upload limits,
+ * so that nothing is rejected at upload and moderators aren't sent huge scans.
+ *
+ * Limits come from the "Upload Limits" sheet (Board | Category | Max Size (MB) | Max Pages). A blank or "*"
+ * board or category matches any, and the most specific row wins, so a board can have a general limit with
+ * stricter limits for some categories. The board is the active naming convention's preset (see
+ * `NamingConvention`). Files are matched to their "Prefixes" category by the names the naming convention
+ * gives them. Without the sheet, `ComplianceChecker.DEFAULT_LIMITS` apply.
+ *
+ * Category PDFs that are over a limit can be split into numbered parts. Parts break at the bookmarks added
+ * when the PDFs were merged, so each coursework file stays whole unless it's over the limit by itself.
+ * Each part is measured once saved, and the original is only moved to the bin, after the report is
+ * written, when every part fits.
+ */
+class ComplianceChecker {
+  /**
+   * Creates a checker for a set of limits
+   * @param {Object[]} limits - Rows with `board`, `category`, `maxMb` and `maxPages` (null for no limit)
+   * @param {string} board - The exam board the sample is for
+   */
+  constructor(limits, board) {
+    this.limits = limits;
+    this.board = board;
+    this.namingConvention = NamingConvention.getActive();
+  }
+
+  /**
+   * Loads the limits from the "Upload Limits" sheet, for the active naming convention's board
+   * @param {Sheet} [sheet=null] - The limits sheet (defaults to the "Upload Limits" sheet of the active spreadsheet)
+   * @returns {ComplianceChecker} The checker
+   */
+  static load(sheet = null) {
+    const board = NamingConvention.getActive().presetName.split(" ")[0];
+    const limitsSheet = sheet || SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ComplianceChecker.LIMITS_SHEET);
+    if (!limitsSheet || limitsSheet.getLastRow() < 2) {
+      console.log(`No "${ComplianceChecker.LIMITS_SHEET}" sheet found, so the default upload limits will be used.`);
+      return new ComplianceChecker(ComplianceChecker.DEFAULT_LIMITS, board);
+    }
+
+    const limits = limitsSheet.getRange(2, 1, limitsSheet.getLastRow() - 1, 4).getDisplayValues()
+      .filter(row => row.some(value => String(value).trim()))
+      .map(([rowBoard, category, maxMb, maxPages]) => ({
+        board: String(rowBoard).trim() || "*",
+        category: String(category).trim() || "*",
+        maxMb: MarksExtractor.parseMark(maxMb).value,
+        maxPages: MarksExtractor.parseMark(maxPages).value
+      }));
+    return new ComplianceChecker(limits, board);
+  }
+
+  /**
+   * Writes the "Upload Limits" sheet with the default limits so that they can be edited
+   * @returns {Sheet} The limits sheet
+   */
+  static writeLimitsSheet() {
+    const rows = ComplianceChecker.DEFAULT_LIMITS.map(limit => [
+      limit.board, limit.category, limit.maxMb === null ? "" : limit.maxMb, limit.maxPages === null ? "" : limit.maxPages
+    ]);
+    return SpreadsheetManager.writeReportSheet(
+      ComplianceChecker.LIMITS_SHEET, ["Board", "Category", "Max Size (MB)", "Max Pages"], rows);
+  }
+
+  /**
+   * Gets the limits for a category: the row matching both the board and the category wins over a row
+   * matching one of them, which wins over a row matching neither
+   * @param {string} category - The category, or "" for files that don't belong to one
+   * @returns {Object} `maxBytes` and `maxPages` (null for no limit) and `description`, for the report
+   */
+  getLimits(category) {
+    const matches = (value, wanted) => value === "*" || value.toLowerCase() === String(wanted).toLowerCase();
+    const specificity = limit => (limit.board === "*" ? 0 : 2) + (limit.category === "*" ? 0 : 1);
+    const limit = this.limits
+      .filter(row => matches(row.board, this.board) && matches(row.category, category))
+      .sort((a, b) => specificity(b) - specificity(a))[0];
+
+    if (!limit) {
+      return { maxBytes: null, maxPages: null, description: "" };
+    }
+    const description = [
+      limit.maxMb === null ? "" : `${limit.maxMb} MB`,
+      limit.maxPages === null ? "" : `${limit.maxPages} pages`
+    ].filter(text => text).join(", ");
+    return {
+      maxBytes: limit.maxMb === null ? null : limit.maxMb * 1024 * 1024,
+      maxPages: limit.maxPages,
+      description: description
+    };
+  }
+
+  /**
+   * Checks every PDF and zip in each candidate folder of a sample, optionally splitting oversized
+   * category PDFs, and writes the results to the "Compliance Report" sheet
+   * @param {Folder} sampleFolder - The sample folder
+   * @param {boolean} [splitOversized=false] - Whether to split category PDFs that are over a limit
+   * @returns {Promise<Object>} The number of `files` checked, how many are `overLimit` and how many were `split`
+   */
+  async checkSample(sampleFolder, splitOversized = false) {
+    const categories = PDFMerger.getInstance().getPrefixCategories().map(({ category }) => category);
+    const students = SpreadsheetManager.getStudentRecords();
+    const rows = [];
+    const splitOriginals = [];
+    // Rows are also added for split parts, so the files found in the sample are counted separately
+    let checked = 0;
+
+    const candidateFolders = sampleFolder.getFolders();
+    while (candidateFolders.hasNext()) {
+      const candidateFolder = candidateFolders.next();
+      if (candidateFolder.getName() === SampleExporter.EXPORT_FOLDER) continue;
+
+      const folderName = candidateFolder.getName();
+      const student = students.find(record => record.submissionPrefix === folderName || record.name === folderName);
+      const namingValues = student ? NamingConvention.getStudentValues(student) : { prefix: folderName };
+
+      // List the files first, so parts saved while splitting aren't checked twice
+      const files = [];
+      const fileIterator = candidateFolder.getFiles();
+      while (fileIterator.hasNext()) {
+        const file = fileIterator.next();
+        if (DriveManager.isPdf(file) || DriveManager.isZip(file)) files.push(file);
+      }
+
+      for (const file of files) {
+        checked++;
+        const category = this.findCategory(file, categories, namingValues);
+        const result = await this.checkFile(file, category);
+        let status = result.problems.length > 0 ? "OVER LIMIT" : "OK";
+        let notes = result.problems.join(" ");
+
+        if (status !== "OK" && splitOversized && category && DriveManager.isPdf(file)) {
+          try {
+            const parts = await this.splitPdf(file, category, namingValues, candidateFolder);
+            const oversized = parts.filter(part => part.problems.length > 0);
+            const partNames = parts.map(part => part.name).join(", ");
+            if (oversized.length === 0) {
+              status = "SPLIT";
+              notes = `${notes} Split into ${partNames}; the original was moved to the bin.`;
+              splitOriginals.push(file);
+            } else {
+              notes = `${notes} Split into ${partNames}, but ${oversized.map(part => part.name).join(", ")} ` +
+                `${oversized.length === 1 ? "is" : "are"} still over a limit, so the original was kept.`;
+            }
+            parts.forEach(part => rows.push([folderName, part.name, category, ComplianceChecker.toMegabytes(part.size),
+              part.pageCount, result.limits.description, part.problems.length > 0 ? "OVER LIMIT" : "OK",
+              part.problems.concat(part.kept ? ["Kept the existing part (conflict policy)."] : []).join(" ")]));
+          } catch (e) {
+            console.error(`Couldn't split ${file.getName()}: ${e.message}`);
+            notes = `${notes} Couldn't split it: ${e.message}`;
+          }
+        } else if (status !== "OK" && !category && DriveManager.isPdf(file)) {
+          notes = `${notes} Only category PDFs can be split.`;
+        }
+
+        rows.push([folderName, file.getName(), category || "(none)", ComplianceChecker.toMegabytes(result.size),
+          result.pageCount === null ? "" : result.pageCount, result.limits.description, status, notes]);
+      }
+    }
+
+    rows.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+    SpreadsheetManager.writeReportSheet(
+      ComplianceChecker.REPORT_SHEET,
+      ["Candidate", "File", "Category", "Size (MB)", "Pages", "Limit", "Status", "Notes"],
+      rows,
+      6
+    );
+
+    // The report lists the parts' sizes, so the originals they replace can go now
+    splitOriginals.forEach(file => file.setTrashed(true));
+
+    const summary = {
+      files: checked,
+      overLimit: rows.filter(row => row[6] === "OVER LIMIT").length,
+      split: splitOriginals.length
+    };
+    console.log(`Compliance check: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  /**
+   * Works out which "Prefixes" category a sample file belongs to from the names the naming convention
+   * gives category PDFs, their parts and zips. The longest matching name wins.
+   * @param {File} file - The sample file
+   * @param {string[]} categories - The category names
+   * @param {Object} namingValues - The candidate's naming token values
+   * @returns {string} The category, or "" if the file doesn't belong to one (e.g. the front sheet)
+   */
+  findCategory(file, categories, namingValues) {
+    const fileName = file.getName().replace(/\.(pdf|zip)$/i, "");
+    let best = "";
+    let bestLength = 0;
+
+    categories.forEach(category => {
+      const names = [
+        this.namingConvention.categoryPdfName(category, namingValues),
+        this.namingConvention.categoryPdfPartName(category, 0, namingValues).replace(/1\.pdf$/, ""),
+        this.namingConvention.categoryZipName(category, 0, 1, namingValues)
+      ].map(name => name.replace(/\.(pdf|zip)$/i, ""));
+
+      names.forEach(name => {
+        if ((fileName === name || fileName.startsWith(name)) && name.length > bestLength) {
+          best = category;
+          bestLength = name.length;
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Measures a PDF or zip against its category's limits
+   * @param {File} file - The file
+   * @param {string} category - The file's category ("" for none)
+   * @returns {Promise<Object>} `size` in bytes, `pageCount` (null for zips), the `limits` and the `problems` found
+   */
+  async checkFile(file, category) {
+    const limits = this.getLimits(category);
+    const size = file.getSize();
+    const pageCount = DriveManager.isPdf(file) ? await PDFMerger.countPages(file.getBlob().getBytes()) : null;
+    return { size, pageCount, limits, problems: ComplianceChecker.findProblems(size, pageCount, limits) };
+  }
+
+  /**
+   * Splits a category PDF into numbered parts that fit the category's limits, breaking at its bookmarks.
+   * Parts are first sized from the average page size; a part that is still too big is split again, and
+   * each saved part is measured in Drive. The original isn't touched (see `checkSample`).
+   * @param {File} file - The category PDF
+   * @param {string} category - Its category
+   * @param {Object} namingValues - The candidate's naming token values
+   * @param {Folder} folder - The folder the parts are saved in
+   * @returns {Promise<Object[]>} The parts saved, each with `name`, `size`, `pageCount`, any `problems`
+   *   and whether the conflict policy `kept` an existing part
+   */
+  async splitPdf(file, category, namingValues, folder) {
+    const { PDFLib } = PDFMerger.loadPdfLib();
+    const pdfMerger = PDFMerger.getInstance();
+    const limits = this.getLimits(category);
+    const bytes = file.getBlob().getBytes();
+    const source = await PDFLib.PDFDocument.load(new Uint8Array(bytes), { ignoreEncryption: true, updateMetadata: false });
+    const pageCount = source.getPageCount();
+
+    // Estimate the pages that fit the size limit from the average page size
+    const pagesBySize = limits.maxBytes ? Math.floor(limits.maxBytes / (bytes.length / pageCount)) : Infinity;
+    const maxPages = Math.max(1, Math.min(limits.maxPages || Infinity, pagesBySize));
+    const pending = ComplianceChecker.planParts(ComplianceChecker.readOutlineSections(source), pageCount, maxPages);
+
+    // Pages aren't all the same size, so a part that is still too big is split in half until it fits
+    // or is a single page
+    const built = [];
+    while (pending.length > 0) {
+      const part = pending.shift();
+      const partPages = part.reduce((total, section) => total + section.pageCount, 0);
+      const partBytes = await this.buildPart(source, part);
+      if (limits.maxBytes !== null && partBytes.length > limits.maxBytes && partPages > 1) {
+        pending.unshift(...ComplianceChecker.planParts(part, partPages, Math.ceil(partPages / 2)));
+        continue;
+      }
+      built.push(partBytes);
+    }
+    if (built.length < 2) {
+      throw new Error("it's a single page over the size limit, so there's no smaller part to make.");
+    }
+
+    const saved = [];
+    for (let i = 0; i < built.length; i++) {
+      const name = this.namingConvention.categoryPdfPartName(category, i, namingValues);
+      const fileInfo = pdfMerger.saveResultingPdf({ bytes: built[i] }, name, folder);
+
+      // Measure what is in Drive, which is an earlier run's part if the conflict policy kept it
+      const check = await this.checkFile(DriveApp.getFileById(fileInfo.id), category);
+      saved.push({
+        name: fileInfo.name,
+        size: check.size,
+        pageCount: check.pageCount,
+        problems: check.problems,
+        kept: Boolean(fileInfo.skipped)
+      });
+    }
+
+    console.log(`Split ${file.getName()} into ${saved.length} parts.`);
+    return saved;
+  }
+
+  /**
+   * Copies a part's pages into a new PDF, with a bookmark for each section
+   * @param {PDFDocument} source - The PDF being split
+   * @param {Object[]} part - The part's sections, from `planParts`
+   * @returns {Promise<Uint8Array>} The part's bytes
+   */
+  async buildPart(source, part) {
+    const { PDFLib } = PDFMerger.loadPdfLib();
+    const partDoc = await PDFLib.PDFDocument.create({ updateMetadata: false });
+    const firstPage = part[0].startPage;
+    const indices = [];
+    part.forEach(section => {
+      for (let page = section.startPage; page < section.startPage + section.pageCount; page++) indices.push(page);
+    });
+    (await partDoc.copyPages(source, indices)).forEach(page => partDoc.addPage(page));
+
+    const sections = part.filter(section => section.title)
+      .map(section => ({ title: section.title, startPage: section.startPage - firstPage }));
+    if (sections.length > 0) {
+      PDFMerger.getInstance().addOutline(partDoc, sections);
+    }
+
+    return partDoc.save();
+  }
+
+  /**
+   * Reads the top-level bookmarks of a PDF as sections
+   * @param {PDFDocument} pdfDoc - The PDF
+   * @returns {Object[]} Sections with `title`, `startPage` and `pageCount`, in page order
+   *   (empty if the PDF has no bookmarks)
+   */
+  static readOutlineSections(pdfDoc) {
+    const { PDFName, PDFDict, PDFArray } = PDFMerger.loadPdfLib().PDFLib;
+    const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of("Outlines"), PDFDict);
+    if (!outlines) {
+      return [];
+    }
+
+    const pageIndexes = new Map(pdfDoc.getPages().map((page, i) => [page.ref.toString(), i]));
+    const starts = [];
+    let itemRef = outlines.get(PDFName.of("First"));
+    const visited = new Set();
+    while (itemRef && !visited.has(itemRef.toString())) {
+      visited.add(itemRef.toString());
+      const item = pdfDoc.context.lookup(itemRef, PDFDict);
+      let dest = item.lookup(PDFName.of("Dest"));
+      if (!dest) {
+        const action = item.lookup(PDFName.of("A"));
+        dest = action instanceof PDFDict ? action.lookup(PDFName.of("D")) : null;
+      }
+      const title = item.lookup(PDFName.of("Title"));
+      const pageIndex = dest instanceof PDFArray ? pageIndexes.get(dest.get(0).toString()) : undefined;
+      if (pageIndex !== undefined) {
+        starts.push({ title: title ? title.decodeText() : "", startPage: pageIndex });
+      }
+      itemRef = item.get(PDFName.of("Next"));
+    }
+
+    starts.sort((a, b) => a.startPage - b.startPage);
+    const sections = starts.filter((start, i) => i === 0 || start.startPage !== starts[i - 1].startPage);
+    if (sections.length > 0) {
+      // Pages before the first bookmark go with the first section
+      sections[0].startPage = 0;
+    }
+    return sections.map((section, i) => ({
+      title: section.title,
+      startPage: section.startPage,
+      pageCount: (i + 1 < sections.length ? sections[i + 1].startPage : pdfDoc.getPageCount()) - section.startPage
+    }));
+  }
+
+  /**
+   * Groups sections into parts of at most `maxPages` pages. A section is only broken up when it's
+   * longer than a part on its own.
+   * @param {Object[]} sections - Sections from `readOutlineSections` (empty to split by pages alone)
+   * @param {number} pageCount - The number of pages in the document
+   * @param {number} maxPages - The most pages in a part
+   * @returns {Object[][]} The sections in each part
+   */
+  static planParts(sections, pageCount, maxPages) {
+    const allSections = sections.length > 0 ? sections : [{ title: "", startPage: 0, pageCount: pageCount }];
+    const parts = [];
+    let current = [];
+    let currentPages = 0;
+    const startPart = () => {
+      if (current.length > 0) parts.push(current);
+      current = [];
+      currentPages = 0;
+    };
+
+    allSections.forEach(section => {
+      if (currentPages + section.pageCount > maxPages) startPart();
+      if (section.pageCount <= maxPages) {
+        current.push(section);
+        currentPages += section.pageCount;
+        return;
+      }
+
+      for (let offset = 0; offset < section.pageCount; offset += maxPages) {
+        current.push({
+          title: offset === 0 || !section.title || section.title.endsWith(" (continued)") ? section.title : `${section.title} (continued)`,
+          startPage: section.startPage + offset,
+          pageCount: Math.min(maxPages, section.pageCount - offset)
+        });
+        startPart();
+      }
+    });
+
+    startPart();
+    return parts;
+  }
+
+  /**
+   * Lists the ways a file breaks its limits
+   * @param {number} size - The file size in bytes
+   * @param {number|null} pageCount - The number of pages (null for zips)
+   * @param {Object} limits - Limits from `getLimits`
+   * @returns {string[]} One message per limit broken
+   */
+  static findProblems(size, pageCount, limits) {
+    const problems = [];
+    if (limits.maxBytes !== null && size > limits.maxBytes) {
+      problems.push(`${ComplianceChecker.toMegabytes(size)} MB is over the ${ComplianceChecker.toMegabytes(limits.maxBytes)} MB limit.`);
+    }
+    if (limits.maxPages !== null && pageCount !== null && pageCount > limits.maxPages) {
+      problems.push(`${pageCount} pages is over the ${limits.maxPages} page limit.`);
+    }
+    return problems;
+  }
+
+  /**
+   * Converts a size in bytes to megabytes, to two decimal places
+   * @private
+   */
+  static toMegabytes(bytes) {
+    return Math.round(bytes / 1024 / 1024 * 100) / 100;
+  }
+}
+
+/**
+ * Limits used without an "Upload Limits" sheet: 20 MB per file, with no page limit, for every board and
+ * category. Check your exam board's portal and edit the sheet to match.
+ * @type {Object[]}
+ */
+ComplianceChecker.DEFAULT_LIMITS = [
+  { board: "*", category: "*", maxMb: 20, maxPages: null }
+];
+
+/**
+ * Name of the sheet holding the upload limits
+ * @type {string}
+ */
+ComplianceChecker.LIMITS_SHEET = "Upload Limits";
+
+/**
+ * Name of the sheet the compliance results are written to
+ * @type {string}
+ */
+ComplianceChecker.REPORT_SHEET = "Compliance Report";
+
+/**
+ * Entry point for checking a sample folder against the upload limits
+ */
+async function checkSampleCompliance() {
+  const ui = SpreadsheetApp.getUi();
+  const folderResponse = UIManager.promptUser(
+    'Check Upload Limits',
+    'Enter the ID (or link) of the sample folder to check.'
+  );
+  if (folderResponse.getSelectedButton() !== ui.Button.OK) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+  const idMatch = folderResponse.getResponseText().trim().match(/[-\w]{25,}/);
+  if (!idMatch) {
+    UIManager.showAlert('That doesn\'t look like a Drive folder ID or link.');
+    return;
+  }
+
+  const splitResponse = ui.alert(
+    'Check Upload Limits',
+    'Split category PDFs that are over a limit into numbered parts? The originals are moved to the bin.',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  if (splitResponse === ui.Button.CANCEL || splitResponse === ui.Button.CLOSE) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+  if (splitResponse === ui.Button.YES && !UIManager.promptConflictPolicy()) return;
+
+  try {
+    const checker = ComplianceChecker.load();
+    const summary = await checker.checkSample(DriveApp.getFolderById(idMatch[0]), splitResponse === ui.Button.YES);
+    UIManager.showAlert(
+      `Checked ${summary.files} files against the ${checker.board} upload limits. ` +
+      `${summary.overLimit} are over a limit and ${summary.split} were split.\n` +
+      `See the "${ComplianceChecker.REPORT_SHEET}" sheet.`
+    );
+  } catch (e) {
+    console.error(`Upload limit check failed: ${e.message}`);
+    UIManager.showAlert(`Upload limit check failed: ${e.message}`);
+  }
+}
+
+/**
+ * Entry point for writing the "Upload Limits" sheet with the default limits
+ */
+function setUpUploadLimitsSheet() {
+  ComplianceChecker.writeLimitsSheet();
+  UIManager.showAlert(`The default upload limits are in the "${ComplianceChecker.LIMITS_SHEET}" sheet. Add rows for each board or category your portal limits differently.`);
+}
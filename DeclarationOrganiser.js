@@ -9,7 +9,7 @@
  * - Merge signed declarations from Google Classroom with unsigned declarations containing marks
  * - Include marking grids in the final documents
  * - Convert documents to PDF format
- * - Rename files according to WJEC naming convention
+ * - Rename files according to the exam board's naming convention
  * - Handle file organization and management in student folders
  * 
  * Depends on:
@@ -23,6 +23,8 @@ class DeclarationProcessor {
     this.gClassroomDeclarationFile = null;
     this.studentFolderDeclarationFile = null;
     this.studentMarkingGridFile = null;
+    // Set by `createFinalDeclarationForms`, as the mark scheme is read from the spreadsheet
+    this.markValidator = null;
     // ClassroomManager is a global class with static methods
     // DriveManager is now also being used with static methods
   }
@@ -55,119 +57,250 @@ class DeclarationProcessor {
    *   - the signed declaration on Google Classroom (which doesn't have marks)
    *   - the unsigned declaration in the student folder (which has marks)
    *    - the marking grid
-   * Then converts it into a final PDF and renames it according to the
-   * WJEC required convention which is:
-   * {centreNumber}_{candidateNumber}_{firstInitial}_{firstTwoInitialOfSurname}
+   * Then converts it into a final PDF named by the active naming convention's preset
+   * (see `NamingConvention` and `generateStudentSubmissionPrefixAndFilename`).
    * 
    * @param {string} assignmentTitle - The title of the Google Classroom assignment
-   * @param {Array[]} studentFolderData - The data from the spreadsheet, including folderIds
-   * @param {string} [gClassroomDeclarationFileId] - Optional ID of the base declaration file to merge with
+   * @param {Object[]} students - Student records from `SpreadsheetManager.getStudentRecords`
+   * @param {JobRunner} runner - Started job runner that tracks which students have been done
+   * @return {Promise<Object|undefined>} The job runner's summary, or undefined if the assignment wasn't found
    */
-  createFinalDeclarationForms(assignmentTitle, studentFolderData) {
-    const courseId = studentFolderData[0][0]; // Get the courseId from the first row
+  async createFinalDeclarationForms(assignmentTitle, students, runner) {
+    const courseId = SpreadsheetManager.getCourseId();
     const assignmentId = ClassroomManager.getAssignmentId(courseId, assignmentTitle);
 
     if (!assignmentId) {
-      SpreadsheetApp.getUi().alert('Invalid Google Classroom Assignment title or access denied.');
+      runner.abandon();
+      // Continuations run from a trigger, where there's no UI to show an alert in
+      console.error(`Assignment "${assignmentTitle}" not found, or access denied.`);
+      if (DriveManager.isUiAvailable()) {
+        UIManager.showAlert('Invalid Google Classroom Assignment title or access denied.');
+      }
       return;
     }
 
+    this.markValidator = MarkValidator.fromSpreadsheet();
+
+    const activeStudents = students.filter(student => student.active);
+    return runner.run(
+      activeStudents,
+      student => student.userId,
+      async student => {
+        // Throwing records the student as failed, so the job summary says why
+        const result = await this.createFinalDeclarationForStudent(courseId, assignmentId, student);
+        if (result.blocked) {
+          throw new Error(result.blocked);
+        }
+      }
+    );
+  }
 
-    studentFolderData.forEach((studentDataRow, index) => {
-      if (index < 3) return; // Skip the header rows
+  /**
+   * Creates the final declaration form for one student (see `createFinalDeclarationForms`).
+   * The result of checking the declaration's candidate and centre numbers, the submission prefix and
+   * any newly found numbers read from labelled fields are written back to the student's record and the
+   * Student Info sheet. Numbers already in the sheet (e.g. imported from the MIS) are used for naming.
+   * @param {string} courseId - The course ID
+   * @param {string} assignmentId - The ID of the declaration assignment
+   * @param {Object} student - A student record
+   * @return {Promise<Object>} `blocked` says why the final declaration wasn't made (e.g. the marks don't add up),
+   *   or is null if it was
+   */
+  async createFinalDeclarationForStudent(courseId, assignmentId, student) {
+    const { name, userId, folderId } = student;
 
-      const name = studentDataRow[0];
-      const userId = studentDataRow[1];
-      const folderId = studentDataRow[2];
+    if (!folderId) {
+      console.log(`No folder ID found for user ${userId}`);
+      return { blocked: `No folder ID found for ${name}.` };
+    }
 
-      // Initialise a student sample prefixes array for creating the sample folders later.
+    const studentFolder = DriveApp.getFolderById(folderId);
 
+    // Get the declaration and marking grid files
+    // Uses `handleSingleEntryFileArray to ensure that a single file object is returned.
+    const { declarationFiles, markingGridFiles } = this.findStudentFolderFiles(studentFolder);
+    this.studentFolderDeclarationFile = DriveManager.handleSingleEntryFileArray(declarationFiles);
+    this.studentMarkingGridFile = markingGridFiles;
 
+    const submissions = ClassroomManager.getStudentSubmissions(courseId, assignmentId, userId);
+    let blocked = submissions.length === 0 ? `No declaration submission found for ${name}.` : null;
 
-      if (!folderId) {
-        console.log(`No folder ID found for user ${userId}`);
-        return;
+    for (const submission of submissions) {
+      // Find the first Google Doc attachment
+      this.gClassroomDeclarationFile = this.findFirstGoogleDocAttachment(submission);
+
+      if (!this.gClassroomDeclarationFile) {
+        console.error(`No Google Doc attachment found for user ${name}`);
+        throw new Error(`No Google Doc attachment found for user ${name}`);
+      }
+
+      console.log(`Found Google Doc attachment for user ${name}`);
+      const numbers = this.checkDeclarationNumbers(student);
+      SpreadsheetManager.updateStudentRecord(student, { numberCheck: numbers.message });
+
+      const prefixAndFilename = this.generateStudentSubmissionPrefixAndFilename(student, numbers);
+
+      if (!prefixAndFilename) {
+        blocked = `No filename could be generated for ${name}, as their candidate or centre number is missing.`;
+        console.error(`Skipping final declaration: ${blocked}`);
+        continue;
       }
 
-      const studentFolder = DriveApp.getFolderById(folderId);
+      if (!this.checkMarks(student)) {
+        blocked = `The marks for ${name} don't add up. Tick "Marks Override" to submit anyway.`;
+        console.error(`Skipping final declaration: ${blocked}`);
+        continue;
+      }
 
-      // Get the declaration and marking grid files
-      // Uses `handleSingleEntryFileArray to ensure that a single file object is returned.
-      this.studentFolderDeclarationFile = DriveMAnager.handleSingleEntryFileArray(
-        DriveManager.findFilesBySubstring(
+      // Now that we have all the files we need, create the final PDF.
+      const finalPdf = await this.createFinalDeclarationPDF(
+        name,
+        prefixAndFilename.fileName,
+        studentFolder
+      );
+      blocked = finalPdf && finalPdf.success ? null : `The final declaration PDF for ${name} couldn't be made.`;
+
+      // Record the prefix so later steps (e.g. the PDF merge) can name the sample folder.
+      // Guessed numbers aren't recorded, as the sheet is what later runs check against.
+      const fields = { submissionPrefix: prefixAndFilename.studentSubmissionPrefix };
+      if (numbers.Confidence === TextProcessor.CONFIDENCE.HIGH) {
+        if (!student.candidateNo) fields.candidateNo = prefixAndFilename.candidateNo;
+        if (!student.centreNo) fields.centreNo = prefixAndFilename.centreNo;
+      }
+      SpreadsheetManager.updateStudentRecord(student, fields);
+    }
+
+    return { blocked };
+  }
+
+  /**
+   * Checks the student's marking grid against the mark scheme and the total on their unsigned declaration
+   * (see `MarkValidator`), and writes the result to the "Mark Check" column
+   * @param {Object} student - A student record
+   * @return {boolean} True if the final declaration can be created: the marks add up, or a teacher has
+   *   ticked "Marks Override"
+   */
+  checkMarks(student) {
+    const validator = this.markValidator || MarkValidator.fromSpreadsheet();
+    const gridFiles = [].concat(this.studentMarkingGridFile || []);
+    // The unsigned declaration is an array unless exactly one was found
+    const declarationFile = Array.isArray(this.studentFolderDeclarationFile) ? null : this.studentFolderDeclarationFile;
+
+    const result = validator.validate(gridFiles[0] || null, declarationFile);
+    const overridden = result.status === MarkValidator.STATUS.MISMATCH && MarkValidator.isOverridden(student);
+    const message = MarkValidator.describe(result) + (overridden ? " (overridden)" : "");
+    console.log(`Mark check for ${student.name}: ${message}`);
+
+    SpreadsheetManager.updateStudentRecord(student, { markCheck: message });
+
+    const blocked = result.status === MarkValidator.STATUS.MISMATCH && !overridden;
+    if (blocked) {
+      // Add the column (if it isn't there yet) so the override can be ticked
+      SpreadsheetManager.ensureColumn(
+        SpreadsheetManager.getSpreadsheetSheets().studentSheet, SpreadsheetManager.STUDENT_COLUMNS.marksOverride);
+    }
+    return !blocked;
+  }
+
+  /**
+   * Finds the unsigned declaration and marking grid Google Docs in a student's folder
+   * @param {Folder} studentFolder - The student's Google Drive folder
+   * @return {Object} Object containing `declarationFiles` and `markingGridFiles` arrays (empty if none found)
+   */
+  findStudentFolderFiles(studentFolder) {
+    return {
+      declarationFiles: DriveManager.findFilesBySubstring(
         studentFolder,
         "Declaration",
         false,
         "application/vnd.google-apps.document",
-        "suffix")
-      );
-
-      this.studentMarkingGridFile = DriveManager.findFilesBySubstring(
+        "suffix"),
+      markingGridFiles: DriveManager.findFilesBySubstring(
         studentFolder,
         "Marking Grid",
         false,
         "application/vnd.google-apps.document",
-        "suffix");
-
-      const submissions = ClassroomManager.getStudentSubmissions(courseId, assignmentId, userId);
-
-      submissions.forEach(submission => {
-        // Find the first Google Doc attachment
-        this.gClassroomDeclarationFile = this.findFirstGoogleDocAttachment(submission);
-
-        if (!this.gClassroomDeclarationFile) {
-          console.error(`No Google Doc attachment found for user ${name}`);
-          throw new Error(`No Google Doc attachment found for user ${name}`);
-        }
-
-        console.log(`Found Google Doc attachment for user ${name}`);
-        const prefixAndFilename = this.generateStudentSubmissionPrefixAndFilename(name)
-
-        // Now that we have all the files we need, create the final PDF.
-        this.createFinalDeclarationPDF(
-          name,
-          prefixAndFilename.fileName,
-          studentFolder
-        );
-
-        studentDataRow.push(prefixAndFilename.studentSubmissionPrefix)
-
-
-
-      });
-
-    });
-    return studentFolderData//TODO: Come up with a more elegant way to get the submission prefix than buried down here.
-
-
+        "suffix")
+    };
   }
 
   /**
-   * Generates a filename for a declaration document according to the 
-   * WJEC required convention which is:
+   * Generates a filename for a declaration document according to the active naming convention
+   * (see `NamingConvention`). For WJEC this is:
    * {centreNumber}_{candidateNumber}_{firstInitial}_{firstTwoInitialOfSurname}
-   * @param {string} name - The student name
-   * @return {Object|null} Object containing fileName and studentSubmissionPrefix or null if required information not found
+   * @param {Object} student - The student record (its legal, Classroom or display name is used)
+   * @param {Object} [numbers] - The result of `checkDeclarationNumbers` (checked now if not given)
+   * @return {Object|null} Object containing fileName, studentSubmissionPrefix, candidateNo, centreNo and confidence,
+   *   or null if the numbers are neither in the Student Info sheet nor the declaration
    */
-  generateStudentSubmissionPrefixAndFilename(name) {
-    const { CandidateNo, CentreNo } = this.textProcessor.getCandidateAndCentreNo(this.gClassroomDeclarationFile)
+  generateStudentSubmissionPrefixAndFilename(student, numbers = this.checkDeclarationNumbers(student)) {
+    const { name } = student;
+
+    // The Student Info sheet is authoritative; the declaration only fills in numbers it doesn't have
+    const CandidateNo = NamingConvention.padNumber(student.candidateNo, TextProcessor.CANDIDATE_DIGITS) || numbers.CandidateNo;
+    const CentreNo = NamingConvention.padNumber(student.centreNo, TextProcessor.CENTRE_DIGITS) || numbers.CentreNo;
 
     if (CandidateNo && CentreNo) {
-      console.log(`Candidate number ${CandidateNo} and Centre number ${CentreNo} found in document.`);
-      const studentSubmissionPrefix = this.textProcessor.createStudentSubmissionPrefix(CentreNo, CandidateNo, name);
-      const newFileName = this.textProcessor.createFileName(studentSubmissionPrefix);
+      console.log(`Using candidate number ${CandidateNo} and centre number ${CentreNo}.`);
+      const studentSubmissionPrefix = this.textProcessor.createStudentSubmissionPrefix(CentreNo, CandidateNo, student);
+      const newFileName = this.textProcessor.createFileName(studentSubmissionPrefix, {
+        ...student,
+        centreNo: CentreNo,
+        candidateNo: CandidateNo
+      });
       console.log(`Generated filename for ${name}: ${newFileName}`);
       return {
         fileName: newFileName,
-        studentSubmissionPrefix: studentSubmissionPrefix
+        studentSubmissionPrefix: studentSubmissionPrefix,
+        candidateNo: CandidateNo,
+        centreNo: CentreNo,
+        confidence: numbers.Confidence
       };
     } else {
       const fileId = this.gClassroomDeclarationFile.getId();
-      console.log(`Could not find Candidate/Centre number in document ID ${fileId} for ${name}. Cannot generate filename.`);
+      console.log(`Could not find Candidate/Centre number in Student Info or document ID ${fileId} for ${name}. Cannot generate filename.`);
       return null;
     }
   }
 
+  /**
+   * Reads the candidate and centre numbers from the signed declaration and checks them against the
+   * student's "Candidate No" and "Centre No" columns, ignoring lost leading zeros
+   * @param {Object} student - The student record
+   * @return {Object} The numbers found (see `TextProcessor.getCandidateAndCentreNo`) plus a `status`
+   *   (see `DeclarationProcessor.NUMBER_CHECK`) and a `message` describing it
+   */
+  checkDeclarationNumbers(student) {
+    const numbers = this.textProcessor.getCandidateAndCentreNo(this.gClassroomDeclarationFile);
+    const fields = [
+      { field: 'candidateNo', key: 'CandidateNo', label: 'candidate', digits: TextProcessor.CANDIDATE_DIGITS },
+      { field: 'centreNo', key: 'CentreNo', label: 'centre', digits: TextProcessor.CENTRE_DIGITS }
+    ];
+
+    const mismatches = fields
+      .filter(({ field, key, digits }) => student[field] && numbers[key] &&
+        NamingConvention.padNumber(student[field], digits) !== numbers[key])
+      .map(({ field, key, label }) => `declaration has ${label} number ${numbers[key]} but Student Info has ${student[field]}`);
+
+    const checks = DeclarationProcessor.NUMBER_CHECK;
+    if (mismatches.length > 0) {
+      numbers.status = checks.MISMATCH;
+      numbers.message = `${checks.MISMATCH}: ${mismatches.join('; ')}. The Student Info numbers are used for file names.`;
+    } else if (numbers.Confidence === TextProcessor.CONFIDENCE.NONE) {
+      numbers.status = checks.MISSING;
+      numbers.message = `${checks.MISSING}: no ${fields.filter(({ key }) => !numbers[key]).map(({ label }) => label).join(' or ')} number in the declaration`;
+    } else if (numbers.Confidence === TextProcessor.CONFIDENCE.LOW) {
+      numbers.status = checks.LOW_CONFIDENCE;
+      numbers.message = `${checks.LOW_CONFIDENCE}: ${fields.filter(({ key }) => numbers.Sources[key] === 'pattern').map(({ label }) => label).join(' and ')} number not labelled, so guessed`;
+    } else {
+      numbers.status = checks.OK;
+      numbers.message = checks.OK;
+    }
+
+    console.log(`Number check for ${student.name}: ${numbers.message}`);
+    return numbers;
+  }
+
   /**
    * Checks which declaration files are available and determines which files to use
    * for the merge process
@@ -315,6 +448,27 @@ class DeclarationProcessor {
     }
   }
 
+  /**
+   * Converts a Google Doc to a PDF in a folder. If the conflict policy skips the conversion, the PDF an
+   * earlier run made is used instead.
+   * @param {File|File[]} docFile - The Google Doc (or an array holding just that file)
+   * @param {Folder} folder - The folder the PDF is saved in
+   * @return {File|null} The PDF, or null if it was skipped and there is no earlier PDF
+   */
+  getDocAsPdf(docFile, folder) {
+    const pdfFile = DriveManager.copyGoogleDocAsPdf(docFile, folder);
+    if (pdfFile) {
+      return pdfFile;
+    }
+
+    const pdfName = `${DriveManager.handleSingleEntryFileArray(docFile).getName()}.pdf`;
+    const existingPdf = DriveManager.getFilesByName(folder, pdfName, MimeType.PDF)[0] || null;
+    if (existingPdf) {
+      console.log(`Using the existing "${pdfName}" (ID: ${existingPdf.getId()}).`);
+    }
+    return existingPdf;
+  }
+
   /**
    * Merges the declarations and the marking grid. 
    * @param {string} name - The student name
@@ -334,27 +488,51 @@ class DeclarationProcessor {
     }
 
     // 2. Convert the merged document and marking grid to PDF
-    let filesToMerge = [];
-    const mergedDeclarationPdf = DriveManager.copyGoogleDocAsPdf(mergedDeclarationFile, folder);
-    filesToMerge.push(mergedDeclarationPdf);
+    const mergedDeclarationPdf = this.getDocAsPdf(mergedDeclarationFile, folder);
+    const markingGridPdf = this.getDocAsPdf(this.studentMarkingGridFile, folder);
 
-    const markingGridPdf = DriveManager.copyGoogleDocAsPdf(this.studentMarkingGridFile, folder);
-    filesToMerge.push(markingGridPdf);
+    // The front sheet is never made without both parts
+    if (!mergedDeclarationPdf || !markingGridPdf) {
+      console.error(`Couldn't get the ${mergedDeclarationPdf ? "marking grid" : "declaration"} PDF for ${name}. Skipping the front sheet.`);
+      return null;
+    }
+    const filesToMerge = [mergedDeclarationPdf, markingGridPdf];
 
-    // 4. Merge the PDFs
-    const finalMergedPDF = PDFMerger.getInstance().mergePDFs(filesToMerge, mergedFileName, folder);
+    // 4. Merge the PDFs. The front sheet is only a few pages, so it never gets a contents page.
+    const finalMergedPDF = PDFMerger.getInstance().mergePDFs(filesToMerge, mergedFileName, folder, {
+      addBookmarks: true,
+      addContentsPage: false
+    });
 
     return finalMergedPDF;
   }
 }
 
+/**
+ * Name of the resumable job that creates the final declaration forms
+ * @type {string}
+ */
+DeclarationProcessor.DECLARATION_JOB = "finalDeclarations";
+
+/**
+ * Results of checking a declaration's candidate and centre numbers, written to the "Number Check" column
+ * @type {Object<string, string>}
+ */
+DeclarationProcessor.NUMBER_CHECK = {
+  OK: "OK",
+  LOW_CONFIDENCE: "LOW CONFIDENCE",
+  MISSING: "MISSING",
+  MISMATCH: "MISMATCH"
+};
+
 /**
  * Entry point function for processing declarations only
  * Gets user input for the assignment title and processes declarations
  * for all students in the spreadsheet
  */
-function processDeclarationsOnly() {
+async function processDeclarationsOnly() {
   const ui = SpreadsheetApp.getUi();
+  if (!UIManager.promptConflictPolicy()) return;
   const assignmentTitleResponse = UIManager.promptUser(
     'Enter Google Classroom Assignment Title',
     'Please enter the title of the Google Classroom assignment containing the declarations.'
@@ -365,30 +543,33 @@ function processDeclarationsOnly() {
 
 
     try {
-      // Get the data from the Student Info sheet
+      // Get the student records from the Student Info sheet
       const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Student Info");
       if (!sheet) {
         UIManager.showAlert('Student Info sheet not found. Please run "Get names and IDs" first.');
         return;
       }
 
-      const data = sheet.getDataRange().getValues();
-
-      // Create a separate array with courseId at the beginning
       const courseInfoSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Course Info");
       if (!courseInfoSheet) {
         UIManager.showAlert('Course Info sheet not found. Please run "Get names and IDs" first.');
         return;
       }
 
-      const courseId = courseInfoSheet.getRange(1, 2).getValue();
-      const processData = [[courseId]].concat([[""]]).concat(data); // Add courseId and a blank row
+      const students = SpreadsheetManager.getStudentRecords(sheet);
+
+      const runner = new JobRunner(DeclarationProcessor.DECLARATION_JOB).start('continueProcessingDeclarations', {
+        assignmentTitle: assignmentTitle,
+        conflictPolicy: DriveManager.conflictPolicy
+      });
 
       // Process the declarations
       const declarationProcessor = new DeclarationProcessor();
-      declarationProcessor.createFinalDeclarationForms(assignmentTitle, processData);
+      const summary = await declarationProcessor.createFinalDeclarationForms(assignmentTitle, students, runner);
 
-      UIManager.showAlert('Processing declarations completed.');
+      if (summary) {
+        UIManager.showAlert(`Processing declarations: ${JobRunner.describeSummary(summary)}`);
+      }
     } catch (e) {
       UIManager.showAlert(`Error: ${e.message}`);
       console.error(e);
@@ -398,3 +579,23 @@ function processDeclarationsOnly() {
   }
 }
 
+/**
+ * Continues a paused "process declarations" job. Called by the job's trigger or from the menu.
+ */
+async function continueProcessingDeclarations() {
+  const runner = new JobRunner(DeclarationProcessor.DECLARATION_JOB);
+  if (!runner.hasSavedState()) {
+    console.log('No saved progress for processing declarations.');
+    return;
+  }
+
+  const { assignmentTitle, conflictPolicy } = runner.getParams();
+  DriveManager.setConflictPolicy(conflictPolicy);
+
+  const declarationProcessor = new DeclarationProcessor();
+  const summary = await declarationProcessor.createFinalDeclarationForms(
+    assignmentTitle, SpreadsheetManager.getStudentRecords(), runner);
+  if (summary) {
+    JobRunner.reportSummary(summary);
+  }
+}
@@ -7,9 +7,10 @@ class DriveManager {
      * @param {string|File} sourceFileIdOrFile - The ID of the Google Document to copy or the File object.
      * @param {string} newName - The name for the new copied document.
      * @param {string|Folder} [destinationFolderIdOrFolder=null] - Optional ID of the folder or Folder object to place the copy in. Defaults to the source file's parent folder.
-     * @returns {File|null} The newly created File object, or null on error, if source is not a Doc, or if user cancels overwrite.
+     * @param {string} [conflictPolicy=null] - Optional conflict policy for this copy (see `CONFLICT_POLICIES`). Defaults to the run's policy.
+     * @returns {File|null} The newly created File object, or null on error, if source is not a Doc, or if the conflict policy skips the copy.
      */
-    static copyDocument(sourceFileIdOrFile, newName, destinationFolderIdOrFolder = null) {
+    static copyDocument(sourceFileIdOrFile, newName, destinationFolderIdOrFolder = null, conflictPolicy = null) {
       try {
         // Handle whether we received a string ID or a File object
         let sourceFile = typeof sourceFileIdOrFile === 'string' 
@@ -53,116 +54,267 @@ class DriveManager {
         }
 
         // Check for existing file with the new name in the target folder
-        if (this.checkAndHandleExistingFile(targetFolder, newName)) {
-            const copiedFile = sourceFile.makeCopy(newName, targetFolder);
-            console.log(`Document ${sourceFile.getId()} copied to "${newName}" (ID: ${copiedFile.getId()}) in folder "${targetFolder.getName()}".`);
+        const targetName = this.resolveFileConflict(targetFolder, newName, sourceFile, conflictPolicy);
+        if (targetName) {
+            const copiedFile = sourceFile.makeCopy(targetName, targetFolder);
+            console.log(`Document ${sourceFile.getId()} copied to "${targetName}" (ID: ${copiedFile.getId()}) in folder "${targetFolder.getName()}".`);
             return copiedFile;
         } else {
-            console.log(`Skipped copying document to "${newName}" as user chose not to replace existing file.`);
-            return null; // Operation skipped by user
+            console.log(`Skipped copying document to "${newName}" as a file with that name already exists.`);
+            return null; // Operation skipped by the conflict policy
         }
 
       } catch (e) {
         console.error(`Error copying document ${sourceFileIdOrFile} to "${newName}": ${e}`);
-        SpreadsheetApp.getUi().alert(`Error copying document: ${e.message}`);
+        // Job continuations run from a trigger, where there's no UI; the log has the error
+        if (this.isUiAvailable()) {
+          SpreadsheetApp.getUi().alert(`Error copying document: ${e.message}`);
+        }
         return null;
       }
     }
 
+    /**
+     * Sets the conflict policy used for the rest of this run and records it in the log
+     * @param {string} policy - One of the values in `CONFLICT_POLICIES`
+     */
+    static setConflictPolicy(policy) {
+      const policies = Object.values(DriveManager.CONFLICT_POLICIES);
+      if (!policies.includes(policy)) {
+        throw new Error(`Unknown conflict policy "${policy}". Expected one of: ${policies.join(', ')}.`);
+      }
+      DriveManager.conflictPolicy = policy;
+      console.log(`Conflict policy for this run: ${policy}`);
+    }
+
+    /**
+     * Checks whether a UI is available for prompting (it isn't when running from a trigger)
+     * @returns {boolean} True if dialogs can be shown
+     */
+    static isUiAvailable() {
+      try {
+        SpreadsheetApp.getUi();
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
+     * Works out which policy applies, falling back to `skip` when `ask` can't show a dialog
+     * @param {string} [conflictPolicy=null] - Policy passed to the calling method, if any
+     * @returns {string} The effective conflict policy
+     */
+    static getEffectiveConflictPolicy(conflictPolicy = null) {
+      const policy = conflictPolicy || DriveManager.conflictPolicy;
+      if (policy === DriveManager.CONFLICT_POLICIES.ASK && !this.isUiAvailable()) {
+        console.warn(`Conflict policy "${policy}" needs a UI, which isn't available. Using "${DriveManager.CONFLICT_POLICIES.SKIP}" instead.`);
+        return DriveManager.CONFLICT_POLICIES.SKIP;
+      }
+      return policy;
+    }
+
+    /**
+     * Adds a numbered suffix to a name, keeping any file extension at the end (e.g. "Report (2).pdf")
+     * @param {string} name - The original name
+     * @param {number} index - The number to add
+     * @returns {string} The suffixed name
+     */
+    static addNameSuffix(name, index) {
+      const match = name.match(/^(.+?)(\.[A-Za-z0-9]{1,5})$/);
+      return match ? `${match[1]} (${index})${match[2]}` : `${name} (${index})`;
+    }
+
     /**
      * Creates a folder in the specified parent folder
      * @param {string|Folder} parentFolderIdOrFolder - The parent folder ID or Folder object
      * @param {string} folderName - The name of the folder to create
-     * @returns {Folder} The created folder
+     * @param {string} [conflictPolicy=null] - Optional conflict policy for this folder (see `CONFLICT_POLICIES`). Defaults to the run's policy.
+     * @returns {Folder} The created folder, or the existing folder if the conflict policy keeps it
      */
-    static createFolder(parentFolderIdOrFolder, folderName) {
+    static createFolder(parentFolderIdOrFolder, folderName, conflictPolicy = null) {
       // Convert string ID to Folder object if needed
       const parentFolder = typeof parentFolderIdOrFolder === 'string'
         ? DriveApp.getFolderById(parentFolderIdOrFolder)
         : parentFolderIdOrFolder;
         
-      // Check if the folder already exists and get user confirmation if needed
-      if (this.checkAndHandleExistingFolder(parentFolder, folderName)) {
-        return parentFolder.createFolder(folderName);
+      // Check if the folder already exists and apply the conflict policy
+      const resolution = this.resolveFolderConflict(parentFolder, folderName, conflictPolicy);
+      if (resolution.existingFolder) {
+        return resolution.existingFolder;
       }
-      // If the folder exists and the user chose not to replace it, find and return the existing folder
-      return parentFolder.getFoldersByName(folderName).next();
+      return parentFolder.createFolder(resolution.folderName);
     }
     
     /**
-     * Checks if a file with the given name exists in the folder
+     * Applies the conflict policy when a file may already exist in the destination folder.
+     * Existing files are trashed when they are to be replaced.
      * @param {Folder} folder - The folder to check within
      * @param {string} newFileName - The name of the file to check for
-     * @returns {boolean} True if the operation should proceed (file doesn't exist or user chose YES), false otherwise
+     * @param {File} [sourceFile=null] - The file being copied or converted (needed for `overwrite-if-newer`)
+     * @param {string} [conflictPolicy=null] - Optional conflict policy (see `CONFLICT_POLICIES`). Defaults to the run's policy.
+     * @param {string} [mimeType=null] - Only files of this MIME type clash (e.g. a PDF can share its name with the Google Doc it was made from)
+     * @returns {string|null} The name to create the file with, or null if the operation should be skipped
      */
-    static checkAndHandleExistingFile(folder, newFileName) {
-      const existingFiles = folder.getFilesByName(newFileName);
-      if (existingFiles.hasNext()) {
-        const ui = SpreadsheetApp.getUi();
-        const response = ui.alert(
-          `File "${newFileName}" already exists in the destination folder. Replace?`,
-          ui.ButtonSet.YES_NO);
-    
-        if (response == ui.Button.YES) {
-          // Remove existing file(s)
-          while (existingFiles.hasNext()) {
-            existingFiles.next().setTrashed(true); // Move to trash
+    static resolveFileConflict(folder, newFileName, sourceFile = null, conflictPolicy = null, mimeType = null) {
+      const existingFiles = this.getFilesByName(folder, newFileName, mimeType);
+
+      if (existingFiles.length === 0) {
+        return newFileName; // File doesn't exist, proceed with operation
+      }
+
+      const policies = DriveManager.CONFLICT_POLICIES;
+      const policy = this.getEffectiveConflictPolicy(conflictPolicy);
+      let replace = false;
+
+      switch (policy) {
+        case policies.ASK: {
+          const ui = SpreadsheetApp.getUi();
+          const response = ui.alert(
+            `File "${newFileName}" already exists in the destination folder. Replace?`,
+            ui.ButtonSet.YES_NO);
+          replace = response == ui.Button.YES;
+          break;
+        }
+        case policies.OVERWRITE:
+          replace = true;
+          break;
+        case policies.OVERWRITE_IF_NEWER: {
+          if (!sourceFile) {
+            console.warn(`No source file to compare against "${newFileName}", so it will not be overwritten.`);
+            break;
           }
-          console.log(`Existing file "${newFileName}" marked for replacement.`);
-          return true; // Proceed with operation
-        } else {
-          console.log(`Skipping replacement for existing file "${newFileName}".`);
-          return false; // Skip operation
+          const newestExisting = Math.max(...existingFiles.map(file => file.getLastUpdated().getTime()));
+          replace = sourceFile.getLastUpdated().getTime() > newestExisting;
+          break;
         }
+        case policies.KEEP_BOTH: {
+          let index = 2;
+          let suffixedName = this.addNameSuffix(newFileName, index);
+          while (this.getFilesByName(folder, suffixedName, mimeType).length > 0) {
+            suffixedName = this.addNameSuffix(newFileName, ++index);
+          }
+          console.log(`File "${newFileName}" already exists. Keeping both and using "${suffixedName}".`);
+          return suffixedName;
+        }
+        case policies.SKIP:
+        default:
+          break;
       }
-      return true; // File doesn't exist, proceed with operation
+
+      if (replace) {
+        // Remove existing file(s)
+        existingFiles.forEach(file => file.setTrashed(true)); // Move to trash
+        console.log(`Existing file "${newFileName}" marked for replacement (policy: ${policy}).`);
+        return newFileName; // Proceed with operation
+      }
+
+      console.log(`Skipping replacement for existing file "${newFileName}" (policy: ${policy}).`);
+      return null; // Skip operation
     }
     
     /**
-     * Checks if a folder with the given name exists in the parent folder
+     * Gets the files with a given name in a folder
+     * @param {Folder} folder - The folder to look in
+     * @param {string} fileName - The file name
+     * @param {string} [mimeType=null] - Only return files of this MIME type
+     * @returns {File[]} The matching files (empty if there are none)
+     */
+    static getFilesByName(folder, fileName, mimeType = null) {
+      const files = [];
+      const fileIterator = folder.getFilesByName(fileName);
+      while (fileIterator.hasNext()) {
+        const file = fileIterator.next();
+        if (!mimeType || file.getMimeType() === mimeType) {
+          files.push(file);
+        }
+      }
+      return files;
+    }
+
+    /**
+     * Applies the conflict policy when a folder may already exist in the parent folder.
+     * Folders have no modification time worth comparing, so `overwrite-if-newer` keeps the existing folder.
      * @param {Folder} parentFolder - The parent folder to check within
      * @param {string} newFolderName - The name of the folder to check for
-     * @returns {boolean} True if the operation should proceed (folder doesn't exist or user chose YES), false otherwise
+     * @param {string} [conflictPolicy=null] - Optional conflict policy (see `CONFLICT_POLICIES`). Defaults to the run's policy.
+     * @returns {Object} `{ folderName }` to create a new folder with that name, or `{ existingFolder }` to reuse it
      */
-    static checkAndHandleExistingFolder(parentFolder, newFolderName) {
+    static resolveFolderConflict(parentFolder, newFolderName, conflictPolicy = null) {
       const existingFolders = parentFolder.getFoldersByName(newFolderName);
-      if (existingFolders.hasNext()) {
-        const ui = SpreadsheetApp.getUi();
-        const response = ui.alert(
-          `Folder "${newFolderName}" already exists in the destination location. Replace?`,
-          ui.ButtonSet.YES_NO);
-    
-        if (response == ui.Button.YES) {
-          // Remove existing folder(s)
-          while (existingFolders.hasNext()) {
-            existingFolders.next().setTrashed(true); // Move to trash
+      if (!existingFolders.hasNext()) {
+        return { folderName: newFolderName }; // Folder doesn't exist, proceed with operation
+      }
+
+      const policies = DriveManager.CONFLICT_POLICIES;
+      const policy = this.getEffectiveConflictPolicy(conflictPolicy);
+      let replace = false;
+
+      switch (policy) {
+        case policies.ASK: {
+          const ui = SpreadsheetApp.getUi();
+          const response = ui.alert(
+            `Folder "${newFolderName}" already exists in the destination location. Replace?`,
+            ui.ButtonSet.YES_NO);
+          replace = response == ui.Button.YES;
+          break;
+        }
+        case policies.OVERWRITE:
+          replace = true;
+          break;
+        case policies.KEEP_BOTH: {
+          let index = 2;
+          while (parentFolder.getFoldersByName(`${newFolderName} (${index})`).hasNext()) {
+            index++;
           }
-          console.log(`Existing folder "${newFolderName}" marked for replacement.`);
-          return true; // Proceed with operation
-        } else {
-          console.log(`Skipping replacement for existing folder "${newFolderName}".`);
-          return false; // Skip operation
+          console.log(`Folder "${newFolderName}" already exists. Keeping both and using "${newFolderName} (${index})".`);
+          return { folderName: `${newFolderName} (${index})` };
+        }
+        case policies.OVERWRITE_IF_NEWER:
+        case policies.SKIP:
+        default:
+          break;
+      }
+
+      if (replace) {
+        // Remove existing folder(s)
+        while (existingFolders.hasNext()) {
+          existingFolders.next().setTrashed(true); // Move to trash
         }
+        console.log(`Existing folder "${newFolderName}" marked for replacement (policy: ${policy}).`);
+        return { folderName: newFolderName }; // Proceed with operation
       }
-      return true; // Folder doesn't exist, proceed with operation
+
+      console.log(`Using existing folder "${newFolderName}" (policy: ${policy}).`);
+      return { existingFolder: parentFolder.getFoldersByName(newFolderName).next() };
     }
     
     /**
      * Checks if the provided file is a Zip archive
      * @param {File} file - The Drive file to check
-     * @returns {boolean} True if the file's MIME type is application/x-zip-compressed
+     * @returns {boolean} True if the file has any of the zip MIME types, or a .zip extension when Drive didn't recognise it
      */
     static isZip(file) {
-      return file.getMimeType() === "application/x-zip-compressed";
+      return FileTypeClassifier.classify(file) === FileTypeClassifier.TYPES.ZIP;
     }
     
     /**
      * Checks if the provided file is a PDF
      * @param {File} file - The Drive file to check
-     * @returns {boolean} True if the file's MIME type is PDF
+     * @returns {boolean} True if the file's MIME type is PDF, or it has a .pdf extension when Drive didn't recognise it
      */
     static isPdf(file) {
-      return file.getMimeType() === "application/pdf";
+      return FileTypeClassifier.classify(file) === FileTypeClassifier.TYPES.PDF;
+    }
+
+    /**
+     * Checks if the provided file is a JPEG or PNG image (which can be merged as a PDF page)
+     * @param {File} file - The Drive file to check
+     * @returns {boolean} True if the file's MIME type is image/jpeg or image/png, or it has a .jpg, .jpeg or .png
+     *   extension when Drive didn't recognise it
+     */
+    static isImage(file) {
+      return FileTypeClassifier.classify(file) === FileTypeClassifier.TYPES.IMAGE;
     }
     
     /**
@@ -178,40 +330,121 @@ class DriveManager {
      * Copies the given file to the specified folder with a new name
      * @param {File} file - The Drive file to copy
      * @param {Folder} folder - The destination folder
-     * @param {string} prependString - The string to prepend to the file name
+     * @param {string} prependString - The string to prepend to the file name (placed by the naming convention's `submissionCopy` template)
+     * @param {string} [conflictPolicy=null] - Optional conflict policy for this copy (see `CONFLICT_POLICIES`). Defaults to the run's policy.
+     * @returns {File|null} The copied file, or null if the conflict policy skipped it
      */
-    static copyFile(file, folder, prependString) {
+    static copyFile(file, folder, prependString, conflictPolicy = null) {
       file = this.handleSingleEntryFileArray(file);
-      const newFileName = `${prependString}_${file.getName()}`;
-      if (this.checkAndHandleExistingFile(folder, newFileName)) {
-        file.makeCopy(newFileName, folder);
-        console.log(`File "${file.getName()}" copied as "${newFileName}".`);
+      const newFileName = NamingConvention.getActive().submissionCopyName(file.getName(), prependString);
+      const targetName = this.resolveFileConflict(folder, newFileName, file, conflictPolicy);
+      if (targetName) {
+        const copiedFile = file.makeCopy(targetName, folder);
+        console.log(`File "${file.getName()}" copied as "${targetName}".`);
+        return copiedFile;
       }
+      return null;
     }
     
     /**
      * Converts a Google Docs file to PDF and copies it to the specified folder with a new name
      * @param {File} file - The Google Docs file to convert
      * @param {Folder} folder - The destination folder
-     * @param {string} prependString - The string to prepend to the file name
+     * @param {string} [prependString] - The string to prepend to the file name (placed by the naming convention's `submissionCopy` template)
+     * @param {string} [conflictPolicy=null] - Optional conflict policy for this conversion (see `CONFLICT_POLICIES`). Defaults to the run's policy.
+     * @returns {File|null} The new PDF file, or null if the conflict policy skipped it
+     */
+    static copyGoogleDocAsPdf(file, folder, prependString, conflictPolicy = null) {
+      return this.copyGoogleFileAsPdf(file, folder, prependString, conflictPolicy);
+    }
+    
+    /**
+     * Converts a Google Docs, Sheets or Slides file to PDF and copies it to the specified folder with a new name.
+     * Sheets are exported with `SHEET_EXPORT_OPTIONS`; Docs and Slides use Drive's own PDF export, which puts
+     * one slide on each page.
+     * @param {File} file - The Google file to convert
+     * @param {Folder} folder - The destination folder
+     * @param {string} [prependString] - The string to prepend to the file name (placed by the naming convention's `submissionCopy` template)
+     * @param {string} [conflictPolicy=null] - Optional conflict policy for this conversion (see `CONFLICT_POLICIES`). Defaults to the run's policy.
+     * @returns {File|null} The new PDF file, or null if the conflict policy skipped it
+     */
+    static copyGoogleFileAsPdf(file, folder, prependString, conflictPolicy = null) {
+      file = this.handleSingleEntryFileArray(file);
+      // Append '.pdf' to the original name for clarity. Without a prepend string the name is unchanged.
+      const newFilename = prependString
+        ? `${NamingConvention.getActive().submissionCopyName(file.getName(), prependString)}.pdf`
+        : `${file.getName()}.pdf`;
+
+      const targetName = this.resolveFileConflict(folder, newFilename, file, conflictPolicy);
+      if (targetName) {
+        const pdfBlob = file.getMimeType() === MimeType.GOOGLE_SHEETS
+          ? this.exportSheetAsPdf(file)
+          : file.getAs("application/pdf");
+        const pdfFile = folder.createFile(pdfBlob).setName(targetName);
+        console.log(`Document "${file.getName()}" (converted to PDF) copied as "${targetName}".`);
+        return pdfFile;
+      }
+      return null;
+    }
+    
+    /**
+     * Exports a Google Sheet as a PDF using the spreadsheet export URL, which (unlike `getAs`) can set the
+     * page orientation and scaling
+     * @param {File} file - The Google Sheets file
+     * @param {Object} [options=DriveManager.SHEET_EXPORT_OPTIONS] - Export URL parameters
+     * @returns {Blob} The PDF
+     * @throws {Error} If the export fails
+     */
+    static exportSheetAsPdf(file, options = DriveManager.SHEET_EXPORT_OPTIONS) {
+      const query = Object.keys(options).map(key => `${key}=${encodeURIComponent(options[key])}`).join("&");
+      const response = UrlFetchApp.fetch(`https://docs.google.com/spreadsheets/d/${file.getId()}/export?format=pdf&${query}`, {
+        headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+        muteHttpExceptions: true
+      });
+      if (response.getResponseCode() !== 200) {
+        throw new Error(`Couldn't export ${file.getName()} as a PDF (HTTP ${response.getResponseCode()}).`);
+      }
+      return response.getBlob().setName(`${file.getName()}.pdf`);
+    }
+    
+    /**
+     * Converts a Word or PowerPoint file to PDF and copies it to the specified folder with a new name.
+     * Drive converts the file to a Google Doc or Slides first (this needs the Drive API advanced service),
+     * and the temporary Google file is moved to the bin afterwards.
+     * @param {File} file - The Word or PowerPoint file to convert
+     * @param {Folder} folder - The destination folder
+     * @param {string} [prependString] - The string to prepend to the file name (placed by the naming convention's `submissionCopy` template)
+     * @param {string} [conflictPolicy=null] - Optional conflict policy for this conversion (see `CONFLICT_POLICIES`). Defaults to the run's policy.
+     * @returns {File|null} The new PDF file, or null if the conflict policy skipped it
+     * @throws {Error} If the file isn't a Word or PowerPoint file
      */
-    static copyGoogleDocAsPdf(file, folder, prependString) {
+    static copyOfficeFileAsPdf(file, folder, prependString, conflictPolicy = null) {
       file = this.handleSingleEntryFileArray(file);
-      const pdfBlob = file.getAs("application/pdf");
-      // Append '.pdf' to the original name for clarity.
-      let newFilename;
+      const targetMimeType = FileTypeClassifier.getConversionMimeType(FileTypeClassifier.classify(file));
+      if (!targetMimeType) {
+        throw new Error(`${file.getName()} isn't a Word or PowerPoint file.`);
+      }
 
-      if (!prependString) {
-        newFilename = `${file.getName()}.pdf`
-      } else {
-        newFilename = `${prependString}_${file.getName()}.pdf`;
+      // The Office extension is replaced with '.pdf'
+      const baseName = file.getName().replace(/\.[^.]+$/, "");
+      const newFilename = prependString
+        ? `${NamingConvention.getActive().submissionCopyName(baseName, prependString)}.pdf`
+        : `${baseName}.pdf`;
+
+      const targetName = this.resolveFileConflict(folder, newFilename, file, conflictPolicy);
+      if (!targetName) {
+        return null;
       }
 
-      if (this.checkAndHandleExistingFile(folder, newFilename)) {
-        const file = folder.createFile(pdfBlob).setName(newFilename);
-        console.log(`Document "${file.getName()}" (converted to PDF) copied as "${newFilename}".`);
+      const converted = Drive.Files.copy({ name: `${baseName} (converting)`, mimeType: targetMimeType }, file.getId());
+      const googleFile = DriveApp.getFileById(converted.id);
+      try {
+        const pdfFile = folder.createFile(googleFile.getAs("application/pdf")).setName(targetName);
+        console.log(`File "${file.getName()}" (converted to PDF) copied as "${targetName}".`);
+        return pdfFile;
+      } finally {
+        googleFile.setTrashed(true);
       }
-      return file;
     }
     
     /**
@@ -306,9 +539,10 @@ class DriveManager {
      * @param {string|File} driveFileIdOrFile - The ID of the Drive file or File object
      * @param {string|Folder} folderIdOrFolder - The ID of the folder or Folder object where the file will be copied
      * @param {string} newFileName - The name of the file
+     * @param {string} [conflictPolicy=null] - Optional conflict policy for this copy (see `CONFLICT_POLICIES`). Defaults to the run's policy.
      * @returns {File|null} The copied file, or null if the operation was skipped
      */
-    static copyAndRenameFile(driveFileIdOrFile, folderIdOrFolder, newFileName) {
+    static copyAndRenameFile(driveFileIdOrFile, folderIdOrFolder, newFileName, conflictPolicy = null) {
       // Handle whether we received a string ID or a File object
       let driveFile = typeof driveFileIdOrFile === 'string' 
         ? DriveApp.getFileById(driveFileIdOrFile) 
@@ -323,8 +557,9 @@ class DriveManager {
         : folderIdOrFolder;
       
       // Check if file with same name already exists
-      if (this.checkAndHandleExistingFile(folder, newFileName)) {
-        return driveFile.makeCopy(newFileName, folder);
+      const targetName = this.resolveFileConflict(folder, newFileName, driveFile, conflictPolicy);
+      if (targetName) {
+        return driveFile.makeCopy(targetName, folder);
       }
       return null;
     }
@@ -342,4 +577,39 @@ class DriveManager {
       }
       return file;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Policies for handling a file or folder that already exists at the destination.
+ * `ask` prompts for each clash (and falls back to `skip` when there is no UI, e.g. from a trigger).
+ * @enum {string}
+ */
+DriveManager.CONFLICT_POLICIES = {
+  ASK: 'ask',
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  KEEP_BOTH: 'keep-both-with-suffix',
+  OVERWRITE_IF_NEWER: 'overwrite-if-newer'
+};
+
+/**
+ * The conflict policy for the current run. Set once per run with `DriveManager.setConflictPolicy`.
+ * @type {string}
+ */
+DriveManager.conflictPolicy = DriveManager.CONFLICT_POLICIES.ASK;
+
+/**
+ * Spreadsheet export URL parameters used when converting Google Sheets to PDF: every tab on landscape A4,
+ * scaled to the page width, without gridlines but with each tab's name at the top
+ * @type {Object<string, string|boolean>}
+ */
+DriveManager.SHEET_EXPORT_OPTIONS = {
+  size: "A4",
+  portrait: false,
+  fitw: true,
+  gridlines: false,
+  sheetnames: true,
+  printtitle: false,
+  pagenum: "CENTER",
+  fzr: true
+};
@@ -0,0 +1,121 @@
+/**
+ * Works out what kind of file a student has submitted, so that each kind can be copied, converted or
+ * rendered the right way. The MIME type is checked first. Drive doesn't always recognise uploads (zips
+ * from Macs and Chromebooks, or source code, often arrive as `application/octet-stream`), so the file's
+ * extension is used when the MIME type doesn't say.
+ */
+class FileTypeClassifier {
+  /**
+   * Gets the type of a Drive file
+   * @param {File} file - The Drive file
+   * @returns {string} One of `FileTypeClassifier.TYPES`
+   */
+  static classify(file) {
+    return FileTypeClassifier.classifyName(file.getName(), file.getMimeType());
+  }
+
+  /**
+   * Gets the type of a file from its name and MIME type
+   * @param {string} fileName - The file name
+   * @param {string} [mimeType=""] - The MIME type, if known
+   * @returns {string} One of `FileTypeClassifier.TYPES`
+   */
+  static classifyName(fileName, mimeType = "") {
+    const types = FileTypeClassifier.TYPES;
+    const byMimeType = Object.keys(FileTypeClassifier.MIME_TYPES)
+      .find(type => FileTypeClassifier.MIME_TYPES[type].includes(mimeType));
+    if (byMimeType) return byMimeType;
+
+    // Google files are recognised by MIME type alone, as they have no extension
+    if (String(mimeType).startsWith("application/vnd.google-apps.")) return types.OTHER;
+
+    const extension = FileTypeClassifier.getExtension(fileName);
+    const byExtension = Object.keys(FileTypeClassifier.EXTENSIONS)
+      .find(type => FileTypeClassifier.EXTENSIONS[type].includes(extension));
+    if (byExtension) return byExtension;
+
+    return SourceCodeRenderer.getLanguage(fileName) ? types.SOURCE : types.OTHER;
+  }
+
+  /**
+   * Gets a file's extension
+   * @param {string} fileName - The file name
+   * @returns {string} The extension in lower case, without the dot (empty if there isn't one)
+   */
+  static getExtension(fileName) {
+    const match = String(fileName).match(/\.([^./\\]+)$/);
+    return match ? match[1].toLowerCase() : "";
+  }
+
+  /**
+   * Gets the Google file type that an Office file is converted to before it is saved as a PDF
+   * @param {string} type - The file's type (see `FileTypeClassifier.TYPES`)
+   * @returns {string|null} The Google MIME type, or null if the type isn't converted through Drive
+   */
+  static getConversionMimeType(type) {
+    return FileTypeClassifier.CONVERSIONS[type] || null;
+  }
+}
+
+/**
+ * The kinds of file that are told apart
+ * @type {Object<string, string>}
+ */
+FileTypeClassifier.TYPES = {
+  PDF: "pdf",
+  GOOGLE_DOC: "googleDoc",
+  GOOGLE_SHEET: "googleSheet",
+  GOOGLE_SLIDES: "googleSlides",
+  WORD: "word",
+  POWERPOINT: "powerpoint",
+  ZIP: "zip",
+  IMAGE: "image",
+  SOURCE: "source",
+  OTHER: "other"
+};
+
+/**
+ * The MIME types of each kind of file
+ * @type {Object<string, string[]>}
+ */
+FileTypeClassifier.MIME_TYPES = {
+  pdf: ["application/pdf"],
+  googleDoc: ["application/vnd.google-apps.document"],
+  googleSheet: ["application/vnd.google-apps.spreadsheet"],
+  googleSlides: ["application/vnd.google-apps.presentation"],
+  word: [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/msword",
+    "application/rtf",
+    "application/vnd.oasis.opendocument.text"
+  ],
+  powerpoint: [
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    "application/vnd.ms-powerpoint",
+    "application/vnd.oasis.opendocument.presentation"
+  ],
+  zip: ["application/zip", "application/x-zip-compressed", "application/x-zip", "multipart/x-zip"],
+  image: ["image/jpeg", "image/png"]
+};
+
+/**
+ * Extensions used when the MIME type doesn't identify a file. Source code extensions come from
+ * `SourceCodeRenderer.LANGUAGES`.
+ * @type {Object<string, string[]>}
+ */
+FileTypeClassifier.EXTENSIONS = {
+  pdf: ["pdf"],
+  word: ["docx", "doc", "rtf", "odt"],
+  powerpoint: ["pptx", "ppt", "odp"],
+  zip: ["zip"],
+  image: ["jpg", "jpeg", "png"]
+};
+
+/**
+ * The Google file type each Office type is converted to by Drive
+ * @type {Object<string, string>}
+ */
+FileTypeClassifier.CONVERSIONS = {
+  word: "application/vnd.google-apps.document",
+  powerpoint: "application/vnd.google-apps.presentation"
+};
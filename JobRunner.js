@@ -0,0 +1,345 @@
+/**
+ * Runs a per-student workflow in chunks that fit inside the Apps Script execution time limit.
+ *
+ * Progress is saved to PropertiesService after every item. When the run gets close to the
+ * deadline it stops cleanly and schedules a time-based trigger that calls the job's handler
+ * function, which picks up the saved state and carries on with the remaining items.
+ * PropertiesService, ScriptApp and the clock can be swapped for fakes when testing.
+ */
+class JobRunner {
+  /**
+   * Creates a runner for the named job, loading any saved progress
+   * @param {string} jobName - Unique name for the job (used as the properties key)
+   * @param {Object} [services={}] - Optional `properties`, `scriptApp`, `clock` (with a `now()` method) and `maxRuntimeMs` overrides
+   */
+  constructor(jobName, services = {}) {
+    this.jobName = jobName;
+    this.properties = services.properties || PropertiesService.getScriptProperties();
+    this.scriptApp = services.scriptApp || ScriptApp;
+    this.clock = services.clock || { now: () => Date.now() };
+    this.maxRuntimeMs = services.maxRuntimeMs || JobRunner.MAX_RUNTIME_MS;
+    this.startTime = this.clock.now();
+    this.state = this.loadState();
+  }
+
+  /**
+   * Gets the PropertiesService key that holds a job's state
+   * @param {string} jobName - The job name
+   * @returns {string} The property key
+   */
+  static getPropertyKey(jobName) {
+    return `${JobRunner.PROPERTY_PREFIX}${jobName}`;
+  }
+
+  /**
+   * Lists every job with saved progress
+   * @param {Object} [properties=null] - The properties store (defaults to the script properties)
+   * @returns {Object[]} The saved state of each paused job
+   */
+  static listPendingJobs(properties = null) {
+    const store = properties || PropertiesService.getScriptProperties();
+    const allProperties = store.getProperties();
+    return Object.keys(allProperties)
+      .filter(key => key.startsWith(JobRunner.PROPERTY_PREFIX))
+      .map(key => JSON.parse(allProperties[key]));
+  }
+
+  /**
+   * Loads the saved state for this job
+   * @returns {Object|null} The saved state or null if the job has no saved progress
+   */
+  loadState() {
+    const json = this.properties.getProperty(JobRunner.getPropertyKey(this.jobName));
+    return json ? JSON.parse(json) : null;
+  }
+
+  /**
+   * Saves the current state for this job
+   */
+  saveState() {
+    this.properties.setProperty(JobRunner.getPropertyKey(this.jobName), JSON.stringify(this.state));
+  }
+
+  /**
+   * Checks whether the job has saved progress to continue from
+   * @returns {boolean} True if there is saved progress
+   */
+  hasSavedState() {
+    return this.state !== null;
+  }
+
+  /**
+   * Starts the job afresh, discarding any saved progress
+   * @param {string} handlerFunction - Name of the global function that continues the job (called by the trigger)
+   * @param {Object} [params={}] - JSON-serialisable parameters the handler needs to continue the job
+   * @returns {JobRunner} This runner, for chaining
+   */
+  start(handlerFunction, params = {}) {
+    this.deleteContinuationTriggers(handlerFunction);
+    this.state = {
+      jobName: this.jobName,
+      handlerFunction: handlerFunction,
+      params: params,
+      completed: [],
+      failed: [],
+      progress: {},
+      startedAt: new Date(this.clock.now()).toISOString(),
+      runs: 0
+    };
+    this.saveState();
+    console.log(`Started job "${this.jobName}" with parameters: ${JSON.stringify(params)}`);
+    return this;
+  }
+
+  /**
+   * Counts an outcome for a group of work within the current item, such as one assignment of a student's
+   * collection. The counts are saved with the item and included in the run summary as `progress`.
+   * @param {string} group - The group the outcome belongs to (e.g. an assignment title)
+   * @param {string} outcome - What happened (e.g. "copied")
+   */
+  recordProgress(group, outcome) {
+    if (!this.state.progress) this.state.progress = {};
+    const counts = this.state.progress[group] || (this.state.progress[group] = {});
+    counts[outcome] = (counts[outcome] || 0) + 1;
+  }
+
+  /**
+   * Gets the parameters the job was started with
+   * @returns {Object} The job parameters
+   */
+  getParams() {
+    return this.state ? this.state.params : {};
+  }
+
+  /**
+   * Checks whether there is enough time left to process another item
+   * @param {number} longestItemMs - The longest time any item has taken so far in this run
+   * @returns {boolean} True if the next item might not finish before the deadline
+   */
+  isOutOfTime(longestItemMs) {
+    const elapsed = this.clock.now() - this.startTime;
+    return elapsed + longestItemMs > this.maxRuntimeMs;
+  }
+
+  /**
+   * Processes every item that hasn't been completed yet, saving progress after each one.
+   * A failing item is recorded and skipped so that one bad student can't stall the job.
+   * @param {Object[]} items - The items to process (e.g. student records)
+   * @param {function(Object): string} getKey - Returns a stable key for an item (e.g. its User ID)
+   * @param {function(Object): (Promise|*)} processItem - Processes one item
+   * @returns {Promise<Object>} Summary with `status` ("complete" or "paused"), `processed`, `remaining`, `total`, `failed`
+   *   and the `progress` counted with `recordProgress`
+   */
+  async run(items, getKey, processItem) {
+    if (!this.state) {
+      throw new Error(`Job "${this.jobName}" has not been started.`);
+    }
+
+    this.state.runs++;
+    const completed = new Set(this.state.completed);
+    const pending = items.filter(item => !completed.has(String(getKey(item))));
+    let longestItemMs = 0;
+    let processed = 0;
+
+    console.log(`Job "${this.jobName}" run ${this.state.runs}: ${pending.length} of ${items.length} items remaining.`);
+
+    for (const item of pending) {
+      if (this.isOutOfTime(longestItemMs)) {
+        this.saveState();
+        this.scheduleContinuation();
+        const remaining = pending.length - processed;
+        console.log(`Job "${this.jobName}" paused with ${remaining} items remaining. A trigger will continue it.`);
+        return this.summarise("paused", processed, remaining, items.length);
+      }
+
+      const key = String(getKey(item));
+      const itemStart = this.clock.now();
+      try {
+        await processItem(item);
+      } catch (e) {
+        console.error(`Job "${this.jobName}" failed on item ${key}: ${e.message}`);
+        this.state.failed.push({ key: key, message: String(e.message).slice(0, 200) });
+      }
+      longestItemMs = Math.max(longestItemMs, this.clock.now() - itemStart);
+
+      this.state.completed.push(key);
+      processed++;
+      this.saveState();
+    }
+
+    const summary = this.summarise("complete", processed, 0, items.length);
+    this.clear();
+    console.log(`Job "${this.jobName}" complete after ${summary.runs} run(s).`);
+    return summary;
+  }
+
+  /**
+   * Builds the summary returned by `run`
+   * @private
+   */
+  summarise(status, processed, remaining, total) {
+    return {
+      status: status,
+      processed: processed,
+      remaining: remaining,
+      total: total,
+      runs: this.state.runs,
+      failed: this.state.failed.slice(),
+      progress: JSON.parse(JSON.stringify(this.state.progress || {}))
+    };
+  }
+
+  /**
+   * Schedules a one-off trigger that calls the job's handler function to continue it
+   */
+  scheduleContinuation() {
+    const handlerFunction = this.state.handlerFunction;
+    this.deleteContinuationTriggers(handlerFunction);
+    this.scriptApp.newTrigger(handlerFunction)
+      .timeBased()
+      .after(JobRunner.CONTINUATION_DELAY_MS)
+      .create();
+    console.log(`Scheduled "${handlerFunction}" to continue job "${this.jobName}".`);
+  }
+
+  /**
+   * Deletes any triggers that would continue this job
+   * @param {string} [handlerFunction=null] - The handler function (defaults to the saved one)
+   */
+  deleteContinuationTriggers(handlerFunction = null) {
+    const handler = handlerFunction || (this.state && this.state.handlerFunction);
+    if (!handler) return;
+
+    this.scriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === handler)
+      .forEach(trigger => this.scriptApp.deleteTrigger(trigger));
+  }
+
+  /**
+   * Removes the saved state and any continuation triggers
+   */
+  clear() {
+    this.deleteContinuationTriggers();
+    this.properties.deleteProperty(JobRunner.getPropertyKey(this.jobName));
+    this.state = null;
+  }
+
+  /**
+   * Abandons the job, discarding its progress
+   */
+  abandon() {
+    console.log(`Abandoning job "${this.jobName}".`);
+    this.clear();
+  }
+
+  /**
+   * Builds a short description of a run summary for alerts
+   * @param {Object} summary - The summary returned by `run`
+   * @returns {string} The description
+   */
+  static describeSummary(summary) {
+    const lines = [];
+    if (summary.status === "paused") {
+      lines.push(`Paused before the time limit with ${summary.remaining} of ${summary.total} students left. It will continue automatically in a minute or so, or you can resume it from the menu.`);
+    } else {
+      lines.push(`Finished all ${summary.total} students.`);
+    }
+    if (summary.failed.length > 0) {
+      lines.push(`Failed for ${summary.failed.length}: ${summary.failed.map(f => `${f.key} (${f.message})`).join('; ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Logs a run summary and shows it as an alert when a UI is available (it isn't from a trigger)
+   * @param {Object} summary - The summary returned by `run`
+   */
+  static reportSummary(summary) {
+    const description = JobRunner.describeSummary(summary);
+    console.log(description);
+    if (DriveManager.isUiAvailable()) {
+      UIManager.showAlert(description);
+    }
+  }
+}
+
+/**
+ * Time after which a run stops picking up new items. Apps Script stops executions at six minutes.
+ * @type {number}
+ */
+JobRunner.MAX_RUNTIME_MS = 5 * 60 * 1000;
+
+/**
+ * Delay before the continuation trigger fires
+ * @type {number}
+ */
+JobRunner.CONTINUATION_DELAY_MS = 60 * 1000;
+
+/**
+ * Prefix for the script properties that hold job state
+ * @type {string}
+ */
+JobRunner.PROPERTY_PREFIX = "JobRunner.";
+
+/**
+ * Entry point for resuming a paused job from the menu
+ */
+async function resumeJob() {
+  const pendingJobs = JobRunner.listPendingJobs();
+  if (pendingJobs.length === 0) {
+    UIManager.showAlert('There are no paused jobs.');
+    return;
+  }
+
+  const jobName = promptForPendingJob_(pendingJobs, 'Resume Job', 'resume');
+  if (!jobName) return;
+
+  const job = pendingJobs.find(j => j.jobName === jobName);
+  new JobRunner(jobName).deleteContinuationTriggers();
+  await globalThis[job.handlerFunction]();
+}
+
+/**
+ * Entry point for abandoning a paused job from the menu
+ */
+function abandonJob() {
+  const pendingJobs = JobRunner.listPendingJobs();
+  if (pendingJobs.length === 0) {
+    UIManager.showAlert('There are no paused jobs.');
+    return;
+  }
+
+  const jobName = promptForPendingJob_(pendingJobs, 'Abandon Job', 'abandon');
+  if (!jobName) return;
+
+  new JobRunner(jobName).abandon();
+  UIManager.showAlert(`Job "${jobName}" abandoned. Files it has already created are left in place.`);
+}
+
+/**
+ * Asks the user which paused job to act on
+ * @param {Object[]} pendingJobs - Saved state of each paused job
+ * @param {string} title - The prompt title
+ * @param {string} verb - What will be done to the job (e.g. "resume")
+ * @returns {string|null} The chosen job name or null if cancelled or not found
+ */
+function promptForPendingJob_(pendingJobs, title, verb) {
+  const descriptions = pendingJobs.map(job =>
+    `${job.jobName}: ${job.completed.length} done, started ${job.startedAt}`);
+  const response = UIManager.promptUser(
+    title,
+    `Paused jobs:\n${descriptions.join('\n')}\n\nEnter the name of the job to ${verb}:`
+  );
+
+  if (response.getSelectedButton() !== SpreadsheetApp.getUi().Button.OK) {
+    UIManager.showAlert('Operation canceled.');
+    return null;
+  }
+
+  const jobName = response.getResponseText().trim();
+  if (!pendingJobs.some(job => job.jobName === jobName)) {
+    UIManager.showAlert(`No paused job called "${jobName}".`);
+    return null;
+  }
+  return jobName;
+}
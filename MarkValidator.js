@@ -0,0 +1,294 @@
+/**
+ * Checks that a student's marks add up before their declaration goes to the exam board: each criterion
+ * must be within its maximum, and the declaration's total must equal the sum of the marking grid.
+ *
+ * The maximum for each criterion comes from the "Mark Scheme" sheet (Criterion | Max Marks), which can be
+ * filled in from the marking grid template with "Set up mark scheme". Without that sheet the template's
+ * own maximums are used, and without a template each grid is checked against the maximums it states.
+ */
+class MarkValidator {
+  /**
+   * Creates a validator for a mark scheme
+   * @param {Object[]|null} markScheme - The criteria, each with a `name` and `max` (null for no maximum),
+   *   or null to check each grid against its own criteria
+   */
+  constructor(markScheme) {
+    this.markScheme = markScheme;
+    this.marksExtractor = new MarksExtractor();
+  }
+
+  /**
+   * Creates a validator for the active spreadsheet, using the "Mark Scheme" sheet if there is one and
+   * otherwise the marking grid template listed in the Course Info sheet
+   * @returns {MarkValidator} The validator
+   */
+  static fromSpreadsheet() {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    let markScheme = MarkValidator.loadMarkScheme(spreadsheet.getSheetByName(MarkValidator.MARK_SCHEME_SHEET));
+
+    if (!markScheme) {
+      const courseSheet = spreadsheet.getSheetByName("Course Info");
+      const extractor = new MarksExtractor();
+      const template = courseSheet ? extractor.findMarkingGridTemplate(courseSheet) : null;
+      if (template) {
+        markScheme = extractor.getCriteria(template);
+      } else {
+        console.warn('No mark scheme or marking grid template found. Each grid will be checked against its own maximums.');
+      }
+    }
+
+    return new MarkValidator(markScheme);
+  }
+
+  /**
+   * Reads the mark scheme from the "Mark Scheme" sheet
+   * @param {Object} sheet - The "Mark Scheme" sheet (may be null)
+   * @returns {Object[]|null} The criteria, each with a `name` and `max`, or null if the sheet is missing or empty
+   */
+  static loadMarkScheme(sheet) {
+    if (!sheet || sheet.getLastRow() < 2) {
+      return null;
+    }
+
+    const markScheme = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues()
+      .filter(([name]) => String(name).trim())
+      .map(([name, max]) => ({
+        name: String(name).trim(),
+        max: MarksExtractor.parseMark(max).value
+      }));
+    return markScheme.length > 0 ? markScheme : null;
+  }
+
+  /**
+   * Writes the criteria to the "Mark Scheme" sheet, replacing anything already there
+   * @param {Object[]} criteria - The criteria, each with a `name` and `max`
+   * @returns {Object} The sheet
+   */
+  static writeMarkSchemeSheet(criteria) {
+    const rows = criteria.map(criterion => [criterion.name, criterion.max === null ? "" : criterion.max]);
+    return SpreadsheetManager.writeReportSheet(MarkValidator.MARK_SCHEME_SHEET, ["Criterion", "Max Marks"], rows);
+  }
+
+  /**
+   * Checks whether a teacher has chosen to submit a student's declaration even though its marks don't add up
+   * @param {Object} student - A student record
+   * @returns {boolean} True if the "Marks Override" column is ticked or says yes
+   */
+  static isOverridden(student) {
+    return ["true", "yes", "y", "x"].includes(String(student.marksOverride || "").trim().toLowerCase());
+  }
+
+  /**
+   * Checks a student's marking grid against the mark scheme and their declaration
+   * @param {File|null} markingGridFile - The student's marking grid Google Doc
+   * @param {File|null} declarationFile - The declaration Google Doc with the marks (the unsigned one in the student folder)
+   * @returns {Object} `status` (see `MarkValidator.STATUS`), `gridTotal` (the recomputed sum),
+   *   `declarationTotal` and `issues` (one message per problem)
+   */
+  validate(markingGridFile, declarationFile) {
+    const result = { status: MarkValidator.STATUS.OK, gridTotal: null, declarationTotal: null, issues: [] };
+    const flag = (status, issue) => {
+      result.issues.push(issue);
+      if (MarkValidator.SEVERITY.indexOf(status) > MarkValidator.SEVERITY.indexOf(result.status)) {
+        result.status = status;
+      }
+    };
+
+    if (!markingGridFile) {
+      flag(MarkValidator.STATUS.MISSING, "No marking grid.");
+      return result;
+    }
+
+    const grid = this.marksExtractor.parseMarkingGrid(markingGridFile);
+    const gridCriteria = new Map(grid.criteria.map(row => [MarksExtractor.normaliseCriterion(row.name), row]));
+    const markScheme = this.markScheme || grid.criteria;
+    const schemeNames = new Set(markScheme.map(criterion => MarksExtractor.normaliseCriterion(criterion.name)));
+
+    let gridTotal = 0;
+    markScheme.forEach(criterion => {
+      const row = gridCriteria.get(MarksExtractor.normaliseCriterion(criterion.name));
+      if (!row) {
+        flag(MarkValidator.STATUS.WARNING, `${criterion.name} isn't on the marking grid.`);
+      } else if (row.mark === null) {
+        flag(MarkValidator.STATUS.WARNING, `${criterion.name} is unmarked.`);
+      } else {
+        gridTotal += row.mark;
+        if (criterion.max !== null && row.mark > criterion.max) {
+          flag(MarkValidator.STATUS.MISMATCH, `${criterion.name} has ${row.mark} marks but the maximum is ${criterion.max}.`);
+        }
+      }
+    });
+
+    grid.criteria.filter(row => !schemeNames.has(MarksExtractor.normaliseCriterion(row.name))).forEach(row => {
+      flag(MarkValidator.STATUS.WARNING, `${row.name} isn't in the mark scheme, so it isn't counted.`);
+    });
+
+    result.gridTotal = gridTotal;
+    if (grid.statedTotal !== null && grid.statedTotal !== gridTotal) {
+      flag(MarkValidator.STATUS.MISMATCH, `The marking grid's total is ${grid.statedTotal} but its marks add up to ${gridTotal}.`);
+    }
+
+    if (!declarationFile) {
+      flag(MarkValidator.STATUS.WARNING, "No declaration to compare the total with.");
+      return result;
+    }
+
+    result.declarationTotal = this.marksExtractor.parseDeclarationTotal(declarationFile).total;
+    if (result.declarationTotal === null) {
+      flag(MarkValidator.STATUS.WARNING, "The declaration has no total.");
+    } else if (result.declarationTotal !== gridTotal) {
+      flag(MarkValidator.STATUS.MISMATCH, `The declaration's total is ${result.declarationTotal} but the marking grid adds up to ${gridTotal}.`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Checks the marking grid and unsigned declaration in a student's folder
+   * @param {Object} student - A student record
+   * @returns {Object} The result of `validate`
+   */
+  validateStudent(student) {
+    if (!student.folderId) {
+      return { status: MarkValidator.STATUS.MISSING, gridTotal: null, declarationTotal: null, issues: ["No Folder ID in Student Info."] };
+    }
+
+    const { declarationFiles, markingGridFiles } = new DeclarationProcessor().findStudentFolderFiles(
+      DriveApp.getFolderById(student.folderId));
+    return this.validate(markingGridFiles[0] || null, declarationFiles[0] || null);
+  }
+
+  /**
+   * Checks every active student's marks and writes the results to the "Mark Validation" sheet
+   * @param {Object[]} students - Student records
+   * @returns {Object} The number of students checked and the number of `issues`
+   */
+  validateAllStudents(students) {
+    const rows = students.filter(student => student.active).map(student => {
+      let result;
+      try {
+        result = this.validateStudent(student);
+      } catch (e) {
+        console.error(`Error checking marks for ${student.name}: ${e.message}`);
+        result = { status: MarkValidator.STATUS.MISSING, gridTotal: null, declarationTotal: null, issues: [e.message] };
+      }
+      return [
+        student.name,
+        result.gridTotal === null ? "" : result.gridTotal,
+        result.declarationTotal === null ? "" : result.declarationTotal,
+        MarkValidator.isOverridden(student) ? "Yes" : "",
+        result.status,
+        result.issues.join(" ")
+      ];
+    });
+
+    SpreadsheetManager.writeReportSheet(
+      MarkValidator.REPORT_SHEET,
+      ["Student", "Grid Total", "Declaration Total", "Override", "Status", "Notes"],
+      rows,
+      4
+    );
+
+    return { students: rows.length, issues: rows.filter(row => row[4] !== MarkValidator.STATUS.OK).length };
+  }
+
+  /**
+   * Describes a validation result for the Student Info "Mark Check" column
+   * @param {Object} result - A result from `validate`
+   * @returns {string} The status, followed by the issues if there are any
+   */
+  static describe(result) {
+    return result.issues.length > 0 ? `${result.status}: ${result.issues.join(" ")}` : result.status;
+  }
+}
+
+/**
+ * Results of checking a student's marks
+ * @type {Object<string, string>}
+ */
+MarkValidator.STATUS = {
+  OK: "OK",
+  WARNING: "WARNING",
+  MISMATCH: "MISMATCH",
+  MISSING: "MISSING"
+};
+
+/**
+ * Statuses from least to most serious, so a result reports its worst problem
+ * @type {string[]}
+ */
+MarkValidator.SEVERITY = ["OK", "WARNING", "MISSING", "MISMATCH"];
+
+/**
+ * Name of the sheet holding the maximum mark for each criterion
+ * @type {string}
+ */
+MarkValidator.MARK_SCHEME_SHEET = "Mark Scheme";
+
+/**
+ * Name of the sheet listing the results of checking every student's marks
+ * @type {string}
+ */
+MarkValidator.REPORT_SHEET = "Mark Validation";
+
+/**
+ * Entry point for filling in the "Mark Scheme" sheet from the marking grid template
+ */
+function setUpMarkSchemeSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const existing = MarkValidator.loadMarkScheme(spreadsheet.getSheetByName(MarkValidator.MARK_SCHEME_SHEET));
+  if (existing) {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.alert(
+      'Mark Scheme',
+      `The "${MarkValidator.MARK_SCHEME_SHEET}" sheet already has ${existing.length} criteria. Replace them with the marking grid template's?`,
+      ui.ButtonSet.YES_NO
+    );
+    if (response !== ui.Button.YES) {
+      UIManager.showAlert('Operation canceled.');
+      return;
+    }
+  }
+
+  const courseSheet = spreadsheet.getSheetByName("Course Info");
+  if (!courseSheet) {
+    UIManager.showAlert('Course Info sheet not found. Please run "Get names and IDs" first.');
+    return;
+  }
+
+  try {
+    const extractor = new MarksExtractor();
+    const template = extractor.findMarkingGridTemplate(courseSheet);
+    if (!template) {
+      UIManager.showAlert('No marking grid template found. Add its file ID to the Course Info sheet (from row 3) with "Marking Grid" in its name.');
+      return;
+    }
+
+    const criteria = extractor.getCriteria(template);
+    MarkValidator.writeMarkSchemeSheet(criteria);
+    UIManager.showAlert(
+      `Copied ${criteria.length} criteria to the "${MarkValidator.MARK_SCHEME_SHEET}" sheet. ` +
+      'Check the "Max Marks" column, as any blank maximum isn\'t checked.'
+    );
+  } catch (e) {
+    console.error(`Mark scheme set-up failed: ${e.message}`);
+    UIManager.showAlert(`Mark scheme set-up failed: ${e.message}`);
+  }
+}
+
+/**
+ * Entry point for checking every student's marks without creating any declarations
+ */
+function checkMarks() {
+  try {
+    const validator = MarkValidator.fromSpreadsheet();
+    const summary = validator.validateAllStudents(SpreadsheetManager.getStudentRecords());
+    UIManager.showAlert(
+      `Checked the marks of ${summary.students} students. ${summary.issues} need attention.\n` +
+      `See the "${MarkValidator.REPORT_SHEET}" sheet.`
+    );
+  } catch (e) {
+    console.error(`Mark check failed: ${e.message}`);
+    UIManager.showAlert(`Mark check failed: ${e.message}`);
+  }
+}
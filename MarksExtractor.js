@@ -0,0 +1,359 @@
+/**
+ * Pulls every student's marks out of their marking grid and declaration into the "Marks" sheet, so the
+ * department can see all the marks without opening each document.
+ *
+ * The criteria come from the marking grid template listed in the Course Info sheet. A marking grid table
+ * needs a header row with a "Mark" column (e.g. "Mark Awarded"); each row below it is a criterion named by
+ * the first line of its first cell. "Max"/"Available" and "Comment" columns are read if present, and a
+ * row starting "Total" is read as the grid's own total. The declaration's "TOTAL" table supplies the
+ * declared total and the centre comments.
+ */
+class MarksExtractor {
+  /**
+   * Creates a marks extractor
+   */
+  constructor() {
+    this.textProcessor = new TextProcessor();
+    this.declarationProcessor = new DeclarationProcessor();
+  }
+
+  /**
+   * Finds the marking grid template among the Course Info sheet's template files
+   * @param {Object} courseSheet - The Course Info sheet
+   * @returns {File|null} The marking grid template, or null if none of the templates is a marking grid
+   */
+  findMarkingGridTemplate(courseSheet) {
+    for (const templateFileId of SpreadsheetManager.getTemplateFileIds(courseSheet)) {
+      try {
+        const file = DriveApp.getFileById(templateFileId);
+        if (file.getMimeType() === "application/vnd.google-apps.document" && file.getName().includes("Marking Grid")) {
+          return file;
+        }
+      } catch (e) {
+        console.error(`Couldn't open template file ${templateFileId}: ${e.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads the criteria from the marking grid template
+   * @param {File|string} templateFile - The marking grid template or its ID
+   * @returns {Object[]} The criteria in grid order, each with a `name` and `max` (null if the grid doesn't say)
+   */
+  getCriteria(templateFile) {
+    const grid = this.parseMarkingGrid(templateFile);
+    if (grid.criteria.length === 0) {
+      throw new Error('The marking grid template has no table with a "Mark" column.');
+    }
+    return grid.criteria.map(({ name, max }) => ({ name, max }));
+  }
+
+  /**
+   * Reads the criteria, marks and comments from a marking grid document
+   * @param {File|string} gridFile - The marking grid Google Doc or its ID
+   * @returns {Object} `criteria` (each with `name`, `mark`, `max` and `comment`; `mark` and `max` are null
+   *   when blank) and `statedTotal` (the grid's own total row, or null)
+   */
+  parseMarkingGrid(gridFile) {
+    return MarksExtractor.parseGridTables(this.textProcessor.getTablesText(gridFile));
+  }
+
+  /**
+   * Reads the total and centre comments from a declaration's "TOTAL" table
+   * @param {File|string} declarationFile - The declaration Google Doc or its ID
+   * @returns {Object} `total` (null if blank or not found) and `comments`
+   */
+  parseDeclarationTotal(declarationFile) {
+    const table = this.textProcessor.extractTableText(declarationFile, "TOTAL");
+    if (!table) {
+      return { total: null, comments: "" };
+    }
+    return MarksExtractor.parseTotalTable(table.map(row => row.map(cell => cell.text)));
+  }
+
+  /**
+   * Extracts one student's marks from the marking grid and unsigned declaration in their folder
+   * @param {Object} student - A student record
+   * @param {Object[]} criteria - The criteria from `getCriteria`
+   * @returns {Object} The `student`, their `marks` (criterion name to mark, or null if unmarked),
+   *   `gridTotal` (the sum of the marks), `statedTotal`, `declarationTotal`, `comments`, `status` and `notes`
+   */
+  extractStudentMarks(student, criteria) {
+    const result = {
+      student: student,
+      marks: {},
+      gridTotal: null,
+      statedTotal: null,
+      declarationTotal: null,
+      comments: "",
+      status: "OK",
+      notes: []
+    };
+
+    if (!student.folderId) {
+      result.status = "MISSING";
+      result.notes.push("No Folder ID in Student Info.");
+      return result;
+    }
+
+    const { declarationFiles, markingGridFiles } = this.declarationProcessor.findStudentFolderFiles(
+      DriveApp.getFolderById(student.folderId));
+
+    if (markingGridFiles.length === 0) {
+      result.status = "MISSING";
+      result.notes.push("No marking grid in the student folder.");
+      return result;
+    }
+    if (markingGridFiles.length > 1) {
+      result.status = "AMBIGUOUS";
+      result.notes.push(`${markingGridFiles.length} marking grids found; read ${markingGridFiles[0].getName()}.`);
+    }
+
+    const grid = this.parseMarkingGrid(markingGridFiles[0]);
+    const gridComments = [];
+    const gridCriteria = new Map(grid.criteria.map(row => [MarksExtractor.normaliseCriterion(row.name), row]));
+    const unmarked = [];
+
+    criteria.forEach(criterion => {
+      const row = gridCriteria.get(MarksExtractor.normaliseCriterion(criterion.name));
+      result.marks[criterion.name] = row ? row.mark : null;
+      if (!row || row.mark === null) unmarked.push(criterion.name);
+      if (row && row.comment) gridComments.push(`${criterion.name}: ${row.comment}`);
+    });
+
+    const knownCriteria = new Set(criteria.map(criterion => MarksExtractor.normaliseCriterion(criterion.name)));
+    const unknown = grid.criteria.filter(row => !knownCriteria.has(MarksExtractor.normaliseCriterion(row.name)));
+
+    const marks = Object.values(result.marks).filter(mark => mark !== null);
+    result.gridTotal = marks.length > 0 ? marks.reduce((sum, mark) => sum + mark, 0) : null;
+    result.statedTotal = grid.statedTotal;
+
+    let declarationComments = "";
+    if (declarationFiles.length === 0) {
+      result.notes.push("No unsigned declaration in the student folder.");
+    } else {
+      const declaration = this.parseDeclarationTotal(declarationFiles[0]);
+      result.declarationTotal = declaration.total;
+      declarationComments = declaration.comments;
+    }
+    result.comments = [declarationComments].concat(gridComments).filter(comment => comment).join("\n");
+
+    if (unmarked.length > 0) {
+      result.notes.push(`Unmarked: ${unmarked.join(", ")}.`);
+    }
+    if (unknown.length > 0) {
+      result.notes.push(`Not in the template: ${unknown.map(row => row.name).join(", ")}.`);
+    }
+    if (result.declarationTotal === null && declarationFiles.length > 0) {
+      result.notes.push("No total on the declaration.");
+    }
+    if (result.status === "OK" && result.notes.length > 0) {
+      result.status = "WARNING";
+    }
+
+    return result;
+  }
+
+  /**
+   * Extracts the marks of every active student and writes them to the "Marks" sheet
+   * @param {Object[]} students - Student records
+   * @param {Object[]} criteria - The criteria from `getCriteria`
+   * @returns {Object[]} The results from `extractStudentMarks`
+   */
+  extractAllMarks(students, criteria) {
+    const results = students.filter(student => student.active).map(student => {
+      console.log(`Extracting marks for ${student.name}`);
+      try {
+        return this.extractStudentMarks(student, criteria);
+      } catch (e) {
+        console.error(`Error extracting marks for ${student.name}: ${e.message}`);
+        return { student, marks: {}, gridTotal: null, statedTotal: null, declarationTotal: null, comments: "", status: "MISSING", notes: [e.message] };
+      }
+    });
+
+    this.writeMarksSheet(results, criteria);
+    return results;
+  }
+
+  /**
+   * Writes one row per student, with a column per criterion, to the "Marks" sheet
+   * @param {Object[]} results - Results from `extractStudentMarks`
+   * @param {Object[]} criteria - The criteria from `getCriteria`
+   */
+  writeMarksSheet(results, criteria) {
+    const headers = ["Student", "Candidate No"]
+      .concat(criteria.map(criterion => criterion.max === null ? criterion.name : `${criterion.name} (${criterion.max})`))
+      .concat(["Grid Total", "Declaration Total", "Comments", "Status", "Notes"]);
+    const blankIfNull = value => value === null || value === undefined ? "" : value;
+
+    const rows = results.map(result => [result.student.name, result.student.candidateNo || ""]
+      .concat(criteria.map(criterion => blankIfNull(result.marks[criterion.name])))
+      .concat([
+        blankIfNull(result.gridTotal),
+        blankIfNull(result.declarationTotal),
+        result.comments,
+        result.status,
+        result.notes.join(" ")
+      ]));
+
+    SpreadsheetManager.writeReportSheet(MarksExtractor.MARKS_SHEET, headers, rows, headers.length - 2);
+  }
+
+  /**
+   * Reads marking grid rows from a document's tables (see the class description for the layout)
+   * @param {string[][][]} tables - The text of each table, from `TextProcessor.getTablesText`
+   * @returns {Object} `criteria` and `statedTotal`, as returned by `parseMarkingGrid`
+   */
+  static parseGridTables(tables) {
+    const criteria = [];
+    let statedTotal = null;
+
+    tables.forEach(rows => {
+      const headerIndex = rows.findIndex(row => MarksExtractor.findColumns(row).mark !== -1);
+      if (headerIndex === -1) return;
+      const columns = MarksExtractor.findColumns(rows[headerIndex]);
+      const cell = (row, column) => column === -1 || row[column] === undefined ? "" : row[column].trim();
+
+      rows.slice(headerIndex + 1).forEach(row => {
+        const name = cell(row, 0).split("\n")[0].trim();
+        if (!name) return;
+
+        const mark = MarksExtractor.parseMark(cell(row, columns.mark));
+        if (/^total\b/i.test(name)) {
+          statedTotal = mark.value;
+          return;
+        }
+
+        const max = MarksExtractor.parseMark(cell(row, columns.max)).value;
+        criteria.push({
+          name: name,
+          mark: mark.value,
+          max: max !== null ? max : mark.outOf,
+          comment: cell(row, columns.comment)
+        });
+      });
+    });
+
+    return { criteria, statedTotal };
+  }
+
+  /**
+   * Finds the mark, maximum and comment columns in a marking grid header row
+   * @param {string[]} headerRow - The text of the header row's cells
+   * @returns {Object} Zero-based `mark`, `max` and `comment` column indexes, or -1 for a missing column
+   */
+  static findColumns(headerRow) {
+    const headers = headerRow.map(text => text.trim().toLowerCase());
+    const isMax = header => /\b(max|maximum|available|out of)\b/.test(header);
+    return {
+      // The first column names the criterion, so it's never the mark column
+      mark: headers.findIndex((header, i) => i > 0 && /\b(marks?|awarded)\b/.test(header) && !isMax(header)),
+      max: headers.findIndex((header, i) => i > 0 && isMax(header)),
+      comment: headers.findIndex((header, i) => i > 0 && /\bcomments?\b/.test(header))
+    };
+  }
+
+  /**
+   * Reads the total and centre comments from the text of a declaration's "TOTAL" table. The total is the
+   * first number after the "TOTAL" label on its row, or else on the row below (merged header cells can
+   * leave it out of line with the label); the comments are
+   * in the cell below the "Comments" label, or else after the label in the same cell.
+   * @param {string[][]} rows - The text of the table's cells
+   * @returns {Object} `total` (null if blank) and `comments`
+   */
+  static parseTotalTable(rows) {
+    const find = pattern => {
+      for (let r = 0; r < rows.length; r++) {
+        const c = rows[r].findIndex(text => pattern.test(text.trim()));
+        if (c !== -1) return { r, c };
+      }
+      return null;
+    };
+    const cellText = (r, c) => rows[r] && rows[r][c] !== undefined ? rows[r][c].trim() : "";
+
+    const commentsLabel = find(/comments?\b/i);
+
+    let total = null;
+    const totalLabel = find(/^total\b/i);
+    if (totalLabel) {
+      // Stop at the comments label so numbers in a comment aren't read as the total
+      const rowEnd = commentsLabel && commentsLabel.r === totalLabel.r && commentsLabel.c > totalLabel.c
+        ? commentsLabel.c : undefined;
+      const sameCell = MarksExtractor.parseMark(cellText(totalLabel.r, totalLabel.c).replace(/^total\b:?/i, ""));
+      const candidates = [sameCell.value]
+        .concat(rows[totalLabel.r].slice(totalLabel.c + 1, rowEnd).map(text => MarksExtractor.parseMark(text).value))
+        .concat((rows[totalLabel.r + 1] || []).slice(totalLabel.c, rowEnd).map(text => MarksExtractor.parseMark(text).value));
+      const found = candidates.find(value => value !== null);
+      total = found === undefined ? null : found;
+    }
+
+    let comments = "";
+    if (commentsLabel) {
+      comments = cellText(commentsLabel.r + 1, commentsLabel.c) ||
+        cellText(commentsLabel.r, commentsLabel.c).replace(/^.*?comments?\b:?/i, "").trim();
+    }
+
+    return { total, comments };
+  }
+
+  /**
+   * Reads a mark such as "7", "7.5" or "7/10" from a cell
+   * @param {string} text - The cell text
+   * @returns {Object} `value` and `outOf` (each null if not given)
+   */
+  static parseMark(text) {
+    const match = String(text || "").match(/(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+(?:\.\d+)?))?/);
+    return {
+      value: match ? Number(match[1]) : null,
+      outOf: match && match[2] ? Number(match[2]) : null
+    };
+  }
+
+  /**
+   * Normalises a criterion name so grids with different spacing or case still match the template
+   * @param {string} name - The criterion name
+   * @returns {string} The normalised name
+   */
+  static normaliseCriterion(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+}
+
+/**
+ * Name of the sheet the marks are written to
+ * @type {string}
+ */
+MarksExtractor.MARKS_SHEET = "Marks";
+
+/**
+ * Entry point for extracting every student's marks into the "Marks" sheet
+ */
+function extractMarks() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const courseSheet = spreadsheet.getSheetByName("Course Info");
+  if (!courseSheet) {
+    UIManager.showAlert('Course Info sheet not found. Please run "Get names and IDs" first.');
+    return;
+  }
+
+  try {
+    const extractor = new MarksExtractor();
+    const template = extractor.findMarkingGridTemplate(courseSheet);
+    if (!template) {
+      UIManager.showAlert('No marking grid template found. Add its file ID to the Course Info sheet (from row 3) with "Marking Grid" in its name.');
+      return;
+    }
+
+    const criteria = extractor.getCriteria(template);
+    const results = extractor.extractAllMarks(SpreadsheetManager.getStudentRecords(), criteria);
+    const issues = results.filter(result => result.status !== "OK").length;
+    UIManager.showAlert(
+      `Extracted ${criteria.length} criteria for ${results.length} students. ${issues} rows need checking.\n` +
+      `See the "${MarksExtractor.MARKS_SHEET}" sheet.`
+    );
+  } catch (e) {
+    console.error(`Marks extraction failed: ${e.message}`);
+    UIManager.showAlert(`Marks extraction failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Splits student names into forenames and surname for file naming.
+ *
+ * Names are taken from, in order of preference:
+ * 1. the "Legal Name" column, for students whose legal name differs from their Classroom display name
+ *    ("Surname, Forenames" is read exactly; otherwise the name is split as below)
+ * 2. the Classroom profile's given and family names, stored in the "Given Name" and "Family Name" columns
+ * 3. the display name in the "Name" column, where the surname starts at the first particle
+ *    ("van", "de", "bin" and so on) or is otherwise the last word
+ *
+ * For example "Mary Jane van der Berg" has forenames "Mary Jane" and surname "van der Berg",
+ * and a single-word name such as "Madonna" has no surname.
+ */
+class NameParser {
+  /**
+   * Parses a student's name, preferring their legal name and then their Classroom given and family names
+   * @param {Object|string} student - A student record (`name`, and optionally `legalName`, `givenName` and `familyName`) or a display name
+   * @returns {Object} The parsed name: `forenames` (array), `surname`, `surnameCore` (the surname without
+   *   leading particles) and `source` ("legal", "classroom" or "display")
+   */
+  static parse(student) {
+    const record = typeof student === 'string' ? { name: student } : (student || {});
+    const legalName = NameParser.clean(record.legalName);
+    const givenName = NameParser.clean(record.givenName);
+    const familyName = NameParser.clean(record.familyName);
+
+    let parsed;
+    if (legalName) {
+      parsed = { ...NameParser.parseLegalName(legalName), source: "legal" };
+    } else if (givenName || familyName) {
+      parsed = { forenames: NameParser.words(givenName), surname: familyName, source: "classroom" };
+    } else {
+      parsed = { ...NameParser.splitFullName(NameParser.clean(record.name)), source: "display" };
+    }
+
+    parsed.surnameCore = NameParser.getSurnameCore(parsed.surname);
+    return parsed;
+  }
+
+  /**
+   * Parses a legal name override, which can be written "Surname, Forenames" to avoid any guesswork
+   * @param {string} legalName - The legal name
+   * @returns {Object} `forenames` and `surname`
+   */
+  static parseLegalName(legalName) {
+    const commaIndex = legalName.indexOf(',');
+    if (commaIndex === -1) {
+      return NameParser.splitFullName(legalName);
+    }
+    return {
+      forenames: NameParser.words(legalName.slice(commaIndex + 1)),
+      surname: NameParser.clean(legalName.slice(0, commaIndex)),
+    };
+  }
+
+  /**
+   * Splits a full name written forenames first. The surname starts at the first particle after the
+   * first word (so "Ana de la Cruz" has the surname "de la Cruz"), or is otherwise the last word.
+   * @param {string} fullName - The full name
+   * @returns {Object} `forenames` (array) and `surname` (empty for single-word names)
+   */
+  static splitFullName(fullName) {
+    const words = NameParser.words(fullName);
+    if (words.length <= 1) {
+      return { forenames: words, surname: "" };
+    }
+
+    let surnameStart = words.length - 1;
+    for (let i = 1; i < words.length - 1; i++) {
+      if (NameParser.isParticle(words[i])) {
+        surnameStart = i;
+        break;
+      }
+    }
+
+    return {
+      forenames: words.slice(0, surnameStart),
+      surname: words.slice(surnameStart).join(' '),
+    };
+  }
+
+  /**
+   * Removes leading particles from a surname, e.g. "van der Berg" becomes "Berg"
+   * @param {string} surname - The surname
+   * @returns {string} The surname without leading particles
+   */
+  static getSurnameCore(surname) {
+    const words = NameParser.words(surname);
+    while (words.length > 1 && NameParser.isParticle(words[0])) {
+      words.shift();
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Checks whether a word is a surname particle such as "van" or "de"
+   * @param {string} word - The word
+   * @returns {boolean} True if the word is a particle
+   */
+  static isParticle(word) {
+    return NameParser.PARTICLES.includes(word.toLowerCase());
+  }
+
+  /**
+   * Converts part of a name into something safe for file names: accents are removed ("Zoë" becomes "Zoe"),
+   * apostrophes and spaces are dropped ("O'Brien" becomes "OBrien") and hyphens are kept
+   * @param {string} text - The name or part of a name
+   * @returns {string} The file-safe text
+   */
+  static toFileSafe(text) {
+    return Array.from(NameParser.clean(text).normalize("NFKD"))
+      .map(char => NameParser.LETTER_REPLACEMENTS[char] !== undefined ? NameParser.LETTER_REPLACEMENTS[char] : char)
+      .join('')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9-]/g, '');
+  }
+
+  /**
+   * Gets the initials of a parsed name: the first letter of each forename and of the surname without particles
+   * @param {Object} parsedName - A name returned by `parse`
+   * @returns {string} The initials in upper case, e.g. "MJB" for "Mary Jane van der Berg"
+   */
+  static getInitials(parsedName) {
+    return parsedName.forenames.concat(parsedName.surnameCore ? [parsedName.surnameCore] : [])
+      .map(part => NameParser.toFileSafe(part).charAt(0))
+      .join('')
+      .toUpperCase();
+  }
+
+  /**
+   * Splits text into words on whitespace
+   * @private
+   */
+  static words(text) {
+    return NameParser.clean(text).split(' ').filter(word => word);
+  }
+
+  /**
+   * Trims text and collapses runs of whitespace
+   * @private
+   */
+  static clean(text) {
+    return text === null || text === undefined ? "" : String(text).replace(/\s+/g, ' ').trim();
+  }
+}
+
+/**
+ * Lower-case words that start a surname when they follow the first forename (e.g. "van der Berg", "bin Ahmad")
+ * @type {string[]}
+ */
+NameParser.PARTICLES = [
+  "van", "von", "der", "den", "de", "del", "della", "di", "da", "das", "dos", "du",
+  "la", "le", "ter", "ten", "bin", "binti", "bint", "ibn", "al", "el", "ap"
+];
+
+/**
+ * Letters that accent removal can't simplify, with the replacement used in file names
+ * @type {Object<string, string>}
+ */
+NameParser.LETTER_REPLACEMENTS = {
+  "ß": "ss", "æ": "ae", "Æ": "AE", "ø": "o", "Ø": "O", "œ": "oe", "Œ": "OE",
+  "ł": "l", "Ł": "L", "đ": "d", "Đ": "D", "ð": "d", "Ð": "D", "þ": "th", "Þ": "Th", "ı": "i"
+};
@@ -0,0 +1,369 @@
+/**
+ * Builds every file and folder name the pipeline produces from exam-board naming templates.
+ *
+ * Templates are strings with tokens in braces, e.g. "{centre}_{candidate}_{surname:2|upper}_{forename:1|upper}".
+ * The tokens are {centre}, {candidate}, {forename}, {surname}, {initials}, {category} and {sequence}, plus
+ * {prefix} (the student's submission prefix), {original} (the source file's name) and {prepend} (the text
+ * entered when copying submissions). ":N" keeps the first N characters and "|upper" or "|lower" changes the case.
+ * When a token is empty, one separator next to it is dropped too, so "{category}_{sequence}" gives
+ * "Analysis" for a lone zip and "Analysis_2" for the second of several.
+ *
+ * The WJEC, AQA and OCR presets are built in. A "Naming" sheet can pick a preset and override any template.
+ */
+class NamingConvention {
+  /**
+   * Creates a naming convention from a full set of templates
+   * @param {Object} templates - Template for each name the pipeline produces (see `NamingConvention.PRESETS`)
+   * @param {string} [presetName="Custom"] - Name of the preset the templates came from, for logging
+   */
+  constructor(templates, presetName = "Custom") {
+    this.templates = templates;
+    this.presetName = presetName;
+  }
+
+  /**
+   * Gets the naming convention for this execution, loading it from the "Naming" sheet the first time
+   * @returns {NamingConvention} The active naming convention
+   */
+  static getActive() {
+    if (!NamingConvention._active) {
+      NamingConvention._active = NamingConvention.load();
+    }
+    return NamingConvention._active;
+  }
+
+  /**
+   * Loads the naming convention from the "Naming" sheet. Row 1 holds "Preset" and the preset name;
+   * each following row holds a template key and a template that replaces the preset's one.
+   * Without the sheet, the WJEC preset is used.
+   * @param {Sheet} [sheet=null] - The naming sheet (defaults to the "Naming" sheet of the active spreadsheet)
+   * @returns {NamingConvention} The naming convention
+   */
+  static load(sheet = null) {
+    const namingSheet = sheet || SpreadsheetApp.getActiveSpreadsheet().getSheetByName(NamingConvention.SHEET_NAME);
+    if (!namingSheet || namingSheet.getLastRow() === 0) {
+      console.log(`No "${NamingConvention.SHEET_NAME}" sheet found, so the ${NamingConvention.DEFAULT_PRESET} naming convention will be used.`);
+      return NamingConvention.fromPreset(NamingConvention.DEFAULT_PRESET);
+    }
+
+    const rows = namingSheet.getRange(1, 1, namingSheet.getLastRow(), 2).getDisplayValues();
+    let presetName = NamingConvention.DEFAULT_PRESET;
+    const overrides = {};
+
+    rows.forEach(([key, value]) => {
+      const trimmedKey = String(key).trim();
+      if (!trimmedKey || !String(value).trim()) return;
+
+      if (trimmedKey.toLowerCase() === "preset") {
+        presetName = String(value).trim().toUpperCase();
+      } else if (Object.prototype.hasOwnProperty.call(NamingConvention.PRESETS[NamingConvention.DEFAULT_PRESET], trimmedKey)) {
+        overrides[trimmedKey] = String(value).trim();
+      } else {
+        console.warn(`Ignoring unknown naming template "${trimmedKey}" in the "${NamingConvention.SHEET_NAME}" sheet.`);
+      }
+    });
+
+    const convention = NamingConvention.fromPreset(presetName, overrides);
+    console.log(`Using the ${convention.presetName} naming convention.`);
+    return convention;
+  }
+
+  /**
+   * Creates a naming convention from a built-in preset
+   * @param {string} presetName - "WJEC", "AQA" or "OCR"
+   * @param {Object} [overrides={}] - Templates that replace the preset's ones
+   * @returns {NamingConvention} The naming convention
+   */
+  static fromPreset(presetName, overrides = {}) {
+    const preset = NamingConvention.PRESETS[presetName];
+    if (!preset) {
+      throw new Error(`Unknown naming preset "${presetName}". Use one of: ${Object.keys(NamingConvention.PRESETS).join(', ')}.`);
+    }
+    const hasOverrides = Object.keys(overrides).length > 0;
+    return new NamingConvention({ ...preset, ...overrides }, hasOverrides ? `${presetName} (customised)` : presetName);
+  }
+
+  /**
+   * Writes the "Naming" sheet with the chosen preset's templates so that they can be edited
+   * @param {string} presetName - "WJEC", "AQA" or "OCR"
+   * @returns {Sheet} The naming sheet
+   */
+  static writeNamingSheet(presetName) {
+    const preset = NamingConvention.fromPreset(presetName);
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(NamingConvention.SHEET_NAME) || spreadsheet.insertSheet(NamingConvention.SHEET_NAME);
+
+    const rows = [["Preset", presetName]].concat(Object.entries(preset.templates));
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, 2).setValues(rows);
+    sheet.getRange(1, 1, rows.length, 1).setFontWeight("bold");
+    sheet.autoResizeColumns(1, 2);
+    NamingConvention._active = null;
+    return sheet;
+  }
+
+  /**
+   * Fills the tokens in a template
+   * @param {string} template - The template
+   * @param {Object} values - Token values, keyed by token name
+   * @returns {string} The filled name
+   */
+  static fillTemplate(template, values) {
+    const filled = template.replace(/\{(\w+)(?::(\d+))?((?:\|\w+)*)\}/g, (match, token, length, filters) => {
+      let value = values[token] === undefined || values[token] === null ? "" : String(values[token]);
+      if (length) value = value.slice(0, Number(length));
+      filters.split("|").filter(filter => filter).forEach(filter => {
+        if (filter === "upper") value = value.toUpperCase();
+        else if (filter === "lower") value = value.toLowerCase();
+        else console.warn(`Ignoring unknown naming filter "${filter}" in "${template}".`);
+      });
+      return value === "" ? NamingConvention.EMPTY_MARKER : value;
+    });
+
+    // Drop the separator before each empty token, or after it when the name starts with it
+    return filled
+      .replace(new RegExp(`[_\\- ]${NamingConvention.EMPTY_MARKER}`, "g"), "")
+      .replace(new RegExp(`^${NamingConvention.EMPTY_MARKER}+[_\\- ]?`), "")
+      .replace(new RegExp(NamingConvention.EMPTY_MARKER, "g"), "")
+      .trim();
+  }
+
+  /**
+   * Gets the naming token values for a student. Names are parsed by `NameParser` and made safe for file names.
+   * @param {Object} student - Student details: `name`, and optionally `legalName`, `givenName`, `familyName`,
+   *   `centreNo`, `candidateNo` and `submissionPrefix`
+   * @returns {Object} Token values for `centre`, `candidate`, `forename`, `surname`, `initials` and `prefix`
+   */
+  static getStudentValues(student) {
+    const parsedName = NameParser.parse(student);
+    return {
+      centre: NamingConvention.padNumber(student.centreNo, TextProcessor.CENTRE_DIGITS),
+      candidate: NamingConvention.padNumber(student.candidateNo, TextProcessor.CANDIDATE_DIGITS),
+      forename: NameParser.toFileSafe(parsedName.forenames[0]),
+      surname: NameParser.toFileSafe(parsedName.surname),
+      initials: NameParser.getInitials(parsedName),
+      prefix: student.submissionPrefix || "",
+    };
+  }
+
+  /**
+   * Restores leading zeros that a spreadsheet dropped from a candidate or centre number
+   * @param {string|number} number - The number (may be empty)
+   * @param {number} digits - The expected number of digits
+   * @returns {string} The padded number, or the value unchanged if it isn't all digits
+   */
+  static padNumber(number, digits) {
+    const text = number === undefined || number === null ? "" : String(number).trim();
+    return /^\d+$/.test(text) ? text.padStart(digits, '0') : text;
+  }
+
+  /**
+   * Builds a name from one of this convention's templates
+   * @param {string} key - The template key (see `NamingConvention.PRESETS`)
+   * @param {Object} values - Token values
+   * @returns {string} The name
+   */
+  format(key, values) {
+    const template = this.templates[key];
+    if (template === undefined) {
+      throw new Error(`The ${this.presetName} naming convention has no "${key}" template.`);
+    }
+    return NamingConvention.fillTemplate(template, values);
+  }
+
+  /**
+   * Builds a student's submission prefix, which also names their sample folder
+   * @param {Object} values - Token values (see `getStudentValues`)
+   * @returns {string} The submission prefix
+   */
+  submissionPrefix(values) {
+    return this.format("submissionPrefix", values);
+  }
+
+  /**
+   * Builds the name of a student's front sheet (the merged declaration and marking grid)
+   * @param {Object} values - Token values, including `prefix`
+   * @returns {string} The front sheet name, without an extension
+   */
+  frontSheetName(values) {
+    return this.format("frontSheet", values);
+  }
+
+  /**
+   * Builds the file name of a category's merged PDF
+   * @param {string} category - The category name
+   * @param {Object} [values={}] - Student token values
+   * @returns {string} The file name
+   */
+  categoryPdfName(category, values = {}) {
+    return `${this.format("categoryPdf", { ...values, category })}.pdf`;
+  }
+
+  /**
+   * Builds the file name of one part of a category's merged PDF, when it's split to fit an upload limit
+   * @param {string} category - The category name
+   * @param {number} index - Zero-based index of the part
+   * @param {Object} [values={}] - Student token values
+   * @returns {string} The file name
+   */
+  categoryPdfPartName(category, index, values = {}) {
+    return `${this.format("categoryPdfPart", { ...values, category, sequence: index + 1 })}.pdf`;
+  }
+
+  /**
+   * Builds the file name of a category's zip. The sequence is left empty when the category has a single zip.
+   * @param {string} category - The category name
+   * @param {number} index - Zero-based index of the zip within the category
+   * @param {number} total - Number of zips in the category
+   * @param {Object} [values={}] - Student token values
+   * @returns {string} The file name
+   */
+  categoryZipName(category, index, total, values = {}) {
+    const sequence = total === 1 ? "" : index + 1;
+    return `${this.format("categoryZip", { ...values, category, sequence })}.zip`;
+  }
+
+  /**
+   * Builds the file name of one part of the exported sample. The sequence is left empty when there's one part.
+   * @param {number} index - Zero-based index of the part
+   * @param {number} total - Number of parts
+   * @param {Object} [values={}] - Token values, including `centre`
+   * @returns {string} The file name
+   */
+  sampleZipName(index, total, values = {}) {
+    const sequence = total === 1 ? "" : index + 1;
+    return `${this.format("sampleZip", { ...values, sequence })}.zip`;
+  }
+
+  /**
+   * Builds the file name of one part of a candidate's exported zip. The sequence is left empty when there's one part.
+   * @param {number} index - Zero-based index of the part
+   * @param {number} total - Number of parts
+   * @param {Object} [values={}] - Token values, including `prefix`
+   * @returns {string} The file name
+   */
+  candidateZipName(index, total, values = {}) {
+    const sequence = total === 1 ? "" : index + 1;
+    return `${this.format("candidateZip", { ...values, sequence })}.zip`;
+  }
+
+  /**
+   * Builds the name of a submission copied from Classroom
+   * @param {string} originalName - The submitted file's name
+   * @param {string} prependString - The text entered when copying submissions
+   * @returns {string} The file name
+   */
+  submissionCopyName(originalName, prependString) {
+    return this.format("submissionCopy", { original: originalName, prepend: prependString });
+  }
+
+  /**
+   * Builds the name of a template (e.g. marking grid) copied into a student's folder
+   * @param {string} originalName - The template's name
+   * @param {Object} values - Student token values
+   * @returns {string} The file name
+   */
+  templateCopyName(originalName, values) {
+    return this.format("templateCopy", { ...values, original: originalName });
+  }
+}
+
+/**
+ * Naming convention cached for this execution by `NamingConvention.getActive`
+ * @type {NamingConvention|null}
+ * @private
+ */
+NamingConvention._active = null;
+
+/**
+ * Name of the sheet that picks a preset and holds custom templates
+ * @type {string}
+ */
+NamingConvention.SHEET_NAME = "Naming";
+
+/**
+ * Preset used when there is no "Naming" sheet
+ * @type {string}
+ */
+NamingConvention.DEFAULT_PRESET = "WJEC";
+
+/**
+ * Placeholder for an empty token while the template is filled
+ * @type {string}
+ * @private
+ */
+NamingConvention.EMPTY_MARKER = "\u0000";
+
+/**
+ * Built-in templates for each exam board. Every preset has the same keys:
+ * - submissionPrefix: identifies the candidate; names the sample folder and is stamped on pages
+ * - frontSheet: the merged declaration and marking grid
+ * - categoryPdf / categoryZip: each "Prefixes" category's merged PDF and copied zips (extension added automatically)
+ * - categoryPdfPart: a part of a category's merged PDF that was split to fit an upload limit
+ * - submissionCopy: submissions copied from Classroom
+ * - templateCopy: templates copied into each student's folder
+ * - sampleZip / candidateZip: the exported sample as one archive, or one per candidate (extension added automatically)
+ * @type {Object}
+ */
+NamingConvention.PRESETS = {
+  WJEC: {
+    submissionPrefix: "{centre}_{candidate}_{surname:2|upper}_{forename:1|upper}",
+    frontSheet: "0. Frontsheet_{prefix}",
+    categoryPdf: "{category}",
+    categoryPdfPart: "{category}_Part{sequence}",
+    categoryZip: "{category}_{sequence}",
+    submissionCopy: "{prepend}_{original}",
+    templateCopy: "{forename:1|upper}{surname:2|upper}_{original}",
+    sampleZip: "{centre}_Sample_{sequence}",
+    candidateZip: "{prefix}_{sequence}",
+  },
+  AQA: {
+    submissionPrefix: "{centre}_{candidate}_{surname}_{forename:1|upper}",
+    frontSheet: "0. Candidate Record Form_{prefix}",
+    categoryPdf: "{prefix}_{category}",
+    categoryPdfPart: "{prefix}_{category}_Part{sequence}",
+    categoryZip: "{prefix}_{category}_{sequence}",
+    submissionCopy: "{prepend}_{original}",
+    templateCopy: "{initials}_{original}",
+    sampleZip: "{centre}_Sample_{sequence}",
+    candidateZip: "{prefix}_{sequence}",
+  },
+  OCR: {
+    submissionPrefix: "{centre}_{candidate}_{surname}_{forename:1|upper}",
+    frontSheet: "0. Cover Sheet_{prefix}",
+    categoryPdf: "{prefix}_{category}",
+    categoryPdfPart: "{prefix}_{category}_Part{sequence}",
+    categoryZip: "{prefix}_{category}_{sequence}",
+    submissionCopy: "{prepend}_{original}",
+    templateCopy: "{initials}_{original}",
+    sampleZip: "{centre}_Sample_{sequence}",
+    candidateZip: "{prefix}_{sequence}",
+  },
+};
+
+/**
+ * Entry point for writing the "Naming" sheet from a preset so that its templates can be customised
+ */
+function setUpNamingSheet() {
+  const presets = Object.keys(NamingConvention.PRESETS);
+  const response = UIManager.promptUser(
+    'Naming Convention',
+    `Which exam board's naming convention should the "${NamingConvention.SHEET_NAME}" sheet start from?\n` +
+    `Enter one of: ${presets.join(', ')}\n` +
+    `(This replaces any templates already in the sheet.)`
+  );
+
+  if (response.getSelectedButton() !== SpreadsheetApp.getUi().Button.OK) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+
+  const presetName = response.getResponseText().trim().toUpperCase();
+  if (!presets.includes(presetName)) {
+    UIManager.showAlert(`Unknown exam board "${presetName}". Please use one of: ${presets.join(', ')}.`);
+    return;
+  }
+
+  NamingConvention.writeNamingSheet(presetName);
+  UIManager.showAlert(`The "${NamingConvention.SHEET_NAME}" sheet now uses the ${presetName} naming convention. Edit any template to customise it.`);
+}
@@ -29,7 +29,22 @@ class PDFMerger {
      * @type {Folder|null}
      */
     this.destinationFolder = null;
-    this.pdfLib = this.loadPdfLib();
+
+    /**
+     * Options applied to every merge (see `setMergeOptions`)
+     * @type {Object}
+     */
+    this.mergeOptions = {
+      addBookmarks: true,
+      addContentsPage: false,
+      addStamp: true,
+    };
+
+    /**
+     * Header and footer layout used when stamping merged pages (see `setStampOptions`)
+     * @type {Object}
+     */
+    this.stampOptions = { ...PDFMerger.DEFAULT_STAMP };
 
     // Set this as the singleton instance
     PDFMerger._instance = this;
@@ -44,39 +59,67 @@ class PDFMerger {
   }
 
   /**
-   * Load the PDF-lib library from CDN
+   * Sets the options applied to every merge
+   * @param {Object} options - Options to change
+   * @param {boolean} [options.addBookmarks] - Add an outline entry for each source file, named after the file
+   * @param {boolean} [options.addContentsPage] - Put a generated contents page listing each source file at the front
+   * @param {boolean} [options.addStamp] - Stamp the candidate header and page-number footer on every page of each student's merged PDFs
+   */
+  setMergeOptions(options) {
+    this.mergeOptions = { ...this.mergeOptions, ...options };
+  }
+
+  /**
+   * Sets the header and footer layout used when stamping merged pages. Templates can use
+   * {centreNo}, {candidateNo}, {name}, {submissionPrefix}, {page} and {pages}.
+   * @param {Object} options - Options to change (see `PDFMerger.DEFAULT_STAMP`)
+   */
+  setStampOptions(options) {
+    this.stampOptions = { ...this.stampOptions, ...options };
+  }
+
+  /**
+   * Loads the vendored copy of the PDF-lib library from the project's own files,
+   * checking it against the pinned SHA-256 digest first. The library is only evaluated
+   * once per execution; later calls return the cached copy.
    * Docs for the library can be found here:
    * https://pdf-lib.js.org/
-   * @returns {Promise<Object>} Promise that resolves with the PDFLib object
+   * @param {Object} [loader={}] - Optional `readSource` and `sha256Hex` functions, used to load
+   *   the library outside Apps Script (e.g. from `fs` and `crypto` under Node)
+   * @returns {Object} Object containing the `PDFLib` namespace
    */
-  async loadPdfLib() {
-    const cdnUrl = "https://cdn.jsdelivr.net/npm/pdf-lib/dist/pdf-lib.min.js";
-    const response = UrlFetchApp.fetch(cdnUrl);
-    const content = response.getContentText();
+  static loadPdfLib(loader = {}) {
+    if (PDFMerger._pdfLib) {
+      return PDFMerger._pdfLib;
+    }
+
+    const readSource = loader.readSource ||
+      (() => HtmlService.createHtmlOutputFromFile(PDFMerger.PDF_LIB_FILE).getContent());
+    const sha256Hex = loader.sha256Hex || PDFMerger.computeSha256Hex;
 
-    // Create a new context to evaluate the library in
-    const context = {};
+    const content = readSource();
+    const digest = sha256Hex(content);
+    if (digest !== PDFMerger.PDF_LIB_SHA256) {
+      throw new Error(`Vendored PDF-lib ${PDFMerger.PDF_LIB_VERSION} failed its integrity check. Expected SHA-256 ${PDFMerger.PDF_LIB_SHA256} but got ${digest}.`);
+    }
 
-    // Evaluate the library code in the context
     try {
-      // Define setTimeout for compatibility with pdf-lib
-      context.setTimeout = function (f, t) {
-        Utilities.sleep(t);
-        return f();
-      };
+      // Apps Script has no setTimeout, which pdf-lib uses to yield while saving
+      const timeout = typeof globalThis.setTimeout === "function"
+        ? globalThis.setTimeout
+        : function (f, t) {
+          if (t) Utilities.sleep(t);
+          return f();
+        };
 
-      // Use Function constructor instead of eval for better scoping
-      const setupLibrary = new Function(
-        "context",
-        `
-        with(context) {
-          ${content}
-          return { PDFLib: PDFLib };
-        }
-      `
-      );
+      // The library is a UMD bundle, so give it a CommonJS-style module to export into
+      const libraryModule = { exports: {} };
+      const setupLibrary = new Function("exports", "module", "setTimeout", content);
+      setupLibrary(libraryModule.exports, libraryModule, timeout);
 
-      return setupLibrary(context);
+      PDFMerger._pdfLib = { PDFLib: libraryModule.exports };
+      console.log(`Loaded vendored PDF-lib ${PDFMerger.PDF_LIB_VERSION}`);
+      return PDFMerger._pdfLib;
     } catch (e) {
       console.error("Error loading PDF-lib:", e);
       throw new Error(`Failed to load PDF-lib: ${e.message}`);
@@ -84,7 +127,38 @@ class PDFMerger {
   }
 
   /**
-   * Validates if all provided items represent PDF files
+   * Computes the SHA-256 digest of a string as lowercase hex
+   * @param {string} content - The string to hash (as UTF-8)
+   * @returns {string} The hex digest
+   */
+  static computeSha256Hex(content) {
+    const digest = Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      content,
+      Utilities.Charset.UTF_8
+    );
+    // Apps Script returns signed bytes
+    return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Counts the pages in a PDF
+   * @param {number[]|Uint8Array} bytes - The PDF's bytes
+   * @returns {Promise<number|null>} The number of pages, or null if the PDF can't be read
+   */
+  static async countPages(bytes) {
+    const { PDFLib } = PDFMerger.loadPdfLib();
+    try {
+      const pdfDoc = await PDFLib.PDFDocument.load(new Uint8Array(bytes), { ignoreEncryption: true, updateMetadata: false });
+      return pdfDoc.getPageCount();
+    } catch (e) {
+      console.error(`Couldn't count the pages of a PDF: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Validates if all provided items represent PDF files or JPEG/PNG images
    * @param {(string|File)[]} items - Array of Google Drive file IDs or File objects
    * @returns {Object} Object containing valid and invalid files
    */
@@ -107,7 +181,7 @@ class PDFMerger {
           );
         }
 
-        if (DriveManager.isPdf(file)) {
+        if (DriveManager.isPdf(file) || DriveManager.isImage(file)) {
           validFiles.push(file);
         } else {
           // Log the file it could not process for debugging purposes.
@@ -147,7 +221,8 @@ class PDFMerger {
    * @param {File} file - The single PDF file to copy
    * @param {string} outputFileName - Name for the output PDF file
    * @param {Folder} [outputFolder=null] - Optional folder to save the PDF (if null, saves to root)
-   * @returns {Promise<Object>} Object with status and result information
+   * @returns {Promise<Object>} Object with status and result information (`skipped` is true if the conflict
+   *   policy kept an existing PDF with the same name)
    */
   async copySinglePdfFile(file, outputFileName, outputFolder = null) {
     console.log(
@@ -157,14 +232,8 @@ class PDFMerger {
     const effectiveOutputFolder = outputFolder || this.destinationFolder;
 
     if (effectiveOutputFolder) {
-      // Use the DriveManager helper to copy and rename
-      const fileId = file.getId();
-      DriveManager.copyAndRenameFile(fileId, effectiveOutputFolder, outputFileName);
-      // Get the newly created file
-      const newFiles = effectiveOutputFolder.getFilesByName(outputFileName);
-      if (newFiles.hasNext()) {
-        newFile = newFiles.next();
-      }
+      // Use the DriveManager helper to copy and rename (null if the conflict policy skipped it)
+      newFile = DriveManager.copyAndRenameFile(file, effectiveOutputFolder, outputFileName);
     } else {
       // If no folder specified, copy to root
       newFile = file.makeCopy(outputFileName);
@@ -182,6 +251,23 @@ class PDFMerger {
       };
     }
 
+    // The conflict policy kept a PDF an earlier run saved with this name
+    const existingFile = effectiveOutputFolder
+      ? DriveManager.getFilesByName(effectiveOutputFolder, outputFileName, MimeType.PDF)[0]
+      : null;
+    if (existingFile) {
+      return {
+        success: true,
+        message: `Kept the existing ${outputFileName} (conflict policy)`,
+        file: {
+          id: existingFile.getId(),
+          name: existingFile.getName(),
+          url: existingFile.getUrl(),
+        },
+        skipped: true,
+      };
+    }
+
     return {
       success: false,
       message: `Failed to copy the PDF file: ${file.getName()}`,
@@ -191,55 +277,87 @@ class PDFMerger {
   /**
    * Merges multiple PDF files into a single PDF document
    * @param {File[]} files - Array of PDF files to merge
-   * @returns {Promise<Object>} Object containing PDF bytes
+   * @param {Object} [options=this.mergeOptions] - Merge options (see `setMergeOptions`)
+   * @param {Object[]} [options.sections] - Sections to bookmark instead of one per file (used when merging batches)
+   * @param {Object} [options.stampValues] - Values for the stamp templates (see `getStampValues`). Pages are only stamped when this is set.
+   * @returns {Promise<Object>} Object containing PDF `bytes` and the `sections` ({ title, startPage, pageCount })
+   *   that each source file occupies, with `startPage` counted from zero before any contents page
    */
-  async mergeMultiplePdfFiles(files) {
+  async mergeMultiplePdfFiles(files, options = this.mergeOptions) {
     // Load PDF-lib library
-    const lib = await this.loadPdfLib();
-    const { PDFLib } = lib;
+    const { PDFLib } = PDFMerger.loadPdfLib();
 
-    // Create a new PDF document
-    const pdfDoc = await PDFLib.PDFDocument.create();
+    // Create a new PDF document. Leaving out the creation/modification dates keeps the output deterministic.
+    const pdfDoc = await PDFLib.PDFDocument.create({ updateMetadata: false });
 
     let totalPages = 0;
+    const fileSections = [];
 
     // Add each valid PDF to the merged document
     for (const file of files) {
       console.log(`Processing ${file.getName()} (${file.getMimeType()})`);
       try {
-        // Get the PDF data as bytes
-        const fileBlob = file.getBlob().getBytes();
+        let pageCount;
+        if (DriveManager.isImage(file)) {
+          // Photos and screenshots each become a single A4 page
+          pageCount = await this.addImagePage(pdfDoc, file);
+        } else {
+          // Get the PDF data as bytes
+          const fileBlob = file.getBlob().getBytes();
 
-        // Load the PDF document using base64 string
-        const pdfStudentData = await PDFLib.PDFDocument.load(new Uint8Array(fileBlob)
-        );
+          // Load the PDF document using base64 string
+          const pdfStudentData = await PDFLib.PDFDocument.load(new Uint8Array(fileBlob)
+          );
 
-        // Get page indices and copy them
-        const pageCount = pdfStudentData.getPageCount();
-        const pageIndices = [...Array(pageCount)].map((_, i) => i);
-        totalPages += pageCount;
+          // Get page indices and copy them
+          pageCount = pdfStudentData.getPageCount();
+          const pageIndices = [...Array(pageCount)].map((_, i) => i);
 
-        console.log(`Copying ${pageCount} pages from ${file.getName()}`);
-        const pages = await pdfDoc.copyPages(pdfStudentData, pageIndices);
+          console.log(`Copying ${pageCount} pages from ${file.getName()}`);
+          const pages = await pdfDoc.copyPages(pdfStudentData, pageIndices);
 
-        // Add pages to the output document
-        pages.forEach((page) => pdfDoc.addPage(page));
+          // Add pages to the output document
+          pages.forEach((page) => pdfDoc.addPage(page));
+        }
+
+        fileSections.push({
+          title: file.getName().replace(/\.(pdf|jpe?g|png)$/i, ""),
+          startPage: totalPages,
+          pageCount: pageCount,
+        });
+        totalPages += pageCount;
       } catch (e) {
         console.error(`Error processing ${file.getName()}: ${e.message}`);
         console.error(e.stack); // Log the full stack trace for debugging
       }
     }
 
-    console.log(`Merged document has ${totalPages} pages. Saving...`);
+    const sections = options.sections || fileSections;
+
+    // Navigation: a contents page is inserted first so the outline can point at it too
+    let contentsPageCount = 0;
+    if (options.addContentsPage && sections.length > 0) {
+      contentsPageCount = await this.addContentsPage(pdfDoc, sections);
+    }
+    if (options.addBookmarks && sections.length > 0) {
+      this.addOutline(pdfDoc, sections, contentsPageCount);
+    }
+
+    // Stamp last so that "page X of Y" counts the contents pages
+    if (options.stampValues) {
+      await this.stampPages(pdfDoc, options.stampValues);
+    }
+
+    console.log(`Merged document has ${totalPages + contentsPageCount} pages. Saving...`);
 
     try {
       // Save the document as bytes
       const pdfBytes = await pdfDoc.save();
       console.log(`Successfully saved PDF, byte length: ${pdfBytes.length}`);
 
-      // Return only the bytes
       return {
-        bytes: pdfBytes
+        bytes: pdfBytes,
+        sections: sections,
       };
     } catch (e) {
       console.error(`Error saving merged PDF: ${e.message}`);
@@ -248,20 +366,441 @@ class PDFMerger {
     }
   }
 
+  /**
+   * Adds a JPEG or PNG image to the document as an A4 page, turned the right way up using its EXIF
+   * orientation. The page is landscape when the image is wider than it is tall, and the image is
+   * scaled down to fit within the margins (but never enlarged) and centred.
+   * @param {PDFDocument} pdfDoc - The merged document
+   * @param {File} file - The image file
+   * @returns {Promise<number>} The number of pages added (always 1)
+   */
+  async addImagePage(pdfDoc, file) {
+    const { pushGraphicsState, popGraphicsState, concatTransformationMatrix, drawObject } = PDFMerger.loadPdfLib().PDFLib;
+
+    // Apps Script returns signed bytes
+    const bytes = new Uint8Array(file.getBlob().getBytes());
+    // Uploads aren't always labelled as the right kind of image, so PNGs are told apart by their signature
+    const isPng = PDFMerger.PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+    const image = isPng ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+    const orientation = PDFMerger.readExifOrientation(bytes);
+
+    // Orientations 5 to 8 turn the image on its side
+    const sideways = orientation >= 5;
+    const imageWidth = sideways ? image.height : image.width;
+    const imageHeight = sideways ? image.width : image.height;
+
+    const [a4Width, a4Height] = PDFMerger.A4_SIZE;
+    const [pageWidth, pageHeight] = imageWidth > imageHeight ? [a4Height, a4Width] : [a4Width, a4Height];
+    const margin = PDFMerger.IMAGE_MARGIN;
+    const scale = Math.min(1, (pageWidth - 2 * margin) / imageWidth, (pageHeight - 2 * margin) / imageHeight);
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+
+    console.log(`Adding ${file.getName()} as an image page (${image.width}x${image.height}, EXIF orientation ${orientation})`);
+    const page = pdfDoc.addPage([pageWidth, pageHeight]);
+    const name = page.node.newXObject("Image", image.ref);
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(...PDFMerger.getImageMatrix(orientation, (pageWidth - width) / 2, (pageHeight - height) / 2, width, height)),
+      drawObject(name),
+      popGraphicsState()
+    );
+    return 1;
+  }
+
+  /**
+   * Reads the EXIF orientation of a JPEG (from its APP1 segment) or PNG (from its eXIf chunk)
+   * @param {Uint8Array} bytes - The image's bytes
+   * @returns {number} The orientation from 1 to 8, or 1 (upright) if the image doesn't record one
+   */
+  static readExifOrientation(bytes) {
+    const ascii = (offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+
+    let tiffStart = -1;
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+      // JPEG: walk the marker segments up to the start of the image data
+      let offset = 2;
+      while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (marker === 0xDA) break;
+        if (marker === 0xE1 && ascii(offset + 4, 6) === "Exif\0\0") {
+          tiffStart = offset + 10;
+          break;
+        }
+        offset += 2 + length;
+      }
+    } else if (ascii(1, 3) === "PNG") {
+      // PNG: walk the chunks up to the image data
+      let offset = 8;
+      while (offset + 8 <= bytes.length) {
+        const length = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+        const type = ascii(offset + 4, 4);
+        if (type === "IDAT" || type === "IEND") break;
+        if (type === "eXIf") {
+          tiffStart = offset + 8;
+          break;
+        }
+        offset += 12 + length;
+      }
+    }
+
+    if (tiffStart < 0 || tiffStart + 8 > bytes.length) return 1;
+
+    // The EXIF data is a TIFF header followed by the first image file directory
+    const littleEndian = ascii(tiffStart, 2) === "II";
+    const read = (offset, size) => {
+      let value = 0;
+      for (let i = 0; i < size; i++) {
+        value = value * 256 + bytes[offset + (littleEndian ? size - 1 - i : i)];
+      }
+      return value;
+    };
+
+    const directory = tiffStart + read(tiffStart + 4, 4);
+    if (directory + 2 > bytes.length) return 1;
+    const entries = read(directory, 2);
+    for (let i = 0; i < entries; i++) {
+      const entry = directory + 2 + i * 12;
+      if (entry + 12 > bytes.length) break;
+      if (read(entry, 2) === 0x0112) {
+        const orientation = read(entry + 8, 2);
+        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+      }
+    }
+    return 1;
+  }
+
+  /**
+   * Gets the transformation matrix that draws an image into a box on the page, turned the right way up
+   * for its EXIF orientation
+   * @param {number} orientation - The EXIF orientation (1 to 8)
+   * @param {number} x - Left edge of the box
+   * @param {number} y - Bottom edge of the box
+   * @param {number} width - Width of the box (the image as displayed)
+   * @param {number} height - Height of the box
+   * @returns {number[]} The matrix operands [a, b, c, d, e, f]
+   */
+  static getImageMatrix(orientation, x, y, width, height) {
+    const toDisplay = PDFMerger.EXIF_ORIENTATIONS[orientation] || PDFMerger.EXIF_ORIENTATIONS[1];
+
+    // PDF draws an image into the unit square with its top row at v = 1; EXIF positions are measured from the top left
+    const place = (u, v) => {
+      const [dx, dy] = toDisplay(u, 1 - v);
+      return [x + dx * width, y + (1 - dy) * height];
+    };
+
+    const [e, f] = place(0, 0);
+    const [ux, uy] = place(1, 0);
+    const [vx, vy] = place(0, 1);
+    return [ux - e, uy - f, vx - e, vy - f, e, f];
+  }
+
+  /**
+   * Adds a document outline (bookmarks) with one entry per section, opening the outline panel by default
+   * @param {PDFDocument} pdfDoc - The merged document
+   * @param {Object[]} sections - Sections ({ title, startPage }) to bookmark
+   * @param {number} [contentsPageCount=0] - Number of contents pages at the front of the document
+   */
+  addOutline(pdfDoc, sections, contentsPageCount = 0) {
+    const { PDFName, PDFHexString } = PDFMerger.loadPdfLib().PDFLib;
+    const context = pdfDoc.context;
+    const pageRefs = pdfDoc.getPages().map(page => page.ref);
+
+    const entries = sections.map(section => ({
+      title: section.title,
+      pageIndex: section.startPage + contentsPageCount,
+    }));
+    if (contentsPageCount > 0) {
+      entries.unshift({ title: "Contents", pageIndex: 0 });
+    }
+
+    const outlineRef = context.nextRef();
+    const entryRefs = entries.map(() => context.nextRef());
+
+    entries.forEach((entry, i) => {
+      const item = {
+        Title: PDFHexString.fromText(entry.title),
+        Parent: outlineRef,
+        Dest: [pageRefs[entry.pageIndex], "Fit"],
+      };
+      if (i > 0) item.Prev = entryRefs[i - 1];
+      if (i < entries.length - 1) item.Next = entryRefs[i + 1];
+      context.assign(entryRefs[i], context.obj(item));
+    });
+
+    context.assign(outlineRef, context.obj({
+      Type: "Outlines",
+      First: entryRefs[0],
+      Last: entryRefs[entryRefs.length - 1],
+      Count: entries.length,
+    }));
+
+    pdfDoc.catalog.set(PDFName.of("Outlines"), outlineRef);
+    pdfDoc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+    console.log(`Added ${entries.length} bookmarks`);
+  }
+
+  /**
+   * Inserts generated contents pages at the front of the document listing each section and its start page
+   * @param {PDFDocument} pdfDoc - The merged document
+   * @param {Object[]} sections - Sections ({ title, startPage }) to list
+   * @returns {Promise<number>} The number of contents pages inserted
+   */
+  async addContentsPage(pdfDoc, sections) {
+    const { StandardFonts, rgb } = PDFMerger.loadPdfLib().PDFLib;
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+    const [width, height] = PDFMerger.A4_SIZE;
+    const margin = 56;
+    const fontSize = 11;
+    const lineHeight = 18;
+    const headingSpace = 40;
+    const linesPerPage = Math.floor((height - 2 * margin - headingSpace) / lineHeight);
+    const pageCount = Math.ceil(sections.length / linesPerPage);
+
+    for (let p = 0; p < pageCount; p++) {
+      const page = pdfDoc.insertPage(p, PDFMerger.A4_SIZE);
+      page.drawText(p === 0 ? "Contents" : "Contents (continued)", {
+        x: margin, y: height - margin - 18, size: 18, font: boldFont,
+      });
+
+      sections.slice(p * linesPerPage, (p + 1) * linesPerPage).forEach((section, i) => {
+        const y = height - margin - headingSpace - (i + 1) * lineHeight;
+        // Page numbers are as shown in a PDF viewer, so they include the contents pages
+        const pageLabel = String(section.startPage + pageCount + 1);
+        const labelWidth = font.widthOfTextAtSize(pageLabel, fontSize);
+        const maxTitleWidth = width - 2 * margin - labelWidth - 20;
+        const title = PDFMerger.truncateText(font, PDFMerger.toFontSafeText(font, section.title), fontSize, maxTitleWidth);
+
+        page.drawText(title, { x: margin, y, size: fontSize, font });
+        page.drawText(pageLabel, { x: width - margin - labelWidth, y, size: fontSize, font });
+
+        // Dotted leader between the title and the page number
+        const leaderStart = margin + font.widthOfTextAtSize(title, fontSize) + 6;
+        const leaderEnd = width - margin - labelWidth - 6;
+        if (leaderEnd > leaderStart) {
+          page.drawLine({
+            start: { x: leaderStart, y: y + 2 },
+            end: { x: leaderEnd, y: y + 2 },
+            thickness: 0.5,
+            color: rgb(0.6, 0.6, 0.6),
+            dashArray: [1, 2],
+          });
+        }
+      });
+    }
+
+    console.log(`Added ${pageCount} contents page(s) listing ${sections.length} sections`);
+    return pageCount;
+  }
+
+  /**
+   * Replaces characters a standard PDF font can't encode, dropping accents where possible
+   * (e.g. "ł" becomes "l") and using "?" otherwise
+   * @param {PDFFont} font - The embedded font
+   * @param {string} text - The text to draw
+   * @returns {string} Text the font can encode
+   */
+  static toFontSafeText(font, text) {
+    const supported = new Set(font.getCharacterSet());
+    return Array.from(String(text)).map(char => {
+      if (supported.has(char.codePointAt(0))) return char;
+      const base = char.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+      return base && Array.from(base).every(c => supported.has(c.codePointAt(0))) ? base : "?";
+    }).join("");
+  }
+
+  /**
+   * Shortens text with an ellipsis so it fits within a width
+   * @param {PDFFont} font - The embedded font
+   * @param {string} text - The text to fit
+   * @param {number} fontSize - The font size
+   * @param {number} maxWidth - The available width in points
+   * @returns {string} The text, shortened if needed
+   */
+  static truncateText(font, text, fontSize, maxWidth) {
+    if (font.widthOfTextAtSize(text, fontSize) <= maxWidth) return text;
+    let shortened = text;
+    while (shortened.length > 0 && font.widthOfTextAtSize(`${shortened}...`, fontSize) > maxWidth) {
+      shortened = shortened.slice(0, -1);
+    }
+    return `${shortened}...`;
+  }
+
+  /**
+   * Draws the configured header and footer on every page. When `stampOptions.shrinkContent` is set, each
+   * page's content is first scaled down about its centre so the header and footer sit in clear margins.
+   * @param {PDFDocument} pdfDoc - The merged document
+   * @param {Object} values - Values for the templates (see `getStampValues`)
+   */
+  async stampPages(pdfDoc, values) {
+    const { StandardFonts, rgb } = PDFMerger.loadPdfLib().PDFLib;
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const { header, footer, fontSize, margin, shrinkContent } = this.stampOptions;
+    const bandHeight = margin + fontSize + margin / 2;
+    const pages = pdfDoc.getPages();
+
+    pages.forEach((page, index) => {
+      const pageValues = { ...values, page: index + 1, pages: pages.length };
+      const { width, height } = PDFMerger.getVisualPageSize(page);
+
+      if (shrinkContent) {
+        this.shrinkPageContent(page, (height - 2 * bandHeight) / height);
+      }
+
+      const slotWidth = (width - 2 * margin) / 3;
+      const lines = [
+        { templates: header, y: height - margin - fontSize },
+        { templates: footer, y: margin },
+      ];
+      lines.forEach(({ templates, y }) => {
+        ["left", "centre", "right"].forEach((slot, slotIndex) => {
+          if (!templates[slot]) return;
+          const text = PDFMerger.truncateText(font,
+            PDFMerger.toFontSafeText(font, PDFMerger.fillStampTemplate(templates[slot], pageValues)),
+            fontSize, slotWidth);
+          const textWidth = font.widthOfTextAtSize(text, fontSize);
+          const x = [margin, (width - textWidth) / 2, width - margin - textWidth][slotIndex];
+          const position = PDFMerger.toPageCoordinates(page, x, y);
+          page.drawText(text, {
+            x: position.x,
+            y: position.y,
+            rotate: position.rotate,
+            size: fontSize,
+            font: font,
+            color: rgb(0.2, 0.2, 0.2),
+          });
+        });
+      });
+    });
+
+    console.log(`Stamped ${pages.length} pages for ${values.submissionPrefix || values.name}`);
+  }
+
+  /**
+   * Scales a page's content and annotations down about the centre of the page
+   * @param {PDFPage} page - The page
+   * @param {number} scale - The scale factor (less than 1)
+   */
+  shrinkPageContent(page, scale) {
+    const { PDFArray, PDFDict, PDFName, PDFNumber } = PDFMerger.loadPdfLib().PDFLib;
+    const box = page.getMediaBox();
+    const offsetX = (box.x + box.width / 2) * (1 - scale);
+    const offsetY = (box.y + box.height / 2) * (1 - scale);
+
+    // The last wrap is applied last, so this scales about the origin and then moves the result back to the centre
+    page.scaleContent(scale, scale);
+    page.translateContent(offsetX, offsetY);
+
+    // pdf-lib draws into a stream that is now inside the scaling, so start a new one for the stamp
+    page.getContentStream(false);
+
+    // Keep links and other annotations over the content they belong to
+    const annotations = page.node.Annots();
+    if (!annotations) return;
+    for (let i = 0; i < annotations.size(); i++) {
+      const annotation = annotations.lookup(i);
+      const rect = annotation instanceof PDFDict && annotation.lookup(PDFName.of("Rect"));
+      if (!(rect instanceof PDFArray) || rect.size() !== 4) continue;
+      const [x1, y1, x2, y2] = rect.asArray().map(n => n.asNumber());
+      annotation.set(PDFName.of("Rect"), page.doc.context.obj([
+        x1 * scale + offsetX, y1 * scale + offsetY, x2 * scale + offsetX, y2 * scale + offsetY,
+      ].map(n => PDFNumber.of(n))));
+    }
+  }
+
+  /**
+   * Gets a page's size as it is displayed, swapping width and height for pages rotated by 90 or 270 degrees
+   * @param {PDFPage} page - The page
+   * @returns {Object} The displayed `width` and `height` and the page's `rotation` in degrees
+   */
+  static getVisualPageSize(page) {
+    const { width, height } = page.getMediaBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+    return {
+      width: sideways ? height : width,
+      height: sideways ? width : height,
+      rotation: rotation,
+    };
+  }
+
+  /**
+   * Converts a point measured on the page as displayed into the page's own coordinates, so that
+   * text drawn there reads the right way up on rotated pages
+   * @param {PDFPage} page - The page
+   * @param {number} x - Distance from the displayed left edge
+   * @param {number} y - Distance from the displayed bottom edge
+   * @returns {Object} `x` and `y` in page coordinates and the text `rotate` value to draw with
+   */
+  static toPageCoordinates(page, x, y) {
+    const { degrees } = PDFMerger.loadPdfLib().PDFLib;
+    const box = page.getMediaBox();
+    const { rotation } = PDFMerger.getVisualPageSize(page);
+
+    switch (rotation) {
+      case 90:
+        return { x: box.x + box.width - y, y: box.y + x, rotate: degrees(90) };
+      case 180:
+        return { x: box.x + box.width - x, y: box.y + box.height - y, rotate: degrees(180) };
+      case 270:
+        return { x: box.x + y, y: box.y + box.height - x, rotate: degrees(270) };
+      default:
+        return { x: box.x + x, y: box.y + y, rotate: degrees(0) };
+    }
+  }
+
+  /**
+   * Fills the placeholders in a stamp template. Unknown or empty values are left blank.
+   * @param {string} template - The template, e.g. "Page {page} of {pages}"
+   * @param {Object} values - The placeholder values
+   * @returns {string} The filled text
+   */
+  static fillStampTemplate(template, values) {
+    return template
+      .replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : ""))
+      .trim();
+  }
+
+  /**
+   * Gets the values stamped on a student's pages. The centre and candidate numbers come from the
+   * student's record, falling back to the submission prefix created by
+   * `TextProcessor.createStudentSubmissionPrefix` (centre_candidate_NAME).
+   * @param {Object} student - A student record
+   * @returns {Object} The `centreNo`, `candidateNo`, `name` (the legal name if one is recorded) and `submissionPrefix`
+   */
+  static getStampValues(student) {
+    const prefix = student.submissionPrefix || "";
+    const [prefixCentreNo, prefixCandidateNo] = prefix.split("_");
+    return {
+      centreNo: NamingConvention.padNumber(student.centreNo || prefixCentreNo, TextProcessor.CENTRE_DIGITS),
+      candidateNo: NamingConvention.padNumber(student.candidateNo || prefixCandidateNo, TextProcessor.CANDIDATE_DIGITS),
+      name: student.legalName || student.name || "",
+      submissionPrefix: prefix,
+    };
+  }
+
   /**
    * Process PDFs in smaller batches to avoid memory issues
    * @param {File[]} files - Array of PDF files to merge
    * @param {number} batchSize - Size of each batch
-   * @returns {Promise<Object>} Object containing merged PDF data (bytes)
+   * @param {Object} [mergeOptions=this.mergeOptions] - Merge options (see `setMergeOptions`)
+   * @returns {Promise<Object>} Object containing merged PDF data (bytes) and sections
    */
-  async processPDFsInBatches(files, batchSize = 5) {
+  async processPDFsInBatches(files, batchSize = 5, mergeOptions = this.mergeOptions) {
     console.log(`Processing ${files.length} files in batches of ${batchSize}`);
 
     // If there are fewer files than the batch size, just process them directly
     if (files.length <= batchSize) {
-      return await this.mergeMultiplePdfFiles(files);
+      return await this.mergeMultiplePdfFiles(files, mergeOptions);
     }
 
+    // Bookmarks and contents are added once at the end, using each original file's place in the final document
+    const sections = [];
+    let pagesSoFar = 0;
+
     // Create temporary storage for output files
     const tempFiles = [];
     const parentFolderForTempFiles = this.destinationFolder || DriveApp.getRootFolder();
@@ -274,7 +813,9 @@ class PDFMerger {
         console.log(`Processing batch ${Math.floor(i / batchSize) + 1}: files ${i + 1} to ${end}`);
 
         // Merge this batch into a temporary PDF
-        const batchData = await this.mergeMultiplePdfFiles(batch);
+        const batchData = await this.mergeMultiplePdfFiles(batch, { addBookmarks: false, addContentsPage: false });
+        batchData.sections.forEach(section => sections.push({ ...section, startPage: section.startPage + pagesSoFar }));
+        pagesSoFar += batchData.sections.reduce((total, section) => total + section.pageCount, 0);
 
         // Save it as a temporary file in Drive root
         const tempName = `temp_batch_${Math.floor(i / batchSize) + 1}_of_${Math.ceil(files.length / batchSize)}.pdf`;
@@ -292,7 +833,7 @@ class PDFMerger {
       console.log(`Created ${tempFiles.length} temporary files, now merging them`);
 
       // Now merge all temporary files
-      const finalData = await this.mergeMultiplePdfFiles(tempFiles);
+      const finalData = await this.mergeMultiplePdfFiles(tempFiles, { ...mergeOptions, sections });
 
       // Clean up temp files
       tempFiles.forEach(file => {
@@ -327,10 +868,29 @@ class PDFMerger {
    * @param {Object} pdfData - Object with PDF bytes (`pdfData.bytes`)
    * @param {string} outputFileName - Name for the output PDF file
    * @param {Folder} [outputFolder=null] - Optional folder to save the PDF (if null, saves to root)
-   * @returns {Object} Object with file information
+   * @returns {Object} Object with file information. If the conflict policy keeps an existing PDF with the
+   *   same name, that file's information is returned with `skipped: true`.
    */
   saveResultingPdf(pdfData, outputFileName, outputFolder = null) {
     console.log(`Saving PDF to Drive with filename: ${outputFileName}`);
+    const effectiveOutputFolder = outputFolder || this.destinationFolder;
+
+    // Apply the run's conflict policy before doing any work. Only PDFs clash, as the front sheet has
+    // the same name as the merged declaration Google Doc it is made from.
+    let targetName = outputFileName;
+    if (effectiveOutputFolder) {
+      targetName = DriveManager.resolveFileConflict(effectiveOutputFolder, outputFileName, null, null, MimeType.PDF);
+      if (!targetName) {
+        const existingFile = DriveManager.getFilesByName(effectiveOutputFolder, outputFileName, MimeType.PDF)[0];
+        console.log(`Kept the existing "${outputFileName}" (ID: ${existingFile.getId()}).`);
+        return {
+          id: existingFile.getId(),
+          name: existingFile.getName(),
+          url: existingFile.getUrl(),
+          skipped: true,
+        };
+      }
+    }
 
     // Get the PDF file bytes directly
     const bytes = pdfData.bytes;
@@ -341,12 +901,11 @@ class PDFMerger {
     console.log(`Created blob with size: ${blob.getBytes().length} bytes`);
 
     let newFile;
-    const effectiveOutputFolder = outputFolder || this.destinationFolder;
 
     if (effectiveOutputFolder) {
       // Save to specified folder
       console.log(`Saving to folder: ${effectiveOutputFolder.getName()}`);
-      newFile = effectiveOutputFolder.createFile(blob);
+      newFile = effectiveOutputFolder.createFile(blob.setName(targetName));
     } else {
       // Save to root
       console.log("Saving to root folder");
@@ -366,12 +925,15 @@ class PDFMerger {
    * @param {(string|File)[]} items - Array of Google Drive file IDs or File objects to merge
    * @param {string} outputFileName - Name for the merged PDF file (default: "Merged.pdf")
    * @param {Folder} [outputFolder=null] - Optional folder to save the merged PDF (if null, saves to root)
-   * @returns {Promise<Object>} Object with status and result information
+   * @param {Object} [mergeOptions=this.mergeOptions] - Bookmark and contents page options (see `setMergeOptions`)
+   * @returns {Promise<Object>} Object with status and result information. A PDF kept by the conflict policy
+   *   counts as a success, with `skipped: true`.
    */
   async mergePDFs(
     items,
     outputFileName = "Merged.pdf",
-    outputFolder = null
+    outputFolder = null,
+    mergeOptions = this.mergeOptions
   ) {
     try {
       // Validate files first
@@ -380,13 +942,13 @@ class PDFMerger {
       if (validFiles.length === 0) {
         return {
           success: false,
-          message: "No valid PDF files found to merge",
+          message: "No valid PDF or image files found to merge",
           invalidFiles,
         };
       }
 
-      // If there's only one valid file, simply copy it with the new name
-      if (validFiles.length === 1) {
+      // If there's only one valid PDF and nothing to add to it, simply copy it with the new name
+      if (validFiles.length === 1 && DriveManager.isPdf(validFiles[0]) && !mergeOptions.stampValues) {
         const result = await this.copySinglePdfFile(
           validFiles[0],
           outputFileName,
@@ -403,10 +965,10 @@ class PDFMerger {
       let pdfData;
       if (validFiles.length > 10) {
         console.log("Large number of PDFs detected, processing in smaller batches");
-        pdfData = await this.processPDFsInBatches(validFiles, 5);
+        pdfData = await this.processPDFsInBatches(validFiles, 5, mergeOptions);
       } else {
         // For smaller file sets, just merge directly
-        pdfData = await this.mergeMultiplePdfFiles(validFiles);
+        pdfData = await this.mergeMultiplePdfFiles(validFiles, mergeOptions);
       }
 
       if (!pdfData || !pdfData.bytes || pdfData.bytes.length === 0) {
@@ -430,8 +992,11 @@ class PDFMerger {
 
         return {
           success: true,
-          message: `Successfully merged ${validFiles.length} PDFs`,
+          message: fileInfo.skipped
+            ? `Kept the existing ${outputFileName} (conflict policy)`
+            : `Successfully merged ${validFiles.length} PDFs`,
           file: fileInfo,
+          skipped: Boolean(fileInfo.skipped),
           invalidFiles: invalidFiles.length > 0 ? invalidFiles : null,
         };
       } catch (saveError) {
@@ -462,62 +1027,136 @@ class PDFMerger {
    * @param {string} categoryName - Name of the category (used for output filename)
    * @param {Folder} outputFolder - Folder to save the copied zip files
    * @param {boolean} [recursive=false] - Whether to search in subfolders recursively
-   * @returns {Object[]} Array of copied zip file information
+   * @param {Object} [namingValues={}] - Student values for the naming convention (see `NamingConvention.getStudentValues`)
+   * @returns {File[]} Array of the copied zip files
    */
-  copyMatchingZipFiles(sourceFolder, prefixes, categoryName, outputFolder, recursive = false) {
+  copyMatchingZipFiles(sourceFolder, prefixes, categoryName, outputFolder, recursive = false, namingValues = {}) {
     // Look for zip files with the prefixes
-    const zipFiles = DriveManager.findFilesBySubstring(
-        sourceFolder,
-        prefixes,
-        recursive,
-        ["application/zip", "application/x-zip-compressed"],
-        "prefix"
-      )
+    const zipFiles = this.findCategoryZipFiles(sourceFolder, prefixes, recursive);
+
+    const copiedZips = [];
 
     // If we found zip files, copy them to the output folder
-    if (zipFiles.length > 0) {
+    if (zipFiles.length > 0 && outputFolder) {
       console.log(`Found ${zipFiles.length} zip files matching prefixes for category "${categoryName}"`);
-      const zipOutputFileName = `${categoryName}.zip`;
 
-      // If there's only one zip file, just copy and rename it
-      if (zipFiles.length === 1) {
+      // A single zip is just renamed to the category; multiple zips get a sequence number
+      zipFiles.forEach((zipFile, i) => {
         try {
-
-          if (outputFolder) {
-            const copiedZip = DriveManager.copyAndRenameFile(
-              zipFiles[0],
-              outputFolder,
-              zipOutputFileName
-            );
-            zipFiles.push(copiedZip);
-            console.log(`Copied zip file: ${zipFiles[0].getName()} to ${zipOutputFileName}`);
+          const zipOutputFileName = this.getZipOutputFileName(categoryName, i, zipFiles.length, namingValues);
+          const copiedZip = DriveManager.copyAndRenameFile(
+            zipFile,
+            outputFolder,
+            zipOutputFileName
+          );
+          if (copiedZip) {
+            copiedZips.push(copiedZip);
+            console.log(`Copied zip file: ${zipFile.getName()} to ${copiedZip.getName()}`);
           }
         } catch (e) {
           console.error(`Error copying zip file: ${e.message}`);
         }
-      } else {
-        // If we have multiple zip files, we'll handle each one separately
-        // by appending an index to the filename
-        for (let i = 0; i < zipFiles.length; i++) {
-          try {
-            if (outputFolder) {
-              const indexedZipFileName = `${categoryName}_${i + 1}.zip`;
-              const copiedZip = DriveManager.copyAndRenameFile(
-                zipFiles[i],
-                outputFolder,
-                indexedZipFileName
-              );
-              zipFiles.push(copiedZip);
-              console.log(`Copied zip file: ${zipFile.getName()} to ${indexedZipFileName}`);
-            }
-          } catch (e) {
-            console.error(`Error copying zip file: ${e.message}`);
-          }
+      });
+    }
+
+    return copiedZips;
+  }
+
+  /**
+   * Gets the output filename for a category's zip file from the active naming convention
+   * @param {string} categoryName - Name of the category
+   * @param {number} index - Zero-based index of the zip within the category
+   * @param {number} total - Number of zips in the category
+   * @param {Object} [namingValues={}] - Student values for the naming convention
+   * @returns {string} The output filename
+   */
+  getZipOutputFileName(categoryName, index, total, namingValues = {}) {
+    return NamingConvention.getActive().categoryZipName(categoryName, index, total, namingValues);
+  }
+
+  /**
+   * Gets the output filename for a category's merged PDF from the active naming convention
+   * @param {string} categoryName - Name of the category
+   * @param {Object} [namingValues={}] - Student values for the naming convention
+   * @returns {string} The output filename
+   */
+  getCategoryOutputFileName(categoryName, namingValues = {}) {
+    return NamingConvention.getActive().categoryPdfName(categoryName, namingValues);
+  }
+
+  /**
+   * Finds the PDFs and images in a folder that belong to a category
+   * @param {Folder} sourceFolder - Folder containing the files
+   * @param {string[]} prefixes - The category's filename prefixes
+   * @param {boolean} [recursive=false] - Whether to search in subfolders recursively
+   * @returns {File[]} The matching files, in prefix order
+   */
+  findCategoryFiles(sourceFolder, prefixes, recursive = false) {
+    return DriveManager.findFilesBySubstring(
+      sourceFolder,
+      prefixes,
+      recursive,
+      null,
+      "prefix" // We're still using prefix matching as before
+    ).filter(file => DriveManager.isPdf(file) || DriveManager.isImage(file)); // Uploads Drive didn't recognise are found by extension
+  }
+
+  /**
+   * Finds the zip files in a folder that belong to a category
+   * @param {Folder} sourceFolder - Folder containing the files
+   * @param {string[]} prefixes - The category's filename prefixes
+   * @param {boolean} [recursive=false] - Whether to search in subfolders recursively
+   * @returns {File[]} The matching zip files
+   */
+  findCategoryZipFiles(sourceFolder, prefixes, recursive = false) {
+    return DriveManager.findFilesBySubstring(
+      sourceFolder,
+      prefixes,
+      recursive,
+      null,
+      "prefix"
+    ).filter(file => DriveManager.isZip(file)); // Zips from some computers are only recognisable by their extension
+  }
+
+  /**
+   * Reads the categories from the Prefixes sheet. Each column header is a category
+   * and the non-empty cells below it are the filename prefixes that belong to it.
+   * @returns {Object[]} Array of `{ category, prefixes }` for each column with a header and at least one prefix
+   * @throws {Error} If the Prefixes sheet is empty or only has headers
+   */
+  getPrefixCategories() {
+    const { prefixSheet } = SpreadsheetManager.getSpreadsheetSheets();
+
+    // Get all data from the sheet
+    const data = prefixSheet.getDataRange().getValues();
+    if (data.length < 2) {
+      throw new Error("Prefixes sheet is empty or has only headers.");
+    }
+
+    const headers = data[0];
+    const categories = [];
+
+    // Process each column (category)
+    for (let col = 0; col < headers.length; col++) {
+      if (!headers[col]) continue; // Skip columns with no header
+
+      // Collect all non-empty prefixes for this column
+      const prefixes = [];
+      for (let row = 1; row < data.length; row++) {
+        if (
+          data[row][col] &&
+          data[row][col].toString().trim()
+        ) {
+          prefixes.push(data[row][col].toString().trim());
         }
       }
+
+      if (prefixes.length === 0) continue; // Skip if no prefixes for this category
+
+      categories.push({ category: headers[col].toString(), prefixes });
     }
 
-    return zipFiles;
+    return categories;
   }
 
   /**
@@ -525,72 +1164,37 @@ class PDFMerger {
    * @param {Folder} sourceFolder - Folder containing the PDFs to merge
    * @param {Folder} [outputFolder=null] - Optional folder to save the merged PDFs (if null, saves to root)
    * @param {boolean} [recursive=false] - Whether to search in subfolders recursively
+   * @param {Object} [mergeOptions=this.mergeOptions] - Merge options (see `mergeMultiplePdfFiles`)
+   * @param {Object} [namingValues={}] - Student values for the naming convention (see `NamingConvention.getStudentValues`)
    * @returns {Promise<Object>} Object with results of the merge operations
    */
   async mergePDFsFromPrefixSheet(
     sourceFolder,
     outputFolder = null,
-    recursive = false
+    recursive = false,
+    mergeOptions = this.mergeOptions,
+    namingValues = {}
   ) {
     try {
-      // Get the Prefixes sheet
-      const { prefixSheet } = SpreadsheetManager.getSpreadsheetSheets();
-      if (!prefixSheet) {
-        return {
-          success: false,
-          message: "Prefixes sheet not found.",
-        };
-      }
-
-      // Get all data from the sheet
-      const data = prefixSheet.getDataRange().getValues();
-      if (data.length < 2) {
-        return {
-          success: false,
-          message: "Prefixes sheet is empty or has only headers.",
-        };
-      }
-
-      const headers = data[0];
+      const categories = this.getPrefixCategories();
       const results = [];
 
-      // Process each column (category)
-      for (let col = 0; col < headers.length; col++) {
-        if (!headers[col]) continue; // Skip columns with no header
-
-        // Collect all non-empty prefixes for this column
-        const prefixes = [];
-        for (let row = 1; row < data.length; row++) {
-          if (
-            data[row][col] &&
-            data[row][col].toString().trim()
-          ) {
-            prefixes.push(data[row][col].toString().trim());
-          }
-        }
-
-        if (prefixes.length === 0) continue; // Skip if no prefixes for this category
-
+      // Process each category
+      for (const { category, prefixes } of categories) {
         // Generate output filename from the header
-        const outputFileName = `${headers[col]}.pdf`;
+        const outputFileName = this.getCategoryOutputFileName(category, namingValues);
         console.log(
-          `Processing category "${headers[col]}" with prefixes: ${prefixes.join(
+          `Processing category "${category}" with prefixes: ${prefixes.join(
             ", "
           )}`
         );
 
         // Find all files matching these prefixes
-        const fileIds = DriveManager.findFilesBySubstring(
-          sourceFolder,
-          prefixes,
-          recursive,
-          ["application/pdf"],
-          "prefix" // We're still using prefix matching as before
-        );
+        const fileIds = this.findCategoryFiles(sourceFolder, prefixes, recursive);
 
         if (fileIds.length === 0) {
           results.push({
-            category: headers[col],
+            category: category,
             success: false,
             message: "No matching PDF files found for this category.",
           });
@@ -601,7 +1205,8 @@ class PDFMerger {
         const mergeResult = await this.mergePDFs(
           fileIds,
           outputFileName,
-          outputFolder
+          outputFolder,
+          mergeOptions
         );
 
         // NOTE: I know this is sloppy and doesn't separate concerns, but it'll do for now.
@@ -611,9 +1216,10 @@ class PDFMerger {
         const zipFiles = this.copyMatchingZipFiles(
           sourceFolder,
           prefixes,
-          headers[col],
+          category,
           outputFolder,
-          recursive
+          recursive,
+          namingValues
         );
 
         // Add zip file info to the merge result if any were copied
@@ -627,7 +1233,7 @@ class PDFMerger {
 
         // Store the result with category info
         results.push({
-          category: headers[col],
+          category: category,
           ...mergeResult,
         });
       }
@@ -664,9 +1270,9 @@ class PDFMerger {
           sourceFolder,
           fileNamePattern,
           false,
-          ["application/pdf"],
+          null,
           "contains"
-        )
+        ).filter(file => DriveManager.isPdf(file))
       );
 
       if (!frontSheetFile) {
@@ -687,90 +1293,116 @@ class PDFMerger {
 
   /**
    * Merges PDFs for each student folder based on the prefix sheet
-   * @param {Array} studentData - Student data from spreadsheet
+   * @param {Object[]} students - Student records from `SpreadsheetManager.getStudentRecords`
    * @param {string} destinationFolderId - ID of the destination folder
    * @param {boolean} [recursive=false] - Whether to search in subfolders recursively
-   * @returns {Promise<Object>} Object with results of the merge operations for each student
+   * @param {JobRunner} runner - Started job runner that tracks which students have been done
+   * @returns {Promise<Object>} Object with results of the merge operations for each student processed in this run,
+   *   plus the job runner's `summary`
    */
   async mergePDFsForAllStudents(
-    studentData,
+    students,
     destinationFolderId,
-    recursive = false
+    recursive = false,
+    runner
   ) {
     try {
-      const folderIdColumnIndex = 2
-
-      const nameColumnIndex = 0; // Assume name is in the first column
-
       const studentResults = [];
 
-      // Process each student row (skip header row)
-      for (let row = 3; row < studentData.length; row++) {
-        const studentName = studentData[row][nameColumnIndex];
-        const sourceFolderId = studentData[row][folderIdColumnIndex];
-        const destinationFolderName = studentData[row][3]; // 3rd column from studentData should be the destination folder name.
+      // Process each active student
+      const summary = await runner.run(
+        students.filter(s => s.active),
+        student => student.userId,
+        async student => studentResults.push(
+          await this.mergePDFsForStudent(student, destinationFolderId, recursive)
+        )
+      );
 
-        if (!sourceFolderId) {
-          studentResults.push({
-            student: studentName || `Row ${row + 1}`,
-            success: false,
-            message: "No folder ID found for this student.",
-          });
-          continue;
-        }
+      return {
+        success: true,
+        message: `Processed PDF merges for ${studentResults.length} students. ${JobRunner.describeSummary(summary)}`,
+        studentResults,
+        summary,
+      };
+    } catch (e) {
+      console.error(`Error merging PDFs for students: ${e.message}`);
+      return {
+        success: false,
+        message: `Error merging PDFs for students: ${e.message}`,
+      };
+    }
+  }
 
-        try {
-          // Get the source folder
-          const sourceFolder = DriveApp.getFolderById(sourceFolderId);
-
-          // Create a folder in the parent folder
-          const destFolder = DriveApp.getFolderById(destinationFolderId);
-          const mergedPDFsFolder = DriveManager.createFolder(
-            destFolder,
-            destinationFolderName || "MergedPDFs"
-          );
+  /**
+   * Merges one student's PDFs into their folder in the destination, based on the prefix sheet
+   * @param {Object} student - A student record
+   * @param {string} destinationFolderId - ID of the destination folder
+   * @param {boolean} [recursive=false] - Whether to search in subfolders recursively
+   * @returns {Promise<Object>} Object with the results of the merge operations for the student
+   */
+  async mergePDFsForStudent(student, destinationFolderId, recursive = false) {
+    const studentName = student.name;
+    const sourceFolderId = student.folderId;
+    const destinationFolderName = student.submissionPrefix; // Set when the final declaration was created.
 
-          console.log(
-            `Processing student: ${studentName}, creating merged PDFs in folder: ${mergedPDFsFolder.getName()}`
-          );
+    if (!sourceFolderId) {
+      return {
+        student: studentName || `Row ${student.row}`,
+        success: false,
+        message: "No folder ID found for this student.",
+      };
+    }
 
-          // Copy front sheet using the helper method
-          this.copyFrontSheet(sourceFolder, destinationFolderName, mergedPDFsFolder);
+    try {
+      // Get the source folder
+      const sourceFolder = DriveApp.getFolderById(sourceFolderId);
+
+      // Create a folder in the parent folder
+      const destFolder = DriveApp.getFolderById(destinationFolderId);
+      const mergedPDFsFolder = DriveManager.createFolder(
+        destFolder,
+        destinationFolderName || studentName || "MergedPDFs"
+      );
 
-          // Run the merge operation for this student's folder
-          const mergeResult = await this.mergePDFsFromPrefixSheet(
-            sourceFolder,
-            mergedPDFsFolder,
-            recursive
-          );
+      console.log(
+        `Processing student: ${studentName}, creating merged PDFs in folder: ${mergedPDFsFolder.getName()}`
+      );
 
-          // Store the result with student info
-          studentResults.push({
-            student: studentName,
-            sourceFolderId,
-            outputFolderId: mergedPDFsFolder.getId(),
-            ...mergeResult,
-          });
-        } catch (e) {
-          console.error(`Error processing student ${studentName}: ${e.message}`);
-          studentResults.push({
-            student: studentName,
-            success: false,
-            message: `Error: ${e.message}`,
-          });
-        }
+      // Copy front sheet using the helper method
+      if (destinationFolderName) {
+        this.copyFrontSheet(sourceFolder, destinationFolderName, mergedPDFsFolder);
+      } else {
+        console.warn(`No submission prefix recorded for ${studentName}, so no front sheet will be copied.`);
       }
 
+      // Stamp the student's details on every page if enabled
+      const mergeOptions = { ...this.mergeOptions };
+      if (mergeOptions.addStamp) {
+        mergeOptions.stampValues = PDFMerger.getStampValues(student);
+      }
+
+      // Run the merge operation for this student's folder
+      const mergeResult = await this.mergePDFsFromPrefixSheet(
+        sourceFolder,
+        mergedPDFsFolder,
+        recursive,
+        mergeOptions,
+        NamingConvention.getStudentValues(student)
+      );
+
+      // Return the result with student info
       return {
-        success: true,
-        message: `Processed PDF merges for ${studentResults.length} students.`,
-        studentResults,
+        student: studentName,
+        sourceFolderId,
+        outputFolderId: mergedPDFsFolder.getId(),
+        ...mergeResult,
       };
     } catch (e) {
-      console.error(`Error merging PDFs for students: ${e.message}`);
+      console.error(`Error processing student ${studentName}: ${e.message}`);
       return {
+        student: studentName,
         success: false,
-        message: `Error merging PDFs for students: ${e.message}`,
+        message: `Error: ${e.message}`,
       };
     }
   }
@@ -782,3 +1414,72 @@ class PDFMerger {
  * @private
  */
 PDFMerger._instance = null;
+
+/**
+ * Cached PDF-lib namespace, loaded once per execution by `PDFMerger.loadPdfLib`
+ * @type {Object|null}
+ * @private
+ */
+PDFMerger._pdfLib = null;
+
+/**
+ * A4 page size in PDF points
+ * @type {number[]}
+ */
+PDFMerger.A4_SIZE = [595.28, 841.89];
+
+/**
+ * The bytes every PNG file starts with
+ * @type {number[]}
+ */
+PDFMerger.PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Space left around an image page's picture, in PDF points
+ * @type {number}
+ */
+PDFMerger.IMAGE_MARGIN = 36;
+
+/**
+ * How each EXIF orientation moves a point of the stored image (measured from its top left, from 0 to 1)
+ * to where it is displayed
+ * @type {Object<number, Function>}
+ */
+PDFMerger.EXIF_ORIENTATIONS = {
+  1: (x, y) => [x, y],
+  2: (x, y) => [1 - x, y],
+  3: (x, y) => [1 - x, 1 - y],
+  4: (x, y) => [x, 1 - y],
+  5: (x, y) => [y, x],
+  6: (x, y) => [1 - y, x],
+  7: (x, y) => [1 - y, 1 - x],
+  8: (x, y) => [y, 1 - x],
+};
+
+/**
+ * Default header and footer stamped on each student's merged pages. Each line has left, centre and
+ * right templates; leave one empty to draw nothing there. Sizes are in PDF points.
+ * @type {Object}
+ */
+PDFMerger.DEFAULT_STAMP = {
+  header: { left: "Centre {centreNo}", centre: "{name}", right: "Candidate {candidateNo}" },
+  footer: { left: "{submissionPrefix}", centre: "", right: "Page {page} of {pages}" },
+  fontSize: 9,
+  margin: 14,
+  shrinkContent: true,
+};
+
+/**
+ * The vendored PDF-lib bundle (`vendor/pdf-lib.html` is pdf-lib's `dist/pdf-lib.min.js`, unmodified).
+ * To upgrade, replace the file and update the version and digest together.
+ * @type {string}
+ */
+PDFMerger.PDF_LIB_FILE = "vendor/pdf-lib";
+PDFMerger.PDF_LIB_VERSION = "1.17.1";
+PDFMerger.PDF_LIB_SHA256 = "0f9a5cad07941f0826586c94e089d89b918c46e5c17cf2d5a3c6f666e3bc694f";
+
+/**
+ * Name of the resumable job that merges PDFs for every student
+ * @type {string}
+ */
+PDFMerger.MERGE_JOB = "mergePDFs";
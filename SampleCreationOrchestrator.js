@@ -2,59 +2,305 @@
  * This is a global orchestrator for creating the final sample folder.
  * It handles the creation of the parent folder, the student folders (appropriately named)
  * and merging all the PDFs and Declarations.
+ * Each student is processed in turn through a JobRunner, so a large cohort can carry on
+ * across several executions.
  *
 */
 class SampleCreationOrchestrator {
 
 
     // Main orchestator method
-    createSample() {
+    // With `dryRun` set, nothing is written to Drive: the plan is written to the "Sample Plan" sheet instead.
+    async createSample(dryRun = false) {
         // Get the initial parameters needed
         const sampleDestinationFolderIdQuery = UIManager.promptUser("Sample Destination Folder", 
             "Please enter the destination folder for the samples:");
         const declarationAssignmentTitleQuery = UIManager.promptUser("Declaration Assignment Name",
             "Please enter the name of the declaration assignment:");
 
-        const sampleDestinationFolderId = sampleDestinationFolderIdQuery.getResponseText();
-        const declarationAssignmentTitle = declarationAssignmentTitleQuery.getResponseText();
+        const sampleDestinationFolderId = sampleDestinationFolderIdQuery.getResponseText().trim();
+        const declarationAssignmentTitle = declarationAssignmentTitleQuery.getResponseText().trim();
 
+        if (dryRun) {
+            return this.planSample(sampleDestinationFolderId, declarationAssignmentTitle);
+        }
+
+        const runner = new JobRunner(SampleCreationOrchestrator.SAMPLE_JOB).start('continueCreatingSample', {
+            sampleDestinationFolderId: sampleDestinationFolderId,
+            declarationAssignmentTitle: declarationAssignmentTitle,
+            conflictPolicy: DriveManager.conflictPolicy
+        });
+
+        return this.runSample(sampleDestinationFolderId, declarationAssignmentTitle, runner);
+    }
+
+    /**
+     * Creates the sample for every active student who hasn't been done yet
+     * @param {string} sampleDestinationFolderId - ID of the folder the sample is created in
+     * @param {string} declarationAssignmentTitle - Title of the Classroom assignment holding the signed declarations
+     * @param {JobRunner} runner - Started job runner that tracks which students have been done
+     * @returns {Promise<Object|undefined>} The job runner's summary, or undefined if the assignment wasn't found
+     */
+    async runSample(sampleDestinationFolderId, declarationAssignmentTitle, runner) {
         // Set the sample destination folder for PDFMerger
         const sampleDestinationFolder = DriveApp.getFolderById(sampleDestinationFolderId);
         PDFMerger.getInstance().setDestinationFolder(sampleDestinationFolder);
 
-        // Create the final declaration sheets for each student.
+        const courseId = SpreadsheetManager.getCourseId();
+        const assignmentId = ClassroomManager.getAssignmentId(courseId, declarationAssignmentTitle);
+
+        if (!assignmentId) {
+            runner.abandon();
+            console.error(`Declaration assignment "${declarationAssignmentTitle}" not found.`);
+            return;
+        }
+
+        // Only the candidates chosen in the "Sample Selection" sheet, if a sample has been selected
+        const students = SampleSelector.filterToSelection(
+            SpreadsheetManager.getStudentRecords().filter(student => student.active));
+        const declarationProcessor = new DeclarationProcessor();
+
+        return runner.run(students, student => student.userId, async student => {
+            // Create the final declaration sheet. This records the submission prefix on the student record.
+            const declaration = await declarationProcessor.createFinalDeclarationForStudent(courseId, assignmentId, student);
+
+            // A student whose front sheet is blocked (e.g. their marks don't add up) is left out of the sample
+            // and listed as failed in the job summary
+            if (declaration.blocked) {
+                throw new Error(declaration.blocked);
+            }
 
-        const studentFolderData = this.processDeclarationSheets(declarationAssignmentTitle); //Returns the updated student data array with the folder names for each student.
-        
-        // Merge all remaining PDFs into the final sample folder. Don't forget to include the declaration forms in the `Prefixes` sheet.
-        this.mergeAllOtherPDFs(studentFolderData, sampleDestinationFolderId)
+            // Merge all remaining PDFs into the final sample folder. Don't forget to include the declaration forms in the `Prefixes` sheet.
+            await this.mergeAllOtherPDFs(student, sampleDestinationFolderId);
+        });
+    }
+
+    /**
+     * Resolves everything the sample run would use and create for each student without writing to Drive:
+     * declaration files, marking grids, the files matched by each "Prefixes" category, zip files and
+     * output names. The plan is written to the "Sample Plan" sheet with missing or ambiguous inputs flagged.
+     * @param {string} sampleDestinationFolderId - ID of the folder the sample would be created in
+     * @param {string} declarationAssignmentTitle - Title of the Classroom assignment holding the signed declarations
+     * @returns {Object} Counts of `students` planned and plan rows with `issues`
+     */
+    planSample(sampleDestinationFolderId, declarationAssignmentTitle) {
+        const rows = [];
+        const addRow = (student, step, source, output, status, notes = "") =>
+            rows.push([student, step, source, output, status, notes]);
+        const allStudents = "(all students)";
+
+        let destinationFolder = null;
+        try {
+            destinationFolder = DriveApp.getFolderById(sampleDestinationFolderId);
+            addRow(allStudents, "Destination folder", sampleDestinationFolderId, destinationFolder.getName(), "OK");
+        } catch (e) {
+            addRow(allStudents, "Destination folder", sampleDestinationFolderId, "", "MISSING", `Folder not found: ${e.message}`);
+        }
+
+        const courseId = SpreadsheetManager.getCourseId();
+        const assignmentId = courseId ? ClassroomManager.getAssignmentId(courseId, declarationAssignmentTitle) : null;
+        if (assignmentId) {
+            addRow(allStudents, "Declaration assignment", declarationAssignmentTitle, "", "OK");
+        } else {
+            addRow(allStudents, "Declaration assignment", declarationAssignmentTitle, "", "MISSING", "Assignment not found in the course.");
+        }
+
+        let categories = [];
+        try {
+            categories = PDFMerger.getInstance().getPrefixCategories();
+        } catch (e) {
+            addRow(allStudents, "Prefixes sheet", "", "", "MISSING", e.message);
+        }
 
+        const activeStudents = SpreadsheetManager.getStudentRecords().filter(student => student.active);
+        const students = SampleSelector.filterToSelection(activeStudents);
+        if (SampleSelector.getSelectedUserIds()) {
+            addRow(allStudents, "Sample selection", SampleSelector.SELECTION_SHEET, `${students.length} of ${activeStudents.length} students`,
+                students.length > 0 ? "OK" : "MISSING", students.length > 0 ? "" : "No students are marked as selected.");
+        } else {
+            addRow(allStudents, "Sample selection", "", `${students.length} students`, "WARNING",
+                `No "${SampleSelector.SELECTION_SHEET}" sheet, so every active student will be included.`);
+        }
+        const context = { destinationFolder, courseId, assignmentId, categories };
+
+        students.forEach(student => {
+            try {
+                this.planStudent(student, context, addRow);
+            } catch (e) {
+                addRow(student.name, "Student", student.folderId, "", "MISSING", `Could not plan this student: ${e.message}`);
+            }
+        });
+
+        SpreadsheetManager.writeReportSheet(
+            SampleCreationOrchestrator.PLAN_SHEET,
+            ["Student", "Step", "Source", "Output", "Status", "Notes"],
+            rows,
+            4
+        );
+
+        const issues = rows.filter(row => row[4] !== "OK").length;
+        console.log(`Sample plan written for ${students.length} students with ${issues} flagged rows.`);
+        return { students: students.length, issues };
     }
 
-    processDeclarationSheets(declarationAssignmentTitle) {
-        const spreadsheets = SpreadsheetManager.getSpreadsheetSheets();
-        const studentSheet = spreadsheets.studentSheet;
-        const courseSheet = spreadsheets.courseSheet;
-        
-        const data = studentSheet.getDataRange().getValues();
-              
-        const courseId = courseSheet.getRange(1, 2).getValue();
-        const processData = [[courseId]].concat([[""]]).concat(data); // Add courseId and a blank row
-        
-        // Create the final declaration forms
+    /**
+     * Adds the plan rows for one student (see `planSample`)
+     * @param {Object} student - A student record
+     * @param {Object} context - The destination folder, course and assignment IDs and prefix categories
+     * @param {function} addRow - Adds a row to the plan: (student, step, source, output, status, notes)
+     */
+    planStudent(student, context, addRow) {
+        const name = student.name;
+        const pdfMerger = PDFMerger.getInstance();
         const declarationProcessor = new DeclarationProcessor();
+        const describeFiles = files => files.map(file => file.getName()).join(", ");
+
+        if (!student.folderId) {
+            addRow(name, "Student folder", "", "", "MISSING", "No Folder ID in Student Info.");
+            return;
+        }
+        const studentFolder = DriveApp.getFolderById(student.folderId);
 
-        // Return the updated student data array with the properly formatted folder names for each student.
-        return declarationProcessor.createFinalDeclarationForms(declarationAssignmentTitle, processData);
+        // Files the final declaration is built from
+        const { declarationFiles, markingGridFiles } = declarationProcessor.findStudentFolderFiles(studentFolder);
+        [["Unsigned declaration", declarationFiles], ["Marking grid", markingGridFiles]].forEach(([step, files]) => {
+            if (files.length === 0) {
+                addRow(name, step, "", "", "MISSING", "No matching Google Doc in the student folder.");
+            } else if (files.length > 1) {
+                addRow(name, step, describeFiles(files), "", "AMBIGUOUS", `${files.length} matching Google Docs found.`);
+            } else {
+                addRow(name, step, describeFiles(files), "", "OK");
+            }
+        });
+
+        let classroomDeclaration = null;
+        if (context.assignmentId) {
+            const submissions = ClassroomManager.getStudentSubmissions(context.courseId, context.assignmentId, student.userId);
+            const docs = submissions.map(submission => declarationProcessor.findFirstGoogleDocAttachment(submission)).filter(doc => doc);
+            classroomDeclaration = docs[0] || null;
+            if (!classroomDeclaration) {
+                addRow(name, "Signed declaration", "", "", "MISSING", "No Google Doc attached to the declaration assignment.");
+            } else {
+                addRow(name, "Signed declaration", classroomDeclaration.getName(), "",
+                    docs.length > 1 ? "AMBIGUOUS" : "OK",
+                    docs.length > 1 ? `${docs.length} submissions with Google Docs; the first is used.` : "");
+            }
+        }
+
+        // Output names depend on the candidate and centre numbers in the signed declaration
+        let submissionPrefix = student.submissionPrefix;
+        if (classroomDeclaration) {
+            declarationProcessor.gClassroomDeclarationFile = classroomDeclaration;
+            const numbers = declarationProcessor.checkDeclarationNumbers(student);
+            const prefixAndFilename = declarationProcessor.generateStudentSubmissionPrefixAndFilename(student, numbers);
+            if (prefixAndFilename) {
+                submissionPrefix = prefixAndFilename.studentSubmissionPrefix;
+                const checks = DeclarationProcessor.NUMBER_CHECK;
+                const status = { [checks.MISMATCH]: "MISMATCH", [checks.LOW_CONFIDENCE]: "WARNING" }[numbers.status] || "OK";
+                addRow(name, "Front sheet", classroomDeclaration.getName(), prefixAndFilename.fileName,
+                    status, status === "OK" ? "" : numbers.message);
+            } else {
+                addRow(name, "Front sheet", classroomDeclaration.getName(), "", "MISSING", "Candidate or centre number not found in the signed declaration.");
+            }
+        }
+
+        const sampleFolderName = submissionPrefix || name;
+        const namingValues = NamingConvention.getStudentValues({ ...student, submissionPrefix });
+        if (context.destinationFolder && context.destinationFolder.getFoldersByName(sampleFolderName).hasNext()) {
+            addRow(name, "Sample folder", "", sampleFolderName, "WARNING", `Already exists; the "${DriveManager.conflictPolicy}" conflict policy will apply.`);
+        } else {
+            addRow(name, "Sample folder", "", sampleFolderName, submissionPrefix ? "OK" : "WARNING",
+                submissionPrefix ? "" : "No submission prefix, so the student's name will be used.");
+        }
+
+        // Work out which files each category would merge, noting any file claimed by more than one category
+        const categoriesByFileId = new Map();
+        const categoryFiles = context.categories.map(({ category, prefixes }) => {
+            const files = pdfMerger.findCategoryFiles(studentFolder, prefixes, false);
+            files.forEach(file => {
+                const claimedBy = categoriesByFileId.get(file.getId()) || [];
+                categoriesByFileId.set(file.getId(), claimedBy.concat(category));
+            });
+            return { category, prefixes, files };
+        });
+
+        categoryFiles.forEach(({ category, prefixes, files }) => {
+            const outputFileName = pdfMerger.getCategoryOutputFileName(category, namingValues);
+            const sharedFiles = files.filter(file => categoriesByFileId.get(file.getId()).length > 1);
+
+            if (files.length === 0) {
+                addRow(name, `Category: ${category}`, prefixes.join(", "), outputFileName, "MISSING", "No matching PDFs; this category will be skipped.");
+            } else if (sharedFiles.length > 0) {
+                addRow(name, `Category: ${category}`, describeFiles(files), outputFileName, "AMBIGUOUS",
+                    sharedFiles.map(file => `${file.getName()} also matches ${categoriesByFileId.get(file.getId()).filter(c => c !== category).join(", ")}`).join("; "));
+            } else {
+                addRow(name, `Category: ${category}`, describeFiles(files), outputFileName, "OK");
+            }
+
+            const zipFiles = pdfMerger.findCategoryZipFiles(studentFolder, prefixes, false);
+            zipFiles.forEach((zipFile, i) => {
+                const zipOutputFileName = pdfMerger.getZipOutputFileName(category, i, zipFiles.length, namingValues);
+                if (files.length === 0) {
+                    addRow(name, `Zip: ${category}`, zipFile.getName(), zipOutputFileName, "WARNING", "Not copied because the category has no PDFs.");
+                } else {
+                    addRow(name, `Zip: ${category}`, zipFile.getName(), zipOutputFileName, "OK");
+                }
+            });
+        });
     }
 
-    mergeAllOtherPDFs(studentFolderData, sampleDestinationFolderId) {
-        return PDFMerger.getInstance().mergePDFsForAllStudents(studentFolderData, sampleDestinationFolderId, false)
+    mergeAllOtherPDFs(student, sampleDestinationFolderId) {
+        return PDFMerger.getInstance().mergePDFsForStudent(student, sampleDestinationFolderId, false)
     }
 }
 
-function createSamplesForAllStudents() {
+/**
+ * Name of the resumable job that creates the moderation sample
+ * @type {string}
+ */
+SampleCreationOrchestrator.SAMPLE_JOB = "createSample";
+
+/**
+ * Name of the sheet the dry-run plan is written to
+ * @type {string}
+ */
+SampleCreationOrchestrator.PLAN_SHEET = "Sample Plan";
+
+async function createSamplesForAllStudents() {
+  if (!UIManager.promptConflictPolicy()) return;
   const sampleCreator = new SampleCreationOrchestrator()
-  sampleCreator.createSample()
+  const summary = await sampleCreator.createSample()
+  if (summary) {
+    JobRunner.reportSummary(summary);
+  }
 
-}
\ No newline at end of file
+}
+
+/**
+ * Entry point for previewing the sample without touching Drive
+ */
+async function previewSamplePlan() {
+  const sampleCreator = new SampleCreationOrchestrator()
+  const plan = await sampleCreator.createSample(true)
+  UIManager.showAlert(`Sample plan written to the "${SampleCreationOrchestrator.PLAN_SHEET}" sheet for ${plan.students} students. ${plan.issues} rows need attention.`);
+}
+
+/**
+ * Continues a paused sample creation job. Called by the job's trigger or from the menu.
+ */
+async function continueCreatingSample() {
+  const runner = new JobRunner(SampleCreationOrchestrator.SAMPLE_JOB);
+  if (!runner.hasSavedState()) {
+    console.log('No saved progress for creating the sample.');
+    return;
+  }
+
+  const { sampleDestinationFolderId, declarationAssignmentTitle, conflictPolicy } = runner.getParams();
+  DriveManager.setConflictPolicy(conflictPolicy);
+
+  const sampleCreator = new SampleCreationOrchestrator();
+  const summary = await sampleCreator.runSample(sampleDestinationFolderId, declarationAssignmentTitle, runner);
+  if (summary) {
+    JobRunner.reportSummary(summary);
+  }
+}
@@ -0,0 +1,369 @@
+/**
+ * Exports a finished moderation sample folder as zip files ready to upload to the exam board's portal.
+ *
+ * The sample can be exported as one archive or as one archive per candidate. Either way, each file keeps
+ * its path under the sample folder, so the per-candidate folders are kept inside the zip. An archive that
+ * would be bigger than the maximum size is split into numbered parts, and a candidate's files are kept in
+ * one part where they fit. Archives are named by the naming convention and saved in an "Export" folder
+ * inside the sample folder, with a manifest listing every file's archive, path, size and page count.
+ */
+class SampleExporter {
+  /**
+   * Creates an exporter for a sample folder
+   * @param {Folder} sampleFolder - The sample folder created by `SampleCreationOrchestrator`
+   * @param {Object} [options={}] - `mode` ("single" or "candidate", see `SampleExporter.MODES`) and
+   *   `maxArchiveBytes` (defaults to `SampleExporter.DEFAULT_MAX_ARCHIVE_MB`)
+   */
+  constructor(sampleFolder, options = {}) {
+    this.sampleFolder = sampleFolder;
+    this.mode = options.mode || SampleExporter.MODES.SINGLE;
+    this.maxArchiveBytes = options.maxArchiveBytes || SampleExporter.DEFAULT_MAX_ARCHIVE_MB * 1024 * 1024;
+    this.namingConvention = NamingConvention.getActive();
+  }
+
+  /**
+   * Builds the archives, saves them in the "Export" folder and writes the manifest
+   * @returns {Promise<Object>} The number of `archives` saved, the number of `files` in them and the
+   *   number of manifest rows with `issues`
+   */
+  async exportSample() {
+    const entries = this.collectEntries(this.sampleFolder);
+    // Earlier exports share the folder; the conflict policy applies to the zips inside it
+    const exportFolder = DriveManager.createFolder(
+      this.sampleFolder, SampleExporter.EXPORT_FOLDER, DriveManager.CONFLICT_POLICIES.SKIP);
+    const manifestRows = [];
+
+    entries.filter(entry => entry.skipReason).forEach(entry => {
+      manifestRows.push(["", entry.path, SampleExporter.toKilobytes(entry.size), "", "WARNING", entry.skipReason]);
+    });
+
+    let archives = 0;
+    let files = 0;
+    for (const archive of this.planArchives(entries.filter(entry => !entry.skipReason))) {
+      const { savedName, rows } = await this.buildArchive(archive, exportFolder);
+      manifestRows.push(...rows);
+      if (savedName) {
+        archives++;
+        files += rows.length;
+      }
+    }
+
+    this.writeManifest(manifestRows, exportFolder);
+
+    const summary = {
+      archives: archives,
+      files: files,
+      issues: manifestRows.filter(row => row[4] !== "OK").length
+    };
+    console.log(`Sample export: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  /**
+   * Lists every file under a folder with its path relative to the sample folder. The "Export" folder is
+   * left out, and Google Docs, Sheets and other Google files are marked to be skipped, as they have no file to zip.
+   * @param {Folder} folder - The folder to list
+   * @param {string} [path=""] - The folder's path relative to the sample folder
+   * @returns {Object[]} Entries with `file`, `path`, `candidate` (the top-level folder, or "" for loose files),
+   *   `size` and `skipReason` (empty unless the file can't be exported)
+   */
+  collectEntries(folder, path = "") {
+    const entries = [];
+    const candidate = path.split("/")[0];
+
+    const files = folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      const isGoogleFile = file.getMimeType().startsWith("application/vnd.google-apps.");
+      entries.push({
+        file: file,
+        path: path ? `${path}/${file.getName()}` : file.getName(),
+        candidate: candidate,
+        size: file.getSize(),
+        skipReason: isGoogleFile ? "Google Docs, Sheets and Slides can't be zipped. Save a PDF copy in the sample." : ""
+      });
+    }
+
+    const subfolders = folder.getFolders();
+    while (subfolders.hasNext()) {
+      const subfolder = subfolders.next();
+      if (!path && subfolder.getName() === SampleExporter.EXPORT_FOLDER) continue;
+      entries.push(...this.collectEntries(subfolder, path ? `${path}/${subfolder.getName()}` : subfolder.getName()));
+    }
+
+    return entries.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Groups the entries into archives (one for the sample, or one per candidate) and splits any that are
+   * too big into parts, naming each part by the naming convention
+   * @param {Object[]} entries - Entries from `collectEntries`
+   * @returns {Object[]} Archives, each with a `name` and its `entries`
+   */
+  planArchives(entries) {
+    const centreValues = { centre: this.getCentreNo() };
+
+    if (this.mode === SampleExporter.MODES.SINGLE) {
+      const parts = SampleExporter.splitIntoParts(SampleExporter.groupByCandidate(entries), this.maxArchiveBytes);
+      return parts.map((part, i) => ({
+        name: this.namingConvention.sampleZipName(i, parts.length, centreValues),
+        entries: part
+      }));
+    }
+
+    const archives = [];
+    SampleExporter.groupByCandidate(entries).forEach(group => {
+      // Each file is its own group, so a candidate too big for one archive is split between files
+      const parts = SampleExporter.splitIntoParts(group.map(entry => [entry]), this.maxArchiveBytes);
+      parts.forEach((part, i) => archives.push({
+        name: group[0].candidate
+          ? this.namingConvention.candidateZipName(i, parts.length, { ...centreValues, prefix: group[0].candidate })
+          : this.namingConvention.sampleZipName(i, parts.length, centreValues),
+        entries: part
+      }));
+    });
+    return archives;
+  }
+
+  /**
+   * Zips an archive's files, saves the zip and returns its manifest rows
+   * @param {Object} archive - An archive from `planArchives`
+   * @param {Folder} exportFolder - The folder the zip is saved in
+   * @returns {Promise<Object>} `savedName` (null if the conflict policy skipped the zip) and the manifest `rows`
+   */
+  async buildArchive(archive, exportFolder) {
+    console.log(`Building ${archive.name} with ${archive.entries.length} files`);
+    const blobs = [];
+    const rows = [];
+
+    for (const entry of archive.entries) {
+      const blob = entry.file.getBlob();
+      const pages = DriveManager.isPdf(entry.file) ? await PDFMerger.countPages(blob.getBytes()) : null;
+      const notes = [];
+      if (entry.size > this.maxArchiveBytes) {
+        notes.push("This file alone is bigger than the maximum archive size.");
+      }
+      if (DriveManager.isPdf(entry.file) && pages === null) {
+        notes.push("The PDF couldn't be read to count its pages.");
+      }
+
+      blobs.push(blob.setName(entry.path));
+      rows.push([
+        archive.name,
+        entry.path,
+        SampleExporter.toKilobytes(entry.size),
+        pages === null ? "" : pages,
+        notes.length > 0 ? "WARNING" : "OK",
+        notes.join(" ")
+      ]);
+    }
+
+    const targetName = DriveManager.resolveFileConflict(exportFolder, archive.name);
+    if (!targetName) {
+      rows.forEach(row => {
+        row[4] = "WARNING";
+        row[5] = `${archive.name} already exists and the conflict policy skipped it.`;
+      });
+      return { savedName: null, rows };
+    }
+
+    const zipFile = exportFolder.createFile(Utilities.zip(blobs, targetName));
+    rows.forEach(row => { row[0] = zipFile.getName(); });
+    console.log(`Saved ${zipFile.getName()} (${SampleExporter.toKilobytes(zipFile.getSize())} KB)`);
+    return { savedName: zipFile.getName(), rows };
+  }
+
+  /**
+   * Writes the manifest to the "Sample Manifest" sheet and as a CSV file in the export folder
+   * @param {Array[]} rows - Manifest rows: archive, path, size (KB), pages, status and notes
+   * @param {Folder} exportFolder - The export folder
+   */
+  writeManifest(rows, exportFolder) {
+    const headers = ["Archive", "Path", "Size (KB)", "Pages", "Status", "Notes"];
+    SpreadsheetManager.writeReportSheet(SampleExporter.MANIFEST_SHEET, headers, rows, 4);
+
+    const csv = [headers].concat(rows)
+      .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(","))
+      .join("\r\n");
+    const targetName = DriveManager.resolveFileConflict(exportFolder, SampleExporter.MANIFEST_FILE);
+    if (targetName) {
+      exportFolder.createFile(targetName, csv, MimeType.CSV);
+    }
+  }
+
+  /**
+   * Gets the centre number for archive names from the Student Info sheet
+   * @returns {string} The padded centre number, or "" if no student has one
+   */
+  getCentreNo() {
+    const student = SpreadsheetManager.getStudentRecords().find(record => record.centreNo);
+    return student ? NamingConvention.padNumber(student.centreNo, TextProcessor.CENTRE_DIGITS) : "";
+  }
+
+  /**
+   * Groups entries by candidate, keeping the order of `collectEntries`
+   * @param {Object[]} entries - Entries from `collectEntries`
+   * @returns {Object[][]} One array of entries per candidate folder (and one for loose files)
+   */
+  static groupByCandidate(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+      if (!groups.has(entry.candidate)) groups.set(entry.candidate, []);
+      groups.get(entry.candidate).push(entry);
+    });
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Packs groups of entries into parts no bigger than the maximum size. A group is only split up when
+   * it's too big for a part on its own, and a single file bigger than the maximum gets a part to itself.
+   * @param {Object[][]} groups - Groups of entries that should stay together
+   * @param {number} maxBytes - The maximum size of a part, in bytes
+   * @returns {Object[][]} The entries in each part
+   */
+  static splitIntoParts(groups, maxBytes) {
+    const parts = [];
+    let current = [];
+    let currentSize = 0;
+    const sizeOf = entries => entries.reduce((total, entry) => total + entry.size, 0);
+    const startPart = () => {
+      if (current.length > 0) parts.push(current);
+      current = [];
+      currentSize = 0;
+    };
+
+    groups.forEach(group => {
+      const groupSize = sizeOf(group);
+      if (currentSize + groupSize <= maxBytes) {
+        current.push(...group);
+        currentSize += groupSize;
+        return;
+      }
+
+      startPart();
+      if (groupSize <= maxBytes) {
+        current.push(...group);
+        currentSize = groupSize;
+        return;
+      }
+
+      group.forEach(entry => {
+        if (currentSize + entry.size > maxBytes) startPart();
+        current.push(entry);
+        currentSize += entry.size;
+      });
+    });
+
+    startPart();
+    return parts;
+  }
+
+  /**
+   * Converts a size in bytes to kilobytes, to one decimal place
+   * @private
+   */
+  static toKilobytes(bytes) {
+    return Math.round(bytes / 102.4) / 10;
+  }
+}
+
+/**
+ * How the sample is split into archives
+ * @enum {string}
+ */
+SampleExporter.MODES = {
+  SINGLE: "single",
+  CANDIDATE: "candidate"
+};
+
+/**
+ * Default maximum archive size, in megabytes. Apps Script can't create a blob bigger than 50 MB.
+ * @type {number}
+ */
+SampleExporter.DEFAULT_MAX_ARCHIVE_MB = 45;
+
+/**
+ * Name of the folder, inside the sample folder, that the archives are saved in
+ * @type {string}
+ */
+SampleExporter.EXPORT_FOLDER = "Export";
+
+/**
+ * Name of the sheet listing every exported file
+ * @type {string}
+ */
+SampleExporter.MANIFEST_SHEET = "Sample Manifest";
+
+/**
+ * Name of the manifest file saved with the archives
+ * @type {string}
+ */
+SampleExporter.MANIFEST_FILE = "manifest.csv";
+
+/**
+ * Entry point for exporting the sample folder as zip files
+ */
+async function exportSample() {
+  if (!UIManager.promptConflictPolicy()) return;
+  const ui = SpreadsheetApp.getUi();
+
+  const folderResponse = UIManager.promptUser(
+    'Export Sample',
+    'Enter the ID (or link) of the sample folder to export.'
+  );
+  if (folderResponse.getSelectedButton() !== ui.Button.OK) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+  const idMatch = folderResponse.getResponseText().trim().match(/[-\w]{25,}/);
+  if (!idMatch) {
+    UIManager.showAlert('That doesn\'t look like a Drive folder ID or link.');
+    return;
+  }
+
+  const modes = Object.values(SampleExporter.MODES);
+  const modeResponse = UIManager.promptUser(
+    'Export Sample',
+    `Create one zip for the whole sample or one per candidate?\nEnter one of: ${modes.join(', ')}\n` +
+    `(Leave blank for "${SampleExporter.MODES.SINGLE}".)`
+  );
+  if (modeResponse.getSelectedButton() !== ui.Button.OK) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+  const mode = modeResponse.getResponseText().trim().toLowerCase() || SampleExporter.MODES.SINGLE;
+  if (!modes.includes(mode)) {
+    UIManager.showAlert(`Unknown option "${mode}". Please use one of: ${modes.join(', ')}.`);
+    return;
+  }
+
+  const sizeResponse = UIManager.promptUser(
+    'Export Sample',
+    `What is the largest zip the exam board's portal accepts, in MB?\n` +
+    `(Leave blank for ${SampleExporter.DEFAULT_MAX_ARCHIVE_MB} MB, which is also the most Apps Script can create.)`
+  );
+  if (sizeResponse.getSelectedButton() !== ui.Button.OK) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+  const maxMegabytes = Number(sizeResponse.getResponseText().trim() || SampleExporter.DEFAULT_MAX_ARCHIVE_MB);
+  if (!(maxMegabytes >= 1) || maxMegabytes > SampleExporter.DEFAULT_MAX_ARCHIVE_MB) {
+    UIManager.showAlert(`Please enter a size between 1 and ${SampleExporter.DEFAULT_MAX_ARCHIVE_MB} MB.`);
+    return;
+  }
+
+  try {
+    const exporter = new SampleExporter(DriveApp.getFolderById(idMatch[0]), {
+      mode: mode,
+      maxArchiveBytes: maxMegabytes * 1024 * 1024
+    });
+    const summary = await exporter.exportSample();
+    UIManager.showAlert(
+      `Saved ${summary.archives} zip files with ${summary.files} files in the "${SampleExporter.EXPORT_FOLDER}" folder. ` +
+      `${summary.issues} files need checking.\nSee the "${SampleExporter.MANIFEST_SHEET}" sheet.`
+    );
+  } catch (e) {
+    console.error(`Sample export failed: ${e.message}`);
+    UIManager.showAlert(`Sample export failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,307 @@
+/**
+ * Chooses which candidates go in the moderation sample: the highest and lowest marks plus an even spread
+ * across the range in between, with the sample size set by the cohort size.
+ *
+ * Each student's mark is read from the Student Info "Total Mark" column if it's filled in, and otherwise
+ * from the TOTAL table of the unsigned declaration in their folder. The sample sizes come from the
+ * "Sample Rules" sheet (see `SampleSelector.load`), or `SampleSelector.DEFAULT_RULES` without it. Always check
+ * them against the exam board's instructions for the current series.
+ *
+ * The selection is written to the "Sample Selection" sheet. Sample creation only includes students marked
+ * "Yes" in its "Selected" column, so the selection can be adjusted by hand before the sample is built.
+ */
+class SampleSelector {
+  /**
+   * Creates a selector for a set of rules
+   * @param {Object} rules - `sizes` (an array of `[cohortUpTo, sampleSize]` pairs in ascending order),
+   *   `includeHighest` and `includeLowest`
+   */
+  constructor(rules) {
+    this.rules = rules;
+  }
+
+  /**
+   * Loads the rules from the "Sample Rules" sheet. Rows starting with a number are sample size bands
+   * (cohort up to | sample size); "Include highest" and "Include lowest" rows take Yes or No.
+   * Without the sheet, `SampleSelector.DEFAULT_RULES` are used.
+   * @param {Sheet} [sheet=null] - The rules sheet (defaults to the "Sample Rules" sheet of the active spreadsheet)
+   * @returns {SampleSelector} The selector
+   */
+  static load(sheet = null) {
+    const rulesSheet = sheet || SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SampleSelector.RULES_SHEET);
+    if (!rulesSheet || rulesSheet.getLastRow() === 0) {
+      console.log(`No "${SampleSelector.RULES_SHEET}" sheet found, so the default sample sizes will be used.`);
+      return new SampleSelector(SampleSelector.DEFAULT_RULES);
+    }
+
+    const rules = { ...SampleSelector.DEFAULT_RULES, sizes: [] };
+    const rows = rulesSheet.getRange(1, 1, rulesSheet.getLastRow(), 2).getDisplayValues();
+    rows.forEach(([key, value]) => {
+      const trimmedKey = String(key).trim();
+      const trimmedValue = String(value).trim();
+      if (/^\d+$/.test(trimmedKey) && /^\d+$/.test(trimmedValue)) {
+        rules.sizes.push([Number(trimmedKey), Number(trimmedValue)]);
+      } else if (trimmedKey.toLowerCase() === "include highest") {
+        rules.includeHighest = SampleSelector.isYes(trimmedValue);
+      } else if (trimmedKey.toLowerCase() === "include lowest") {
+        rules.includeLowest = SampleSelector.isYes(trimmedValue);
+      }
+    });
+
+    if (rules.sizes.length === 0) {
+      throw new Error(`The "${SampleSelector.RULES_SHEET}" sheet has no sample sizes. Each size needs a row with the largest cohort it applies to and the sample size.`);
+    }
+    rules.sizes.sort((a, b) => a[0] - b[0]);
+    return new SampleSelector(rules);
+  }
+
+  /**
+   * Writes the "Sample Rules" sheet with the default rules so that they can be edited
+   * @returns {Sheet} The rules sheet
+   */
+  static writeRulesSheet() {
+    const rules = SampleSelector.DEFAULT_RULES;
+    const rows = [["Cohort up to", "Sample size"]]
+      .concat(rules.sizes)
+      .concat([
+        ["", ""],
+        ["Include highest", rules.includeHighest ? "Yes" : "No"],
+        ["Include lowest", rules.includeLowest ? "Yes" : "No"]
+      ]);
+
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(SampleSelector.RULES_SHEET) || spreadsheet.insertSheet(SampleSelector.RULES_SHEET);
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, 2).setValues(rows);
+    sheet.getRange(1, 1, 1, 2).setFontWeight("bold");
+    sheet.autoResizeColumns(1, 2);
+    return sheet;
+  }
+
+  /**
+   * Gets the sample size for a cohort: the size of the first band the cohort fits in (or the last band for
+   * larger cohorts), never more than the cohort itself
+   * @param {number} cohortSize - The number of candidates with marks
+   * @returns {number} The sample size
+   */
+  getSampleSize(cohortSize) {
+    const sizes = this.rules.sizes;
+    const band = sizes.find(([upTo]) => cohortSize <= upTo) || sizes[sizes.length - 1];
+    return Math.min(cohortSize, band[1]);
+  }
+
+  /**
+   * Chooses the sample from students' marks
+   * @param {Object[]} markedStudents - Each with a `student` record and a `mark` (null if unknown)
+   * @returns {Object[]} Every entry, highest mark first, with `rank`, `selected` and `reason` added
+   */
+  select(markedStudents) {
+    const withMarks = markedStudents.filter(entry => entry.mark !== null)
+      .sort((a, b) => b.mark - a.mark || a.student.name.localeCompare(b.student.name))
+      .map((entry, i) => ({ ...entry, rank: i + 1, selected: false, reason: "" }));
+    const withoutMarks = markedStudents.filter(entry => entry.mark === null)
+      .map(entry => ({ ...entry, rank: null, selected: false, reason: "No mark, so this student can't be placed in the range." }));
+
+    const count = withMarks.length;
+    const sampleSize = this.getSampleSize(count);
+    const pick = (index, reason) => {
+      withMarks[index].selected = true;
+      withMarks[index].reason = reason;
+    };
+
+    if (sampleSize >= count) {
+      withMarks.forEach((entry, i) => pick(i, `Whole cohort sampled (${count} candidates).`));
+      return withMarks.concat(withoutMarks);
+    }
+
+    if (this.rules.includeHighest && sampleSize > 0) pick(0, "Highest mark.");
+    if (this.rules.includeLowest && sampleSize > 1) pick(count - 1, "Lowest mark.");
+
+    // Spread the rest evenly across the ranking, taking the nearest unpicked candidate to each target
+    const remaining = sampleSize - withMarks.filter(entry => entry.selected).length;
+    const first = this.rules.includeHighest ? 0 : -1;
+    const last = this.rules.includeLowest ? count - 1 : count;
+    for (let i = 1; i <= remaining; i++) {
+      const target = first + (last - first) * i / (remaining + 1);
+      const index = SampleSelector.nearestUnselected(withMarks, target);
+      pick(index, `Spread across the range: ranked ${index + 1} of ${count}.`);
+    }
+
+    return withMarks.concat(withoutMarks);
+  }
+
+  /**
+   * Reads each active student's mark, chooses the sample and writes it to the "Sample Selection" sheet
+   * @param {Object[]} students - Student records
+   * @returns {Object} The number of `selected` students, the `cohort` size (students with marks) and
+   *   the number of students with no mark (`unmarked`)
+   */
+  selectSample(students) {
+    const marksExtractor = new MarksExtractor();
+    const declarationProcessor = new DeclarationProcessor();
+
+    const markedStudents = students.filter(student => student.active).map(student => {
+      const entered = MarksExtractor.parseMark(student.totalMark).value;
+      if (entered !== null) {
+        return { student, mark: entered, source: "Total Mark column" };
+      }
+      try {
+        const folder = student.folderId ? DriveApp.getFolderById(student.folderId) : null;
+        const declarationFiles = folder ? declarationProcessor.findStudentFolderFiles(folder).declarationFiles : [];
+        if (declarationFiles.length > 0) {
+          return { student, mark: marksExtractor.parseDeclarationTotal(declarationFiles[0]).total, source: "Declaration" };
+        }
+      } catch (e) {
+        console.error(`Couldn't read the declaration total for ${student.name}: ${e.message}`);
+      }
+      return { student, mark: null, source: "" };
+    });
+
+    const selection = this.select(markedStudents);
+    this.writeSelectionSheet(selection);
+
+    const summary = {
+      selected: selection.filter(entry => entry.selected).length,
+      cohort: selection.filter(entry => entry.mark !== null).length,
+      unmarked: selection.filter(entry => entry.mark === null).length
+    };
+    console.log(`Sample selection: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  /**
+   * Writes the selection to the "Sample Selection" sheet
+   * @param {Object[]} selection - Entries returned by `select`
+   */
+  writeSelectionSheet(selection) {
+    const rows = selection.map(entry => [
+      entry.student.name,
+      entry.student.userId,
+      entry.mark === null ? "" : entry.mark,
+      entry.source,
+      entry.rank === null ? "" : entry.rank,
+      entry.selected ? "Yes" : "",
+      entry.reason,
+      entry.mark === null ? "MISSING" : "OK"
+    ]);
+
+    SpreadsheetManager.writeReportSheet(
+      SampleSelector.SELECTION_SHEET,
+      ["Student", "User ID", "Mark", "Mark From", "Rank", "Selected", "Reason", "Status"],
+      rows,
+      7
+    );
+  }
+
+  /**
+   * Gets the User IDs marked "Yes" in the "Selected" column of the "Sample Selection" sheet
+   * @param {Sheet} [sheet=null] - The selection sheet (defaults to the "Sample Selection" sheet of the active spreadsheet)
+   * @returns {Set<string>|null} The selected User IDs, or null if there's no selection sheet
+   */
+  static getSelectedUserIds(sheet = null) {
+    const selectionSheet = sheet || SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SampleSelector.SELECTION_SHEET);
+    if (!selectionSheet || selectionSheet.getLastRow() < 1) {
+      return null;
+    }
+
+    const data = selectionSheet.getDataRange().getValues();
+    const headers = data[0].map(header => String(header).trim().toLowerCase());
+    const userIdColumn = headers.indexOf("user id");
+    const selectedColumn = headers.indexOf("selected");
+    if (userIdColumn === -1 || selectedColumn === -1) {
+      throw new Error(`The "${SampleSelector.SELECTION_SHEET}" sheet needs "User ID" and "Selected" columns.`);
+    }
+
+    return new Set(data.slice(1)
+      .filter(row => SampleSelector.isYes(row[selectedColumn]))
+      .map(row => String(row[userIdColumn]).trim()));
+  }
+
+  /**
+   * Limits students to those chosen in the "Sample Selection" sheet, if there is one
+   * @param {Object[]} students - Student records
+   * @returns {Object[]} The selected students, or every student if nothing has been selected
+   */
+  static filterToSelection(students) {
+    const selectedUserIds = SampleSelector.getSelectedUserIds();
+    if (!selectedUserIds) {
+      return students;
+    }
+    const selected = students.filter(student => selectedUserIds.has(String(student.userId)));
+    console.log(`Using the ${selected.length} students chosen in the "${SampleSelector.SELECTION_SHEET}" sheet.`);
+    return selected;
+  }
+
+  /**
+   * Finds the unselected entry whose index is nearest to a target position, preferring the higher mark on a tie
+   * @param {Object[]} entries - Ranked entries
+   * @param {number} target - The target index (may be fractional)
+   * @returns {number} The index of the nearest unselected entry
+   */
+  static nearestUnselected(entries, target) {
+    let best = -1;
+    entries.forEach((entry, i) => {
+      if (entry.selected) return;
+      if (best === -1 || Math.abs(i - target) < Math.abs(best - target)) best = i;
+    });
+    return best;
+  }
+
+  /**
+   * Reads a Yes/No cell, accepting ticked checkboxes and "Y" or "X"
+   * @private
+   */
+  static isYes(value) {
+    return ["true", "yes", "y", "x"].includes(String(value).trim().toLowerCase());
+  }
+}
+
+/**
+ * Sample sizes used without a "Sample Rules" sheet: all candidates for cohorts of up to 10, then 10 for up
+ * to 20, 15 for up to 50, 20 for up to 100 and 25 beyond that. Edit the sheet to match your exam board.
+ * @type {Object}
+ */
+SampleSelector.DEFAULT_RULES = {
+  sizes: [[10, 10], [20, 10], [50, 15], [100, 20], [100000, 25]],
+  includeHighest: true,
+  includeLowest: true
+};
+
+/**
+ * Name of the sheet holding the sample size rules
+ * @type {string}
+ */
+SampleSelector.RULES_SHEET = "Sample Rules";
+
+/**
+ * Name of the sheet the selection is written to, and which sample creation reads
+ * @type {string}
+ */
+SampleSelector.SELECTION_SHEET = "Sample Selection";
+
+/**
+ * Entry point for choosing the moderation sample from the students' marks
+ */
+function selectModerationSample() {
+  try {
+    const selector = SampleSelector.load();
+    const summary = selector.selectSample(SpreadsheetManager.getStudentRecords());
+    let message = `Selected ${summary.selected} of ${summary.cohort} candidates with marks. ` +
+      `See the "${SampleSelector.SELECTION_SHEET}" sheet.`;
+    if (summary.unmarked > 0) {
+      message += `\n${summary.unmarked} students have no mark and weren't considered.`;
+    }
+    UIManager.showAlert(message);
+  } catch (e) {
+    console.error(`Sample selection failed: ${e.message}`);
+    UIManager.showAlert(`Sample selection failed: ${e.message}`);
+  }
+}
+
+/**
+ * Entry point for writing the "Sample Rules" sheet with the default sample sizes
+ */
+function setUpSampleRulesSheet() {
+  SampleSelector.writeRulesSheet();
+  UIManager.showAlert(`The default sample sizes are in the "${SampleSelector.RULES_SHEET}" sheet. Check them against your exam board's instructions.`);
+}
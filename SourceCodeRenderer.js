@@ -0,0 +1,439 @@
+/**
+ * Renders source code files as paginated PDFs so that programming projects can be merged into the
+ * "Prefixes" categories like any other submission (for example a "Code Listing" category).
+ *
+ * Each file starts on a new A4 page headed with its path. Lines are numbered, set in Courier and
+ * wrapped at the right margin, and keywords, strings, comments and numbers are highlighted using the
+ * rules in `SourceCodeRenderer.LANGUAGES`. The language is chosen from the file's extension.
+ */
+class SourceCodeRenderer {
+  /**
+   * Creates a renderer
+   * @param {Object} [options={}] - Layout options to change (see `SourceCodeRenderer.DEFAULT_OPTIONS`)
+   */
+  constructor(options = {}) {
+    this.options = { ...SourceCodeRenderer.DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Gets the language of a source file from its extension
+   * @param {string} fileName - The file name or path
+   * @returns {string|null} The key of the language in `SourceCodeRenderer.LANGUAGES`, or null if it isn't source code
+   */
+  static getLanguage(fileName) {
+    const match = String(fileName).match(/\.([^./\\]+)$/);
+    if (!match) return null;
+    const extension = match[1].toLowerCase();
+    return Object.keys(SourceCodeRenderer.LANGUAGES)
+      .find(key => SourceCodeRenderer.LANGUAGES[key].extensions.includes(extension)) || null;
+  }
+
+  /**
+   * Checks whether a Drive file is source code that can be rendered
+   * @param {File} file - The Drive file to check
+   * @returns {boolean} True if the file isn't a Google file and has a source code extension
+   */
+  static isSourceFile(file) {
+    return !file.getMimeType().startsWith("application/vnd.google-apps.") &&
+      SourceCodeRenderer.getLanguage(file.getName()) !== null;
+  }
+
+  /**
+   * Decodes a source file's bytes as UTF-8 text
+   * @param {Blob} blob - The file's contents
+   * @returns {string} The text, without a byte order mark
+   * @throws {Error} If the file contains null bytes, so is probably not text
+   */
+  static readText(blob) {
+    const text = blob.getDataAsString("UTF-8");
+    if (text.includes("\u0000")) {
+      throw new Error(`${blob.getName()} doesn't look like a text file.`);
+    }
+    return text.replace(/^\uFEFF/, "");
+  }
+
+  /**
+   * Splits a line of source code into highlighted segments
+   * @param {string} line - The line, with tabs already expanded
+   * @param {Object} language - The language's rules (see `SourceCodeRenderer.LANGUAGES`)
+   * @param {Object|null} openBlock - The block comment or string left open by the previous line
+   * @returns {Object} The `segments` ({ text, style }) and the `openBlock` left open at the end of the line
+   */
+  static tokeniseLine(line, language, openBlock) {
+    const segments = [];
+    const push = (text, style) => {
+      if (!text) return;
+      const last = segments[segments.length - 1];
+      if (last && last.style === style) {
+        last.text += text;
+      } else {
+        segments.push({ text, style });
+      }
+    };
+    const keywords = language.caseInsensitive
+      ? new Set(language.keywords.map(keyword => keyword.toLowerCase()))
+      : new Set(language.keywords);
+
+    let i = 0;
+    while (i < line.length) {
+      if (openBlock) {
+        const end = line.indexOf(openBlock.end, i);
+        if (end < 0) {
+          push(line.slice(i), openBlock.style);
+          return { segments, openBlock };
+        }
+        push(line.slice(i, end + openBlock.end.length), openBlock.style);
+        i = end + openBlock.end.length;
+        openBlock = null;
+        continue;
+      }
+
+      const rest = line.slice(i);
+      const block = language.blocks.find(candidate => rest.startsWith(candidate.start));
+      if (block) {
+        push(block.start, block.style);
+        i += block.start.length;
+        openBlock = block;
+        continue;
+      }
+
+      if (language.lineComment && rest.startsWith(language.lineComment)) {
+        push(rest, "comment");
+        break;
+      }
+
+      const char = line[i];
+      if (language.quotes.includes(char)) {
+        // A string runs to its closing quote, skipping escaped characters, or to the end of the line
+        let end = i + 1;
+        while (end < line.length && line[end] !== char) {
+          end += line[end] === "\\" ? 2 : 1;
+        }
+        push(line.slice(i, end + 1), "string");
+        i = end + 1;
+        continue;
+      }
+
+      const word = rest.match(/^[A-Za-z_$][\w$]*/);
+      if (word) {
+        const key = language.caseInsensitive ? word[0].toLowerCase() : word[0];
+        push(word[0], keywords.has(key) ? "keyword" : "plain");
+        i += word[0].length;
+        continue;
+      }
+
+      const number = rest.match(/^(0[xX][0-9a-fA-F]+|\d+(\.\d+)?([eE][+-]?\d+)?)/);
+      if (number) {
+        push(number[0], "number");
+        i += number[0].length;
+        continue;
+      }
+
+      push(char, "plain");
+      i++;
+    }
+
+    return { segments, openBlock };
+  }
+
+  /**
+   * Splits highlighted segments into rows that fit within a number of characters
+   * @param {Object[]} segments - The line's segments ({ text, style })
+   * @param {number} width - The number of characters per row
+   * @returns {Object[][]} The rows, each a list of segments (one empty row for an empty line)
+   */
+  static wrapSegments(segments, width) {
+    const rows = [[]];
+    let used = 0;
+    segments.forEach(({ text, style }) => {
+      let remaining = text;
+      while (remaining.length > 0) {
+        if (used === width) {
+          rows.push([]);
+          used = 0;
+        }
+        const piece = remaining.slice(0, width - used);
+        rows[rows.length - 1].push({ text: piece, style });
+        used += piece.length;
+        remaining = remaining.slice(piece.length);
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Renders source files into one PDF, each starting on a new page
+   * @param {Object[]} sources - The files to render, each with a `path` (shown in the header) and its `text`
+   * @param {Object} [mergeOptions={}] - `addBookmarks` adds an outline entry for each file
+   * @returns {Promise<Object>} Object containing PDF `bytes` and the `sections` ({ title, startPage, pageCount })
+   *   that each file occupies
+   */
+  async render(sources, mergeOptions = {}) {
+    const { PDFDocument, StandardFonts, rgb } = PDFMerger.loadPdfLib().PDFLib;
+    const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+    const fonts = {
+      regular: await pdfDoc.embedFont(StandardFonts.Courier),
+      bold: await pdfDoc.embedFont(StandardFonts.CourierBold),
+      italic: await pdfDoc.embedFont(StandardFonts.CourierOblique),
+    };
+    const colours = {};
+    Object.entries(SourceCodeRenderer.STYLES).forEach(([name, style]) => {
+      colours[name] = rgb(...style.colour);
+    });
+
+    const sections = [];
+    for (const source of sources) {
+      const startPage = pdfDoc.getPageCount();
+      this.renderSource(pdfDoc, source, fonts, colours);
+      sections.push({ title: source.path, startPage, pageCount: pdfDoc.getPageCount() - startPage });
+    }
+
+    if (mergeOptions.addBookmarks && sections.length > 1) {
+      PDFMerger.getInstance().addOutline(pdfDoc, sections);
+    }
+
+    const bytes = await pdfDoc.save();
+    console.log(`Rendered ${sources.length} source file(s) as ${pdfDoc.getPageCount()} pages`);
+    return { bytes, sections };
+  }
+
+  /**
+   * Adds the pages for one source file
+   * @param {PDFDocument} pdfDoc - The document to add to
+   * @param {Object} source - The file's `path` and `text`
+   * @param {Object} fonts - The embedded `regular`, `bold` and `italic` Courier fonts
+   * @param {Object} colours - The colour of each style in `SourceCodeRenderer.STYLES`
+   */
+  renderSource(pdfDoc, source, fonts, colours) {
+    const { fontSize, lineHeight, margin, tabSize } = this.options;
+    const [width, height] = PDFMerger.A4_SIZE;
+    const language = SourceCodeRenderer.LANGUAGES[SourceCodeRenderer.getLanguage(source.path)] || SourceCodeRenderer.PLAIN_TEXT;
+
+    const lines = source.text.replace(/\r\n?/g, "\n").replace(/\n$/, "").split("\n");
+    const charWidth = fonts.regular.widthOfTextAtSize("M", fontSize);
+    const gutterChars = String(lines.length).length + 2;
+    const columns = Math.max(20, Math.floor((width - 2 * margin) / charWidth) - gutterChars);
+    const headerHeight = lineHeight * 2;
+    const rowsPerPage = Math.floor((height - 2 * margin - headerHeight) / lineHeight);
+    const path = PDFMerger.toFontSafeText(fonts.bold, source.path);
+
+    let page = null;
+    let pageCount = 0;
+    let row = rowsPerPage;
+    const newPage = () => {
+      page = pdfDoc.addPage(PDFMerger.A4_SIZE);
+      const header = pageCount > 0 ? `${path} (continued)` : path;
+      pageCount++;
+      page.drawText(PDFMerger.truncateText(fonts.bold, header, fontSize + 1, width - 2 * margin), {
+        x: margin, y: height - margin - fontSize, size: fontSize + 1, font: fonts.bold, color: colours.plain,
+      });
+      page.drawLine({
+        start: { x: margin, y: height - margin - headerHeight + lineHeight / 2 },
+        end: { x: width - margin, y: height - margin - headerHeight + lineHeight / 2 },
+        thickness: 0.5,
+        color: colours.lineNumber,
+      });
+      row = 0;
+    };
+
+    if (lines.length === 1 && lines[0] === "") {
+      newPage();
+      page.drawText("(empty file)", {
+        x: margin, y: height - margin - headerHeight - fontSize, size: fontSize, font: fonts.italic, color: colours.comment,
+      });
+      return;
+    }
+
+    let openBlock = null;
+    lines.forEach((line, index) => {
+      const expanded = PDFMerger.toFontSafeText(fonts.regular, SourceCodeRenderer.expandTabs(line, tabSize));
+      const tokens = SourceCodeRenderer.tokeniseLine(expanded, language, openBlock);
+      openBlock = tokens.openBlock;
+
+      SourceCodeRenderer.wrapSegments(tokens.segments, columns).forEach((segments, wrapIndex) => {
+        if (row >= rowsPerPage) newPage();
+        const y = height - margin - headerHeight - fontSize - row * lineHeight;
+
+        // Continuation rows of a wrapped line are left unnumbered
+        if (wrapIndex === 0) {
+          const number = String(index + 1).padStart(gutterChars - 2, " ");
+          page.drawText(number, { x: margin, y, size: fontSize, font: fonts.regular, color: colours.lineNumber });
+        }
+
+        let x = margin + gutterChars * charWidth;
+        segments.forEach(({ text, style }) => {
+          if (text.trim()) {
+            page.drawText(text, {
+              x, y, size: fontSize, font: fonts[SourceCodeRenderer.STYLES[style].font], color: colours[style],
+            });
+          }
+          x += text.length * charWidth;
+        });
+        row++;
+      });
+    });
+  }
+
+  /**
+   * Replaces tabs with spaces up to the next tab stop
+   * @param {string} line - The line
+   * @param {number} tabSize - The number of characters between tab stops
+   * @returns {string} The line without tabs
+   */
+  static expandTabs(line, tabSize) {
+    let expanded = "";
+    for (const char of line) {
+      expanded += char === "\t" ? " ".repeat(tabSize - (expanded.length % tabSize)) : char;
+    }
+    return expanded;
+  }
+
+  /**
+   * Renders a source file as a PDF and saves it to a folder, named like a converted Google Doc
+   * @param {File} file - The source file
+   * @param {Folder} folder - The destination folder
+   * @param {string} [prependString] - The string to prepend to the file name (placed by the naming convention's `submissionCopy` template)
+   * @param {string} [conflictPolicy=null] - Optional conflict policy (see `DriveManager.CONFLICT_POLICIES`). Defaults to the run's policy.
+   * @returns {Promise<File|null>} The new PDF file, or null if the conflict policy skipped it
+   */
+  async renderFileAsPdf(file, folder, prependString, conflictPolicy = null) {
+    const newFilename = prependString
+      ? `${NamingConvention.getActive().submissionCopyName(file.getName(), prependString)}.pdf`
+      : `${file.getName()}.pdf`;
+
+    const targetName = DriveManager.resolveFileConflict(folder, newFilename, file, conflictPolicy);
+    if (!targetName) {
+      return null;
+    }
+
+    const { bytes } = await this.render([{ path: file.getName(), text: SourceCodeRenderer.readText(file.getBlob()) }]);
+    const pdfFile = folder.createFile(Utilities.newBlob(bytes, MimeType.PDF, targetName));
+    console.log(`Source file "${file.getName()}" (rendered as a PDF) saved as "${targetName}".`);
+    return pdfFile;
+  }
+}
+
+/**
+ * Default layout, in PDF points. `tabSize` is in characters.
+ * @type {Object}
+ */
+SourceCodeRenderer.DEFAULT_OPTIONS = {
+  fontSize: 8,
+  lineHeight: 10,
+  margin: 40,
+  tabSize: 4,
+};
+
+/**
+ * The font and colour of each kind of highlighted text
+ * @type {Object<string, Object>}
+ */
+SourceCodeRenderer.STYLES = {
+  plain: { font: "regular", colour: [0, 0, 0] },
+  keyword: { font: "bold", colour: [0, 0, 0.55] },
+  string: { font: "regular", colour: [0.64, 0.08, 0.08] },
+  comment: { font: "italic", colour: [0.3, 0.5, 0.3] },
+  number: { font: "regular", colour: [0.05, 0.45, 0.5] },
+  lineNumber: { font: "regular", colour: [0.55, 0.55, 0.55] },
+};
+
+/**
+ * Highlighting rules for files whose language isn't recognised
+ * @type {Object}
+ */
+SourceCodeRenderer.PLAIN_TEXT = { extensions: [], keywords: [], lineComment: null, blocks: [], quotes: [] };
+
+/**
+ * Highlighting rules for each language, keyed by name. `blocks` are comments or strings that can span lines.
+ * @type {Object<string, Object>}
+ */
+SourceCodeRenderer.LANGUAGES = {
+  python: {
+    extensions: ["py", "pyw"],
+    keywords: ["False", "None", "True", "and", "as", "assert", "async", "await", "break", "class", "continue",
+      "def", "del", "elif", "else", "except", "finally", "for", "from", "global", "if", "import", "in", "is",
+      "lambda", "nonlocal", "not", "or", "pass", "raise", "return", "self", "try", "while", "with", "yield"],
+    lineComment: "#",
+    blocks: [{ start: '"""', end: '"""', style: "string" }, { start: "'''", end: "'''", style: "string" }],
+    quotes: ['"', "'"],
+  },
+  java: {
+    extensions: ["java"],
+    keywords: ["abstract", "boolean", "break", "byte", "case", "catch", "char", "class", "continue", "default",
+      "do", "double", "else", "enum", "extends", "false", "final", "finally", "float", "for", "if", "implements",
+      "import", "instanceof", "int", "interface", "long", "new", "null", "package", "private", "protected",
+      "public", "return", "short", "static", "super", "switch", "this", "throw", "throws", "true", "try", "var",
+      "void", "while"],
+    lineComment: "//",
+    blocks: [{ start: "/*", end: "*/", style: "comment" }],
+    quotes: ['"', "'"],
+  },
+  csharp: {
+    extensions: ["cs"],
+    keywords: ["abstract", "as", "async", "await", "base", "bool", "break", "case", "catch", "char", "class",
+      "const", "continue", "decimal", "default", "do", "double", "else", "enum", "false", "finally", "float",
+      "for", "foreach", "get", "if", "in", "int", "interface", "internal", "is", "long", "namespace", "new",
+      "null", "out", "override", "private", "protected", "public", "readonly", "ref", "return", "set", "static",
+      "string", "struct", "switch", "this", "throw", "true", "try", "using", "var", "virtual", "void", "while"],
+    lineComment: "//",
+    blocks: [{ start: "/*", end: "*/", style: "comment" }],
+    quotes: ['"', "'"],
+  },
+  javascript: {
+    extensions: ["js", "mjs", "jsx", "ts", "tsx", "gs"],
+    keywords: ["async", "await", "break", "case", "catch", "class", "const", "continue", "default", "delete",
+      "do", "else", "export", "extends", "false", "finally", "for", "from", "function", "if", "import", "in",
+      "instanceof", "interface", "let", "new", "null", "of", "return", "static", "super", "switch", "this",
+      "throw", "true", "try", "type", "typeof", "undefined", "var", "void", "while", "yield"],
+    lineComment: "//",
+    blocks: [{ start: "/*", end: "*/", style: "comment" }],
+    quotes: ['"', "'", "`"],
+  },
+  c: {
+    extensions: ["c", "h", "cpp", "cc", "hpp"],
+    keywords: ["auto", "bool", "break", "case", "char", "class", "const", "continue", "default", "delete", "do",
+      "double", "else", "enum", "false", "float", "for", "if", "include", "int", "long", "namespace", "new",
+      "nullptr", "private", "protected", "public", "return", "short", "sizeof", "static", "std", "struct",
+      "switch", "template", "this", "true", "typedef", "unsigned", "using", "void", "while"],
+    lineComment: "//",
+    blocks: [{ start: "/*", end: "*/", style: "comment" }],
+    quotes: ['"', "'"],
+  },
+  php: {
+    extensions: ["php"],
+    keywords: ["array", "as", "break", "case", "class", "const", "continue", "default", "echo", "else",
+      "elseif", "false", "for", "foreach", "function", "if", "include", "new", "null", "private", "protected",
+      "public", "require", "require_once", "return", "static", "switch", "true", "while"],
+    lineComment: "//",
+    blocks: [{ start: "/*", end: "*/", style: "comment" }],
+    quotes: ['"', "'"],
+  },
+  visualBasic: {
+    extensions: ["vb", "bas"],
+    keywords: ["And", "As", "Boolean", "ByRef", "ByVal", "Case", "Class", "Const", "Dim", "Do", "Double",
+      "Each", "Else", "ElseIf", "End", "False", "For", "Function", "If", "Imports", "In", "Integer", "Loop",
+      "Me", "Module", "New", "Next", "Not", "Nothing", "Or", "Private", "Public", "Return", "Select", "Shared",
+      "String", "Sub", "Then", "To", "True", "While"],
+    caseInsensitive: true,
+    lineComment: "'",
+    blocks: [],
+    quotes: ['"'],
+  },
+  sql: {
+    extensions: ["sql"],
+    keywords: ["and", "as", "by", "create", "delete", "desc", "drop", "foreign", "from", "group", "having",
+      "insert", "into", "join", "key", "left", "not", "null", "on", "or", "order", "primary", "references",
+      "select", "set", "table", "update", "values", "where"],
+    caseInsensitive: true,
+    lineComment: "--",
+    blocks: [{ start: "/*", end: "*/", style: "comment" }],
+    quotes: ["'", '"'],
+  },
+  markup: {
+    extensions: ["html", "htm", "xml", "css"],
+    keywords: [],
+    lineComment: null,
+    blocks: [{ start: "<!--", end: "-->", style: "comment" }, { start: "/*", end: "*/", style: "comment" }],
+    quotes: ['"', "'"],
+  },
+};
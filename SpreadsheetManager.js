@@ -9,17 +9,310 @@ class SpreadsheetManager {
    * @param {string} rootFolderId - The ID of the root folder on Google Drive where student folders will be created
    */
   static writeMembersToSheet(members, sheet, rootFolderId) {
-    const headers = ["Name", "User ID", "Folder ID"];
+    const columns = SpreadsheetManager.STUDENT_COLUMNS;
+    const headers = [columns.name, columns.userId, columns.folderId, columns.status, columns.givenName, columns.familyName, columns.email];
     sheet.appendRow(headers);
   
     const rootFolder = DriveApp.getFolderById(rootFolderId);
     members.forEach(member => {
       const folder = DriveManager.createFolder(rootFolder, member.name);
       const folderId = folder.getId();
-      const row = [member.name, member.userId, folderId];
+      const row = [member.name, member.userId, folderId, SpreadsheetManager.STATUS_ACTIVE, member.givenName || "", member.familyName || "", member.email || ""];
       sheet.appendRow(row);
     });
   }
+
+  /**
+   * Brings the Student Info sheet in line with the Classroom roster without clearing it.
+   * Rows are matched by User ID: new students are appended (with a folder), changed names are
+   * updated (along with the Classroom given and family names and email), students no longer on the roster are marked
+   * inactive and every other column is left alone.
+   * @param {Object[]} members - An array of objects containing member information
+   * @param {Object} sheet - The Student Info sheet
+   * @param {string} rootFolderId - The ID of the root folder on Google Drive where student folders are created
+   * @returns {Object} Summary containing the names that were added, renamed, reactivated and marked inactive
+   */
+  static syncMembersToSheet(members, sheet, rootFolderId) {
+    const summary = { added: [], renamed: [], reactivated: [], deactivated: [] };
+
+    // Nothing to sync against, so fall back to a fresh write
+    if (sheet.getLastRow() === 0) {
+      this.writeMembersToSheet(members, sheet, rootFolderId);
+      summary.added = members.map(member => member.name);
+      return summary;
+    }
+
+    const data = sheet.getDataRange().getValues();
+    const columns = this.getColumnMap(data[0]);
+    const nameCol = columns.name;
+    const userIdCol = columns.userId;
+    const folderIdCol = columns.folderId;
+
+    if (nameCol === -1 || userIdCol === -1 || folderIdCol === -1) {
+      throw new Error('Student Info sheet must have "Name", "User ID" and "Folder ID" headers to sync the roster.');
+    }
+
+    // Older sheets predate the Status and Classroom profile columns, so add them after the existing columns
+    const statusCol = this.ensureColumn(sheet, SpreadsheetManager.STUDENT_COLUMNS.status) - 1;
+    const givenNameCol = this.ensureColumn(sheet, SpreadsheetManager.STUDENT_COLUMNS.givenName) - 1;
+    const familyNameCol = this.ensureColumn(sheet, SpreadsheetManager.STUDENT_COLUMNS.familyName) - 1;
+    const emailCol = this.ensureColumn(sheet, SpreadsheetManager.STUDENT_COLUMNS.email) - 1;
+    const columnCount = Math.max(data[0].length, statusCol + 1, givenNameCol + 1, familyNameCol + 1, emailCol + 1);
+
+    // Map each existing User ID to its row in the sheet
+    const rowsByUserId = new Map();
+    for (let i = 1; i < data.length; i++) {
+      const userId = data[i][userIdCol].toString().trim();
+      if (userId) {
+        rowsByUserId.set(userId, { sheetRow: i + 1, values: data[i] });
+      }
+    }
+
+    const rootFolder = DriveApp.getFolderById(rootFolderId);
+    const rosterIds = new Set();
+
+    members.forEach(member => {
+      const userId = member.userId.toString();
+      rosterIds.add(userId);
+      const existing = rowsByUserId.get(userId);
+
+      if (!existing) {
+        const folder = DriveManager.createFolder(rootFolder, member.name);
+        const row = new Array(columnCount).fill("");
+        row[nameCol] = member.name;
+        row[userIdCol] = member.userId;
+        row[folderIdCol] = folder.getId();
+        row[statusCol] = SpreadsheetManager.STATUS_ACTIVE;
+        row[givenNameCol] = member.givenName || "";
+        row[familyNameCol] = member.familyName || "";
+        row[emailCol] = member.email || "";
+        sheet.appendRow(row);
+        summary.added.push(member.name);
+        console.log(`Added ${member.name} (${userId}) to the roster.`);
+        return;
+      }
+
+      const currentName = existing.values[nameCol].toString();
+      if (currentName !== member.name) {
+        sheet.getRange(existing.sheetRow, nameCol + 1).setValue(member.name);
+        summary.renamed.push(`${currentName} → ${member.name}`);
+        console.log(`Updated name for ${userId} from "${currentName}" to "${member.name}".`);
+      }
+
+      // Keep the Classroom profile current; the name parts drive file naming unless a Legal Name is set
+      [[givenNameCol, member.givenName], [familyNameCol, member.familyName], [emailCol, member.email]].forEach(([col, value]) => {
+        const current = col < existing.values.length ? existing.values[col].toString() : "";
+        if (value !== undefined && current !== value) {
+          sheet.getRange(existing.sheetRow, col + 1).setValue(value);
+        }
+      });
+
+      if (!existing.values[folderIdCol]) {
+        const folder = DriveManager.createFolder(rootFolder, member.name);
+        sheet.getRange(existing.sheetRow, folderIdCol + 1).setValue(folder.getId());
+        console.log(`Created missing folder for ${member.name}.`);
+      }
+
+      const currentStatus = existing.values[statusCol];
+      if (currentStatus === SpreadsheetManager.STATUS_INACTIVE) {
+        sheet.getRange(existing.sheetRow, statusCol + 1).setValue(SpreadsheetManager.STATUS_ACTIVE);
+        summary.reactivated.push(member.name);
+        console.log(`Reactivated ${member.name} (${userId}).`);
+      } else if (!currentStatus) {
+        sheet.getRange(existing.sheetRow, statusCol + 1).setValue(SpreadsheetManager.STATUS_ACTIVE);
+      }
+    });
+
+    // Students who have left the course keep their row and folder but are marked inactive
+    rowsByUserId.forEach((existing, userId) => {
+      if (!rosterIds.has(userId) && existing.values[statusCol] !== SpreadsheetManager.STATUS_INACTIVE) {
+        sheet.getRange(existing.sheetRow, statusCol + 1).setValue(SpreadsheetManager.STATUS_INACTIVE);
+        summary.deactivated.push(existing.values[nameCol].toString());
+        console.log(`Marked ${existing.values[nameCol]} (${userId}) as inactive.`);
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Maps each Student Info field to its column position by matching header names
+   * (case-insensitive, ignoring surrounding whitespace)
+   * @param {Array} headerRow - The first row of the sheet
+   * @returns {Object} Object keyed by field name (see `STUDENT_COLUMNS`) giving the zero-based column index, or -1 if absent
+   */
+  static getColumnMap(headerRow) {
+    const headers = headerRow.map(header => header.toString().trim().toLowerCase());
+    const columnMap = {};
+    Object.keys(SpreadsheetManager.STUDENT_COLUMNS).forEach(field => {
+      columnMap[field] = headers.indexOf(SpreadsheetManager.STUDENT_COLUMNS[field].toLowerCase());
+    });
+    return columnMap;
+  }
+
+  /**
+   * Reads a Yes/No cell, accepting ticked checkboxes and "Y" or "X"
+   * @param {*} value - The cell's value
+   * @returns {boolean} True if the cell says yes
+   */
+  static isYes(value) {
+    return ["true", "yes", "y", "x"].includes(String(value === null || value === undefined ? "" : value).trim().toLowerCase());
+  }
+
+  /**
+   * Finds a column by its header, adding it after the last column if it doesn't exist yet
+   * @param {Object} sheet - The sheet to search
+   * @param {string} headerName - The header to look for
+   * @returns {number} The one-based column number of the header
+   */
+  static ensureColumn(sheet, headerName) {
+    const lastColumn = sheet.getLastColumn();
+    if (lastColumn > 0) {
+      const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0]
+        .map(header => header.toString().trim().toLowerCase());
+      const index = headers.indexOf(headerName.toLowerCase());
+      if (index !== -1) {
+        return index + 1;
+      }
+    }
+
+    sheet.getRange(1, lastColumn + 1).setValue(headerName);
+    console.log(`Added "${headerName}" column to sheet "${sheet.getName()}".`);
+    return lastColumn + 1;
+  }
+
+  /**
+   * Reads the Student Info sheet into student records, locating each field by its header
+   * so that columns can be reordered or added without breaking any workflow.
+   * @param {Object} [sheet=null] - The Student Info sheet (defaults to the active spreadsheet's)
+   * @returns {Object[]} Array of records with `row`, `name`, `userId`, `folderId`, `status`,
+   *   `candidateNo`, `centreNo`, `submissionPrefix`, `givenName`, `familyName`, `legalName`, `numberCheck`,
+   *   `markCheck`, `marksOverride`, `totalMark`, `email`, `upn` (all strings) and `active` (boolean)
+   */
+  static getStudentRecords(sheet = null) {
+    const studentSheet = sheet || this.getSpreadsheetSheets().studentSheet;
+    if (studentSheet.getLastRow() < 2) {
+      return [];
+    }
+
+    const data = studentSheet.getDataRange().getValues();
+    const columns = this.getColumnMap(data[0]);
+
+    if (columns.name === -1 || columns.userId === -1 || columns.folderId === -1) {
+      throw new Error('Student Info sheet must have "Name", "User ID" and "Folder ID" headers.');
+    }
+
+    const records = [];
+    for (let i = 1; i < data.length; i++) {
+      const record = { row: i + 1 };
+      Object.keys(columns).forEach(field => {
+        const value = columns[field] === -1 ? "" : data[i][columns[field]];
+        record[field] = value === null || value === undefined ? "" : value.toString().trim();
+      });
+
+      // Skip completely blank rows
+      if (!record.name && !record.userId) continue;
+
+      record.active = record.status !== SpreadsheetManager.STATUS_INACTIVE;
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Writes fields back to a student's row, adding any missing columns by header name
+   * @param {Object} record - A record returned by `getStudentRecords`
+   * @param {Object} fields - Field values to write, keyed by field name (see `STUDENT_COLUMNS`)
+   * @param {Object} [sheet=null] - The Student Info sheet (defaults to the active spreadsheet's)
+   */
+  static updateStudentRecord(record, fields, sheet = null) {
+    const studentSheet = sheet || this.getSpreadsheetSheets().studentSheet;
+
+    Object.keys(fields).forEach(field => {
+      const headerName = SpreadsheetManager.STUDENT_COLUMNS[field];
+      if (!headerName) {
+        throw new Error(`Unknown Student Info field "${field}".`);
+      }
+      const column = this.ensureColumn(studentSheet, headerName);
+      // Plain text keeps the leading zeros of candidate and centre numbers
+      studentSheet.getRange(record.row, column).setNumberFormat('@').setValue(fields[field]);
+      record[field] = fields[field];
+    });
+  }
+
+  /**
+   * Gets the Google Classroom course ID recorded in the Course Info sheet
+   * @param {Object} [courseSheet=null] - The Course Info sheet (defaults to the active spreadsheet's)
+   * @returns {string|null} The course ID or null if it hasn't been recorded
+   */
+  static getCourseId(courseSheet = null) {
+    const sheet = courseSheet || this.getSpreadsheetSheets().courseSheet;
+    if (sheet.getLastRow() === 0) {
+      return null;
+    }
+    const courseId = sheet.getRange(1, 2).getValue();
+    return courseId ? courseId.toString().trim() : null;
+  }
+
+  /**
+   * Gets the IDs of the template files listed in the Course Info sheet, from the third row down
+   * @param {Object} courseSheet - The Course Info sheet
+   * @returns {string[]} The template file IDs
+   */
+  static getTemplateFileIds(courseSheet) {
+    if (courseSheet.getLastRow() < 3) {
+      return [];
+    }
+    return courseSheet.getRange(3, 1, courseSheet.getLastRow() - 2, 1)
+      .getValues().flat().map(id => String(id).trim()).filter(id => id);
+  }
+
+  /**
+   * Gets the root folder ID recorded in the Course Info sheet
+   * @param {Object} courseSheet - The Course Info sheet
+   * @returns {string|null} The root folder ID or null if it hasn't been recorded
+   */
+  static getRootFolderId(courseSheet) {
+    if (courseSheet.getLastRow() === 0 || courseSheet.getLastColumn() < 4) {
+      return null;
+    }
+    const rootFolderId = courseSheet.getRange(1, 4).getValue();
+    return rootFolderId ? rootFolderId.toString().trim() : null;
+  }
+  
+  /**
+   * Replaces the contents of a report sheet (creating it if needed) with a header row and data rows.
+   * Rows whose status cell isn't "OK" are highlighted so problems stand out.
+   * @param {string} sheetName - The name of the report sheet
+   * @param {string[]} headers - The header row
+   * @param {Array[]} rows - The data rows (each the same length as `headers`)
+   * @param {number} [statusColumnIndex=-1] - Zero-based index of the status column to highlight by, or -1 for none
+   * @returns {Object} The report sheet
+   */
+  static writeReportSheet(sheetName, headers, rows, statusColumnIndex = -1) {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+
+    sheet.clear();
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+
+      if (statusColumnIndex !== -1) {
+        const backgrounds = rows.map(row => {
+          const colour = SpreadsheetManager.STATUS_COLOURS[row[statusColumnIndex]] || null;
+          return new Array(headers.length).fill(colour);
+        });
+        sheet.getRange(2, 1, rows.length, headers.length).setBackgrounds(backgrounds);
+      }
+    }
+
+    sheet.autoResizeColumns(1, headers.length);
+    return sheet;
+  }
   
   /**
    * Gets the active spreadsheet and ensures required sheets exist
@@ -32,4 +325,54 @@ class SpreadsheetManager {
     const prefixSheet = spreadsheet.getSheetByName("Prefixes") || spreadsheet.insertSheet("Prefixes");
     return { studentSheet, courseSheet, prefixSheet };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Header names of the Student Info columns, keyed by the field name used in student records
+ * @type {Object<string, string>}
+ */
+SpreadsheetManager.STUDENT_COLUMNS = {
+  name: "Name",
+  userId: "User ID",
+  folderId: "Folder ID",
+  status: "Status",
+  candidateNo: "Candidate No",
+  centreNo: "Centre No",
+  submissionPrefix: "Submission Prefix",
+  givenName: "Given Name",
+  familyName: "Family Name",
+  legalName: "Legal Name",
+  numberCheck: "Number Check",
+  markCheck: "Mark Check",
+  marksOverride: "Marks Override",
+  totalMark: "Total Mark",
+  email: "Email",
+  upn: "UPN"
+};
+
+/**
+ * Status values written to the Student Info "Status" column
+ * @type {string}
+ */
+SpreadsheetManager.STATUS_ACTIVE = "Active";
+SpreadsheetManager.STATUS_INACTIVE = "Inactive";
+
+/**
+ * Background colours for report rows, keyed by the value of the report's status column
+ * @type {Object<string, string>}
+ */
+SpreadsheetManager.STATUS_COLOURS = {
+  MISSING: "#f4cccc",
+  AMBIGUOUS: "#fce5cd",
+  WARNING: "#fff2cc",
+  "LOW CONFIDENCE": "#fff2cc",
+  MISMATCH: "#ea9999",
+  "OVER LIMIT": "#ea9999",
+  EMPTY: "#f4cccc",
+  CORRUPT: "#f4cccc",
+  ENCRYPTED: "#ea9999",
+  EXECUTABLE: "#fff2cc",
+  LATE: "#fce5cd",
+  RETURNED: "#cfe2f3",
+  DRAFT: "#fff2cc"
+};
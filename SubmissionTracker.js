@@ -0,0 +1,156 @@
+/**
+ * Lists where every student's work is up to for each Classroom assignment, so that missing or
+ * unsubmitted work can be chased before the deadline. Each submission is classified by
+ * `ClassroomManager.describeSubmission` from its state, late flag and attachments, and the results are
+ * written to the "Submission Status" sheet.
+ */
+class SubmissionTracker {
+  /**
+   * Creates a tracker for a course
+   * @param {string} courseId - The course ID
+   */
+  constructor(courseId) {
+    this.courseId = courseId;
+  }
+
+  /**
+   * Finds the course's assignments by title
+   * @param {string[]} [titles=[]] - The assignment titles, or an empty list for every assignment
+   * @returns {Object} The matching `assignments` (in the order given) and the `unknown` titles that weren't found
+   */
+  findAssignments(titles = []) {
+    const assignments = ClassroomManager.getAssignments(this.courseId);
+    if (titles.length === 0) {
+      return { assignments: assignments, unknown: [] };
+    }
+
+    const found = [];
+    const unknown = [];
+    titles.forEach(title => {
+      const assignment = assignments.find(a => a.title === title);
+      if (assignment) {
+        found.push(assignment);
+      } else {
+        unknown.push(title);
+      }
+    });
+    return { assignments: found, unknown: unknown };
+  }
+
+  /**
+   * Builds one row per active student per assignment
+   * @param {Object[]} students - Student records
+   * @param {Object[]} assignments - Course work objects
+   * @returns {Array[]} Rows for the "Submission Status" sheet
+   */
+  buildRows(students, assignments) {
+    const activeStudents = students.filter(student => student.active);
+    const rows = [];
+
+    assignments.forEach(assignment => {
+      const submissionsByUser = new Map(
+        ClassroomManager.getAssignmentSubmissions(this.courseId, assignment.id)
+          .map(submission => [String(submission.userId), submission])
+      );
+      const due = SubmissionTracker.formatDueDate(assignment);
+
+      activeStudents.forEach(student => {
+        const result = ClassroomManager.describeSubmission(submissionsByUser.get(String(student.userId)) || null);
+        rows.push([
+          student.name,
+          assignment.title,
+          due,
+          result.state,
+          result.late ? "Yes" : "",
+          result.updateTime || "",
+          result.attachments,
+          result.status
+        ]);
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Writes the status of every active student's work for the given assignments to the "Submission Status" sheet
+   * @param {Object[]} students - Student records
+   * @param {Object[]} assignments - Course work objects
+   * @returns {Object} The number of `rows` and the number with each status (keyed by `ClassroomManager.SUBMISSION_STATUS`)
+   */
+  writeStatusSheet(students, assignments) {
+    const rows = this.buildRows(students, assignments);
+    SpreadsheetManager.writeReportSheet(
+      SubmissionTracker.STATUS_SHEET,
+      ["Student", "Assignment", "Due", "State", "Late", "Last Updated", "Attachments", "Status"],
+      rows,
+      7
+    );
+
+    const counts = {};
+    Object.values(ClassroomManager.SUBMISSION_STATUS).forEach(status => {
+      counts[status] = rows.filter(row => row[7] === status).length;
+    });
+    return { rows: rows.length, counts: counts };
+  }
+
+  /**
+   * Formats an assignment's due date
+   * @param {Object} assignment - A course work object
+   * @returns {string} The due date as YYYY-MM-DD, or "" if the assignment has none
+   */
+  static formatDueDate(assignment) {
+    const dueDate = assignment.dueDate;
+    if (!dueDate || !dueDate.year) return "";
+    return [dueDate.year, dueDate.month, dueDate.day].map((part, i) => String(part).padStart(i === 0 ? 4 : 2, "0")).join("-");
+  }
+}
+
+/**
+ * Name of the sheet listing each student's submission status for each assignment
+ * @type {string}
+ */
+SubmissionTracker.STATUS_SHEET = "Submission Status";
+
+/**
+ * Entry point for listing the submission status of every student for some or all assignments
+ */
+function checkSubmissionStatus() {
+  const titlesResponse = UIManager.promptUser(
+    'Check Submission Status',
+    'Enter the titles of the Google Classroom assignments to check, separated by commas.\n(Leave blank to check every assignment.)'
+  );
+  if (titlesResponse.getSelectedButton() !== SpreadsheetApp.getUi().Button.OK) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+  const titles = titlesResponse.getResponseText().split(",").map(title => title.trim()).filter(Boolean);
+
+  try {
+    const courseId = SpreadsheetManager.getCourseId();
+    if (!courseId) {
+      UIManager.showAlert('No course ID found. Please run "Get names and IDs" first.');
+      return;
+    }
+
+    const tracker = new SubmissionTracker(courseId);
+    const { assignments, unknown } = tracker.findAssignments(titles);
+    if (assignments.length === 0) {
+      UIManager.showAlert('No matching assignments found. Check the titles against Google Classroom.');
+      return;
+    }
+
+    const statuses = ClassroomManager.SUBMISSION_STATUS;
+    const summary = tracker.writeStatusSheet(SpreadsheetManager.getStudentRecords(), assignments);
+    UIManager.showAlert(
+      `Checked ${assignments.length} assignments. ${summary.counts[statuses.MISSING]} submissions are missing, ` +
+      `${summary.counts[statuses.DRAFT]} are drafts that haven't been turned in, ${summary.counts[statuses.LATE]} were late ` +
+      `and ${summary.counts[statuses.RETURNED]} have been returned.\n` +
+      (unknown.length > 0 ? `Not found: ${unknown.join(', ')}.\n` : '') +
+      `See the "${SubmissionTracker.STATUS_SHEET}" sheet.`
+    );
+  } catch (e) {
+    console.error(`Submission status check failed: ${e.message}`);
+    UIManager.showAlert(`Submission status check failed: ${e.message}`);
+  }
+}
@@ -3,58 +3,196 @@
  */
 class TextProcessor {
   /**
-   * Retrieves candidate and center numbers from a Google Doc
+   * Retrieves candidate and centre numbers from a Google Doc. Labelled fields ("Candidate Number",
+   * "Centre No." and so on) are read first, from the labelled table cell or line. A bare 4- or 5-digit
+   * number anywhere in the document is only used when a label is missing, and lowers the confidence.
    * @param {string|File} fileIdOrFile - The ID of the Drive file or File object
-   * @return {Object} An object containing candidate and center numbers
+   * @return {Object} An object containing `CandidateNo` and `CentreNo` (or null), `Confidence`
+   *   (see `TextProcessor.CONFIDENCE`) and `Sources` saying how each number was found ("label", "pattern" or null)
    */
   getCandidateAndCentreNo(fileIdOrFile) {
     const fileId = typeof fileIdOrFile === 'string' ? fileIdOrFile : fileIdOrFile.getId();
-    const doc = DocumentApp.openById(fileId);
-    const body = doc.getBody();
+    const body = DocumentApp.openById(fileId).getBody();
     const text = body.getText();
-    const candidateNoMatch = text.match(/\b\d{4}\b/); // Regular expression for 4 digits
-    const centreNoMatch = text.match(/\b\d{5}\b/); // Regular expression for 5 digits
-    
-    console.log("Candidate Number is: " + candidateNoMatch + "\n Centre Number is: " + centreNoMatch);
-    
-    return {
-      CandidateNo: candidateNoMatch ? candidateNoMatch[0] : null,
-      CentreNo: centreNoMatch ? centreNoMatch[0] : null
+    const tables = this.getTablesText(body);
+
+    const result = this.extractCandidateAndCentreNo(text, tables);
+    console.log(`Candidate Number is: ${result.CandidateNo} (${result.Sources.CandidateNo}), Centre Number is: ${result.CentreNo} (${result.Sources.CentreNo}), confidence ${result.Confidence}`);
+    return result;
+  }
+
+  /**
+   * Reads the text of every table in a document
+   * @param {string|File|Body} docIdOrFileOrBody - The ID of the Google Document, its File object or its body
+   * @return {string[][][]} The text of each table's cells, by table, row and column
+   */
+  getTablesText(docIdOrFileOrBody) {
+    let body = docIdOrFileOrBody;
+    if (typeof docIdOrFileOrBody === 'string' || typeof docIdOrFileOrBody.getTables !== 'function') {
+      const docId = typeof docIdOrFileOrBody === 'string' ? docIdOrFileOrBody : docIdOrFileOrBody.getId();
+      body = DocumentApp.openById(docId).getBody();
+    }
+
+    return body.getTables().map(table => {
+      const rows = [];
+      for (let r = 0; r < table.getNumRows(); r++) {
+        const row = table.getRow(r);
+        const cells = [];
+        for (let c = 0; c < row.getNumCells(); c++) {
+          cells.push(row.getCell(c).getText());
+        }
+        rows.push(cells);
+      }
+      return rows;
+    });
+  }
+
+  /**
+   * Finds the candidate and centre numbers in a document's text and tables (see `getCandidateAndCentreNo`)
+   * @param {string} text - The document's body text
+   * @param {string[][][]} tables - The text of each table's cells, by table, row and column
+   * @return {Object} An object containing `CandidateNo`, `CentreNo`, `Confidence` and `Sources`
+   */
+  extractCandidateAndCentreNo(text, tables) {
+    const fields = {
+      CandidateNo: { label: TextProcessor.CANDIDATE_LABEL, digits: TextProcessor.CANDIDATE_DIGITS },
+      CentreNo: { label: TextProcessor.CENTRE_LABEL, digits: TextProcessor.CENTRE_DIGITS }
     };
+
+    const result = { Sources: {} };
+    Object.keys(fields).forEach(key => {
+      const { label, digits } = fields[key];
+      let value = this.findLabelledNumberInTables(tables, label, digits) || this.findLabelledNumberInText(text, label, digits);
+      result.Sources[key] = value ? "label" : null;
+
+      if (!value) {
+        value = this.findUnlabelledNumber(text, digits);
+        result.Sources[key] = value ? "pattern" : null;
+      }
+      result[key] = value;
+    });
+
+    const sources = Object.values(result.Sources);
+    if (sources.includes(null)) {
+      result.Confidence = TextProcessor.CONFIDENCE.NONE;
+    } else if (sources.includes("pattern")) {
+      result.Confidence = TextProcessor.CONFIDENCE.LOW;
+    } else {
+      result.Confidence = TextProcessor.CONFIDENCE.HIGH;
+    }
+    return result;
+  }
+
+  /**
+   * Looks for a labelled number in tables. The number can follow the label in the same cell, fill the
+   * rest of the row (including one digit per cell) or sit in the cell below the label.
+   * @param {string[][][]} tables - The text of each table's cells
+   * @param {RegExp} label - The label to look for
+   * @param {number} digits - The number of digits expected
+   * @return {string|null} The number, or null if no labelled cell holds one
+   */
+  findLabelledNumberInTables(tables, label, digits) {
+    for (const rows of tables) {
+      for (let r = 0; r < rows.length; r++) {
+        for (let c = 0; c < rows[r].length; c++) {
+          const match = rows[r][c].match(label);
+          if (!match) continue;
+
+          const candidates = [
+            rows[r][c].slice(match.index + match[0].length),
+            rows[r].slice(c + 1).join(' '),
+            rows[r + 1] && rows[r + 1][c] !== undefined ? rows[r + 1][c] : ""
+          ];
+          for (const candidate of candidates) {
+            const value = this.readLabelledValue(candidate, digits);
+            if (value) return value;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Looks for a labelled number in text, either after the label on the same line or on the next non-empty line
+   * @param {string} text - The document's body text
+   * @param {RegExp} label - The label to look for
+   * @param {number} digits - The number of digits expected
+   * @return {string|null} The number, or null if no labelled line holds one
+   */
+  findLabelledNumberInText(text, label, digits) {
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(label);
+      if (!match) continue;
+
+      const nextLine = lines.slice(i + 1).find(line => line.trim()) || "";
+      const value = this.readLabelledValue(lines[i].slice(match.index + match[0].length), digits) ||
+        this.readLabelledValue(nextLine, digits);
+      if (value) return value;
+    }
+    return null;
+  }
+
+  /**
+   * Reads the number at the start of the text that follows a label, stopping at the next label.
+   * Spaces between digits are ignored so that numbers typed into digit boxes are read whole.
+   * @param {string} text - The text after the label
+   * @param {number} digits - The number of digits expected
+   * @return {string|null} The number, or null if the first number found has the wrong length
+   */
+  readLabelledValue(text, digits) {
+    const nextLabel = text.search(TextProcessor.ANY_LABEL);
+    const valueText = (nextLabel === -1 ? text : text.slice(0, nextLabel)).replace(/(\d)[ \t]+(?=\d)/g, '$1');
+    const match = valueText.match(/\d+/);
+    return match && match[0].length === digits ? match[0] : null;
+  }
+
+  /**
+   * Finds the first number with the given number of digits anywhere in the text, skipping anything
+   * that looks like a year when there is another choice
+   * @param {string} text - The document's body text
+   * @param {number} digits - The number of digits expected
+   * @return {string|null} The number, or null if there isn't one
+   */
+  findUnlabelledNumber(text, digits) {
+    const matches = text.match(new RegExp(`\\b\\d{${digits}}\\b`, 'g')) || [];
+    const notYears = matches.filter(number => !/^(19|20)\d{2}$/.test(number));
+    return notYears[0] || matches[0] || null;
   }
   
   /**
-   * Formats a student name
-   * @param {string} name - The student name in {firstname} {surname} format
+   * Formats a student name in the WJEC style (e.g. "SM_J" for John Smith)
+   * @param {string|Object} student - The student's name, or their record so that Classroom and legal names are used
    * @return {string} The formatted string
    */
-  formatStudentName(name) {
-    const [firstName, surname] = name.split(' ');
-    const formattedSurname = surname.slice(0, 2).toUpperCase();
-    const formattedFirstName = firstName.charAt(0).toUpperCase();
-    return `${formattedSurname}_${formattedFirstName}`;
+  formatStudentName(student) {
+    const record = typeof student === 'string' ? { name: student } : student;
+    return NamingConvention.fillTemplate("{surname:2|upper}_{forename:1|upper}", NamingConvention.getStudentValues(record));
   }
   
   /**
-   * Creates a standardized file name
-   * @param {string} centreNo - The centre number
-   * @param {string} candidateNo - The candidate number
-   * @param {string} name - The student name
+   * Creates the front sheet file name using the active naming convention
+   * @param {string} studentSubmissionPrefix - The student's submission prefix
+   * @param {Object} [details={}] - Optional `centreNo`, `candidateNo` and name fields (see `NameParser.parse`) for templates that use them
    * @return {string} The formatted file name
    */
-  createFileName(StudentSubmissionPrefix) {
-    return `0. Frontsheet_${StudentSubmissionPrefix}`;
+  createFileName(studentSubmissionPrefix, details = {}) {
+    const values = NamingConvention.getStudentValues({ ...details, submissionPrefix: studentSubmissionPrefix });
+    return NamingConvention.getActive().frontSheetName(values);
   }
 
   /**
-   * Creates a standardized student submission prefix without the frontsheet prefix
+   * Creates the student submission prefix (without the front sheet part) using the active naming convention
    * @param {string} centreNo - The centre number
    * @param {string} candidateNo - The candidate number
-   * @param {string} name - The student name
+   * @param {string|Object} student - The student's name, or their record so that Classroom and legal names are used
    * @return {string} The formatted submission prefix
    */
-  createStudentSubmissionPrefix(centreNo, candidateNo, name) {
-    return `${centreNo}_${candidateNo}_${this.formatStudentName(name)}`;
+  createStudentSubmissionPrefix(centreNo, candidateNo, student) {
+    const record = typeof student === 'string' ? { name: student } : student;
+    const values = NamingConvention.getStudentValues({ ...record, centreNo, candidateNo });
+    return NamingConvention.getActive().submissionPrefix(values);
   }
 
   /**
@@ -242,4 +380,42 @@ class TextProcessor {
       return false;
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Labels that mark the candidate number in a declaration, e.g. "Candidate Number", "Candidate No."
+ * @type {RegExp}
+ */
+TextProcessor.CANDIDATE_LABEL = /candidate\s*(?:number|no\b\.?|num\b\.?|#)\s*:?/i;
+
+/**
+ * Labels that mark the centre number in a declaration, e.g. "Centre Number", "Center No."
+ * @type {RegExp}
+ */
+TextProcessor.CENTRE_LABEL = /cent(?:re|er)\s*(?:number|no\b\.?|num\b\.?|#)\s*:?/i;
+
+/**
+ * Any label, used to stop reading a value where the next field starts
+ * @type {RegExp}
+ */
+TextProcessor.ANY_LABEL = /(?:candidate|cent(?:re|er))\s*(?:number|no\b|num\b|#)|[A-Za-z]{3,}\s*:/i;
+
+/**
+ * Number of digits in candidate and centre numbers
+ * @type {number}
+ */
+TextProcessor.CANDIDATE_DIGITS = 4;
+TextProcessor.CENTRE_DIGITS = 5;
+
+/**
+ * How confident `getCandidateAndCentreNo` is in the numbers it found
+ * - HIGH: both came from labelled fields
+ * - LOW: at least one was a bare number found elsewhere in the document
+ * - NONE: at least one wasn't found
+ * @type {Object<string, string>}
+ */
+TextProcessor.CONFIDENCE = {
+  HIGH: "HIGH",
+  LOW: "LOW",
+  NONE: "NONE"
+};
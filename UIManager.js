@@ -9,10 +9,29 @@ class UIManager {
       const ui = SpreadsheetApp.getUi();
       ui.createMenu('Folder Populator')
         .addItem("1. Get names and IDs", "runScript")
+        .addItem("1a. Sync roster", "syncRoster")
+        .addItem("1b. Import candidate numbers (CSV)", "importCandidateNumbers")
         .addItem("2. Copy marksheets and declarations", "populateFoldersWithTemplates")
         .addItem("3. Copy coursework submissions", "populateFolders")
+        .addItem("3a. Collect all assignments in the plan", "collectAllSubmissions")
+        .addItem("3b. Inspect zip submissions", "inspectZipFiles")
+        .addItem("3c. Check submission status", "checkSubmissionStatus")
         .addItem("4. Process declarations only", "processDeclarationsOnly")
+        .addItem("4a. Extract marks", "extractMarks")
+        .addItem("4b. Check marks", "checkMarks")
         .addItem("5. Merge PDFs for all students", "mergeAllStudentPDFs")
+        .addItem("5a. Select moderation sample", "selectModerationSample")
+        .addItem("6. Preview sample plan (dry run)", "previewSamplePlan")
+        .addItem("6a. Check upload limits", "checkSampleCompliance")
+        .addItem("7. Export sample as zip", "exportSample")
+        .addSeparator()
+        .addItem("Set up collection plan", "setUpCollectionPlanSheet")
+        .addItem("Set up naming convention", "setUpNamingSheet")
+        .addItem("Set up mark scheme", "setUpMarkSchemeSheet")
+        .addItem("Set up sample rules", "setUpSampleRulesSheet")
+        .addItem("Set up upload limits", "setUpUploadLimitsSheet")
+        .addItem("Resume a paused job", "resumeJob")
+        .addItem("Abandon a paused job", "abandonJob")
         .addToUi();
     }
     
@@ -27,6 +46,34 @@ class UIManager {
       return ui.prompt(title, message, ui.ButtonSet.OK_CANCEL);
     }
     
+    /**
+     * Asks once per run how existing files and folders should be handled and sets it on DriveManager
+     * @returns {string|null} The chosen conflict policy, or null if the user cancelled
+     */
+    static promptConflictPolicy() {
+      const policies = Object.values(DriveManager.CONFLICT_POLICIES);
+      const response = this.promptUser(
+        'Existing Files and Folders',
+        `What should happen when a file or folder already exists?\n` +
+        `Enter one of: ${policies.join(', ')}\n` +
+        `(Leave blank to "${DriveManager.CONFLICT_POLICIES.ASK}" for each one.)`
+      );
+
+      if (response.getSelectedButton() !== SpreadsheetApp.getUi().Button.OK) {
+        this.showAlert('Operation canceled.');
+        return null;
+      }
+
+      const policy = response.getResponseText().trim().toLowerCase() || DriveManager.CONFLICT_POLICIES.ASK;
+      if (!policies.includes(policy)) {
+        this.showAlert(`Unknown option "${policy}". Please use one of: ${policies.join(', ')}.`);
+        return null;
+      }
+
+      DriveManager.setConflictPolicy(policy);
+      return policy;
+    }
+
     /**
      * Shows an alert dialog
      * @param {string} message - The message to display
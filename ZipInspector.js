@@ -0,0 +1,357 @@
+/**
+ * Looks inside the zip files in each student's folder so that moderators can see what was submitted
+ * and nobody is caught out by an empty or unreadable archive.
+ *
+ * The contents are listed from the zip's central directory, which also says whether an entry is
+ * password-protected, and each zip is checked for programs that shouldn't be in a coursework sample.
+ * PDFs, images and source code can be extracted into the student's folder so they join the category
+ * merges. Extracted files are named after the zip (which already starts with its category prefix) and
+ * source code is rendered as PDF listings by `SourceCodeRenderer`.
+ */
+class ZipInspector {
+  /**
+   * Creates an inspector
+   * @param {Object} [options={}] - `extract` copies PDFs, images and source code out of each zip
+   */
+  constructor(options = {}) {
+    this.extract = Boolean(options.extract);
+    this.renderer = new SourceCodeRenderer();
+  }
+
+  /**
+   * Lists the entries in a zip from its central directory, including ZIP64 archives
+   * @param {number[]|Uint8Array} bytes - The zip's bytes
+   * @returns {Object[]|null} The entries, each with a `path`, `size` and `compressedSize` in bytes and
+   *   whether it is `encrypted` or a `directory`, or null if the bytes aren't a readable zip
+   */
+  static readEntries(bytes) {
+    const data = new Uint8Array(bytes);
+    const read = (offset, size) => {
+      let value = 0;
+      for (let i = size - 1; i >= 0; i--) {
+        value = value * 256 + data[offset + i];
+      }
+      return value;
+    };
+
+    // The end of central directory record is at the end, after a comment of up to 64 KB
+    let end = -1;
+    for (let offset = data.length - 22; offset >= Math.max(0, data.length - 22 - 0xFFFF); offset--) {
+      if (read(offset, 4) === 0x06054b50) {
+        end = offset;
+        break;
+      }
+    }
+    if (end < 0) return null;
+
+    let count = read(end + 10, 2);
+    let offset = read(end + 16, 4);
+
+    // ZIP64 archives (more than 65,535 entries or over 4 GB) keep the real values in a ZIP64 record, which a
+    // locator just before the end record points to. The end record's own fields are then usually full.
+    const locator = end - 20;
+    if (locator >= 0 && read(locator, 4) === 0x07064b50) {
+      const zip64End = read(locator + 8, 8);
+      if (zip64End + 56 > data.length || read(zip64End, 4) !== 0x06064b50) return null;
+      count = read(zip64End + 32, 8);
+      offset = read(zip64End + 48, 8);
+    } else if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+      return null;
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > data.length || read(offset, 4) !== 0x02014b50) return null;
+      const flags = read(offset + 8, 2);
+      const nameLength = read(offset + 28, 2);
+      const extraLength = read(offset + 30, 2);
+      const path = ZipInspector.decodeName(data.subarray(offset + 46, offset + 46 + nameLength), (flags & 0x800) !== 0);
+      let size = read(offset + 24, 4);
+      let compressedSize = read(offset + 20, 4);
+
+      // Sizes too big for four bytes are in the entry's ZIP64 extra field, in this order
+      const extraEnd = offset + 46 + nameLength + extraLength;
+      for (let field = offset + 46 + nameLength; field + 4 <= extraEnd; field += 4 + read(field + 2, 2)) {
+        if (read(field, 2) !== 0x0001) continue;
+        let value = field + 4;
+        if (size === 0xFFFFFFFF) {
+          size = read(value, 8);
+          value += 8;
+        }
+        if (compressedSize === 0xFFFFFFFF) {
+          compressedSize = read(value, 8);
+        }
+        break;
+      }
+
+      entries.push({
+        path: path,
+        size: size,
+        compressedSize: compressedSize,
+        encrypted: (flags & 0x1) !== 0,
+        directory: path.endsWith("/"),
+      });
+      offset = extraEnd + read(offset + 32, 2);
+    }
+    return entries;
+  }
+
+  /**
+   * Decodes an entry name from a zip's central directory
+   * @param {Uint8Array} bytes - The name's bytes
+   * @param {boolean} utf8 - Whether the zip marked the name as UTF-8
+   * @returns {string} The name
+   */
+  static decodeName(bytes, utf8) {
+    const latin = String.fromCharCode(...bytes);
+    if (!utf8) return latin;
+    try {
+      return decodeURIComponent(Array.from(bytes, byte => `%${byte.toString(16).padStart(2, "0")}`).join(""));
+    } catch (e) {
+      return latin;
+    }
+  }
+
+  /**
+   * Checks whether an entry is operating system clutter, such as macOS resource forks, rather than coursework
+   * @param {string} path - The entry's path
+   * @returns {boolean} True if the entry can be ignored
+   */
+  static isClutter(path) {
+    return /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i.test(path);
+  }
+
+  /**
+   * Checks whether an entry is a program or script that could run on a moderator's computer
+   * @param {string} path - The entry's path
+   * @returns {boolean} True if the entry's extension is in `ZipInspector.EXECUTABLE_EXTENSIONS`
+   */
+  static isExecutable(path) {
+    const match = path.match(/\.([^./]+)$/);
+    return Boolean(match) && ZipInspector.EXECUTABLE_EXTENSIONS.includes(match[1].toLowerCase());
+  }
+
+  /**
+   * Gets how an entry would be extracted
+   * @param {string} path - The entry's path
+   * @returns {string|null} "pdf", "image" or "source", or null if the entry isn't extracted
+   */
+  static getExtractType(path) {
+    if (/\.pdf$/i.test(path)) return "pdf";
+    if (/\.(jpe?g|png)$/i.test(path)) return "image";
+    if (SourceCodeRenderer.getLanguage(path)) return "source";
+    return null;
+  }
+
+  /**
+   * Checks a zip's contents
+   * @param {File} zipFile - The zip file
+   * @returns {Object} The `entries` (see `readEntries`, without clutter), the zip's `status`
+   *   (see `ZipInspector.STATUS`) and its `issues`
+   */
+  inspect(zipFile) {
+    const entries = ZipInspector.readEntries(zipFile.getBlob().getBytes());
+    if (!entries) {
+      return { entries: [], status: ZipInspector.STATUS.CORRUPT, issues: ["The zip can't be read. It may be damaged or not really a zip."] };
+    }
+
+    const files = entries.filter(entry => !entry.directory && !ZipInspector.isClutter(entry.path));
+    const issues = [];
+    let status = ZipInspector.STATUS.OK;
+    if (files.length === 0) {
+      status = ZipInspector.STATUS.EMPTY;
+      issues.push("The zip has no files in it.");
+    } else if (files.some(entry => entry.encrypted)) {
+      status = ZipInspector.STATUS.ENCRYPTED;
+      issues.push("The zip is password-protected, so moderators won't be able to open it.");
+    } else if (files.some(entry => ZipInspector.isExecutable(entry.path))) {
+      status = ZipInspector.STATUS.EXECUTABLE;
+      issues.push("The zip contains programs that exam board portals may reject.");
+    }
+
+    return { entries: files, status, issues };
+  }
+
+  /**
+   * Extracts a zip's PDFs, images and source code into a folder. Source code is rendered as PDF listings.
+   * @param {File} zipFile - The zip file
+   * @param {Folder} folder - The folder to extract into
+   * @returns {Promise<Map<string, string>>} The name each extracted entry was saved as, keyed by the entry's path
+   */
+  async extractEntries(zipFile, folder) {
+    const extracted = new Map();
+    const prepend = zipFile.getName().replace(/\.zip$/i, "");
+    const namingConvention = NamingConvention.getActive();
+
+    const blobs = Utilities.unzip(zipFile.getBlob());
+    for (const blob of blobs) {
+      const path = blob.getName();
+      const type = ZipInspector.getExtractType(path);
+      if (!type || path.endsWith("/") || ZipInspector.isClutter(path)) continue;
+
+      // Folders inside the zip are kept in the name so that files with the same name don't clash
+      const flatName = namingConvention.submissionCopyName(path.replace(/\//g, "_"), prepend);
+      const fileName = type === "source" ? `${flatName}.pdf` : flatName;
+      const targetName = DriveManager.resolveFileConflict(folder, fileName, zipFile);
+      if (!targetName) continue;
+
+      try {
+        if (type === "source") {
+          const { bytes } = await this.renderer.render([{ path: path, text: SourceCodeRenderer.readText(blob) }]);
+          folder.createFile(Utilities.newBlob(bytes, MimeType.PDF, targetName));
+        } else {
+          // Unzipped blobs don't always have a content type, and Drive needs one to merge them
+          const contentType = type === "pdf" ? MimeType.PDF : (/\.png$/i.test(path) ? MimeType.PNG : MimeType.JPEG);
+          folder.createFile(blob.setName(targetName).setContentType(contentType));
+        }
+        extracted.set(path, targetName);
+        console.log(`Extracted "${path}" from ${zipFile.getName()} as "${targetName}".`);
+      } catch (e) {
+        console.error(`Error extracting "${path}" from ${zipFile.getName()}: ${e.message}`);
+      }
+    }
+    return extracted;
+  }
+
+  /**
+   * Inspects the zips in a student's folder, extracting their contents if asked to
+   * @param {Object} student - A student record
+   * @returns {Promise<Array[]>} Rows for the catalogue sheet
+   */
+  async inspectStudent(student) {
+    if (!student.folderId) {
+      return [[student.name, "", "", "", "", ZipInspector.STATUS.MISSING, "No Folder ID in Student Info."]];
+    }
+
+    const folder = DriveApp.getFolderById(student.folderId);
+    const zipFiles = [];
+    const files = folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      if (DriveManager.isZip(file)) zipFiles.push(file);
+    }
+
+    const rows = [];
+    for (const zipFile of zipFiles) {
+      const result = this.inspect(zipFile);
+      let extracted = new Map();
+      if (this.extract && result.status !== ZipInspector.STATUS.CORRUPT && result.status !== ZipInspector.STATUS.ENCRYPTED) {
+        try {
+          extracted = await this.extractEntries(zipFile, folder);
+        } catch (e) {
+          console.error(`Error unzipping ${zipFile.getName()}: ${e.message}`);
+          result.issues.push(`Couldn't unzip: ${e.message}`);
+        }
+      }
+
+      rows.push([student.name, zipFile.getName(), "", ZipInspector.toKilobytes(zipFile.getSize()), "",
+        result.status, result.issues.join(" ")]);
+      result.entries.forEach(entry => {
+        let status = ZipInspector.STATUS.OK;
+        if (entry.encrypted) {
+          status = ZipInspector.STATUS.ENCRYPTED;
+        } else if (ZipInspector.isExecutable(entry.path)) {
+          status = ZipInspector.STATUS.EXECUTABLE;
+        }
+        rows.push([student.name, zipFile.getName(), entry.path, ZipInspector.toKilobytes(entry.size),
+          extracted.get(entry.path) || "", status, ""]);
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Inspects every active student's zips and writes the catalogue to the "Zip Contents" sheet
+   * @param {Object[]} students - Student records
+   * @returns {Promise<Object>} The number of `zips`, the number of `extracted` files and the number of zips with `issues`
+   */
+  async inspectAllStudents(students) {
+    const rows = [];
+    for (const student of students.filter(student => student.active)) {
+      try {
+        rows.push(...await this.inspectStudent(student));
+      } catch (e) {
+        console.error(`Error inspecting zips for ${student.name}: ${e.message}`);
+        rows.push([student.name, "", "", "", "", ZipInspector.STATUS.MISSING, e.message]);
+      }
+    }
+
+    SpreadsheetManager.writeReportSheet(
+      ZipInspector.CATALOGUE_SHEET,
+      ["Student", "Zip File", "Contents", "Size (KB)", "Extracted As", "Status", "Notes"],
+      rows,
+      5
+    );
+
+    const zipRows = rows.filter(row => row[1] && !row[2]);
+    return {
+      zips: zipRows.length,
+      extracted: rows.filter(row => row[4]).length,
+      issues: zipRows.filter(row => row[5] !== ZipInspector.STATUS.OK).length,
+    };
+  }
+
+  /**
+   * Converts a size in bytes to kilobytes, to one decimal place
+   * @private
+   */
+  static toKilobytes(bytes) {
+    return Math.round(bytes / 102.4) / 10;
+  }
+}
+
+/**
+ * Extensions of programs and scripts that are flagged when found in a zip
+ * @type {string[]}
+ */
+ZipInspector.EXECUTABLE_EXTENSIONS = [
+  "exe", "msi", "bat", "cmd", "com", "scr", "dll", "jar", "apk", "app", "dmg", "ps1", "vbs", "sh", "pyc"
+];
+
+/**
+ * Results of inspecting a zip or one of its entries
+ * @type {Object<string, string>}
+ */
+ZipInspector.STATUS = {
+  OK: "OK",
+  EMPTY: "EMPTY",
+  ENCRYPTED: "ENCRYPTED",
+  EXECUTABLE: "EXECUTABLE",
+  CORRUPT: "CORRUPT",
+  MISSING: "MISSING"
+};
+
+/**
+ * Name of the sheet listing the contents of every student's zips
+ * @type {string}
+ */
+ZipInspector.CATALOGUE_SHEET = "Zip Contents";
+
+/**
+ * Entry point for cataloguing the zips in every student's folder
+ */
+async function inspectZipFiles() {
+  const ui = SpreadsheetApp.getUi();
+  const extractResponse = ui.alert(
+    'Inspect Zip Submissions',
+    'Also extract the PDFs, images and source code from each zip into the student\'s folder, so they can be merged?',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  if (extractResponse === ui.Button.CANCEL || extractResponse === ui.Button.CLOSE) {
+    UIManager.showAlert('Operation canceled.');
+    return;
+  }
+  if (extractResponse === ui.Button.YES && !UIManager.promptConflictPolicy()) return;
+
+  try {
+    const inspector = new ZipInspector({ extract: extractResponse === ui.Button.YES });
+    const summary = await inspector.inspectAllStudents(SpreadsheetManager.getStudentRecords());
+    UIManager.showAlert(
+      `Inspected ${summary.zips} zip files. ${summary.issues} need attention and ${summary.extracted} files were extracted.\n` +
+      `See the "${ZipInspector.CATALOGUE_SHEET}" sheet.`
+    );
+  } catch (e) {
+    console.error(`Zip inspection failed: ${e.message}`);
+    UIManager.showAlert(`Zip inspection failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, fakeFile, fakeFolder, fakeSpreadsheetApp } = require("./helpers");
+
+const MimeType = { PDF: "application/pdf", GOOGLE_DOCS: "application/vnd.google-apps.document", GOOGLE_SHEETS: "application/vnd.google-apps.spreadsheet" };
+const WORD = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+/**
+ * Sets up a folder populator for a student whose one submission has the given attachments
+ * @param {Object[]} attachments - The Drive files attached to the submission
+ * @param {string} [policy="skip"] - The run's conflict policy
+ * @returns {Object} The populator, the student, the student's `folder` and the loaded `scripts`
+ */
+function setUp(attachments, policy = "skip") {
+  const folder = fakeFolder("Jane Smith");
+  const scripts = loadScripts({
+    MimeType,
+    SpreadsheetApp: fakeSpreadsheetApp(null),
+    DriveApp: {
+      getFolderById: () => folder,
+      getFileById: id => attachments.find(file => file.getId() === id)
+    }
+  });
+  scripts.get("DriveManager").setConflictPolicy(policy);
+  scripts.get("ClassroomManager").getStudentSubmissions = () => [{
+    state: "TURNED_IN",
+    assignmentSubmission: { attachments: attachments.map(file => ({ driveFile: { id: file.getId() } })) }
+  }];
+
+  const FolderPopulator = scripts.get("FolderPopulator");
+  const student = { name: "Jane Smith", userId: "1", folderId: "folder" };
+  return { populator: new FolderPopulator(), student, folder, scripts };
+}
+
+test("a copied PDF counts as copied", async () => {
+  const { populator, student, folder } = setUp([fakeFile("Analysis.pdf")]);
+
+  const outcome = await populator.copyStudentAttachments("course", "assignment", student, "JS");
+
+  assert.strictEqual(outcome, "copied");
+  assert.strictEqual(folder.listFiles().length, 1);
+});
+
+test("files the conflict policy kept aren't counted as copied", async () => {
+  const pdf = fakeFile("Analysis.pdf");
+  const { populator, student, folder, scripts } = setUp([pdf]);
+  const copyName = scripts.get("NamingConvention").getActive().submissionCopyName("Analysis.pdf", "JS");
+  folder.addFile(fakeFile(copyName));
+
+  const outcome = await populator.copyStudentAttachments("course", "assignment", student, "JS");
+
+  assert.strictEqual(outcome, "already copied");
+  assert.strictEqual(folder.listFiles().length, 1);
+});
+
+test("a failed conversion isn't counted as copied", async () => {
+  // There's no Drive advanced service here, so converting the Word file throws
+  const { populator, student } = setUp([fakeFile("Analysis.docx", WORD)]);
+
+  const outcome = await populator.copyStudentAttachments("course", "assignment", student, "JS");
+
+  assert.strictEqual(outcome, "failed");
+});
+
+test("a failure is reported even when other files were copied", async () => {
+  // There's no UrlFetchApp here, so exporting the Sheet throws
+  const { populator, student, folder } = setUp([fakeFile("Scan.jpg", "image/jpeg"), fakeFile("Testing", MimeType.GOOGLE_SHEETS)]);
+
+  const outcome = await populator.copyStudentAttachments("course", "assignment", student, "JS");
+
+  assert.strictEqual(outcome, "failed");
+  assert.strictEqual(folder.listFiles().length, 1);
+});
+
+test("unsupported files leave nothing attached", async () => {
+  const { populator, student, folder } = setUp([fakeFile("game.exe", "application/x-msdownload")]);
+
+  const outcome = await populator.copyStudentAttachments("course", "assignment", student, "JS");
+
+  assert.strictEqual(outcome, "nothing attached");
+  assert.strictEqual(folder.listFiles().length, 0);
+});
+
+test("processFolderAttachments abandons a job whose assignment is gone without needing a UI", async () => {
+  const { populator, scripts } = setUp([]);
+  scripts.get("SpreadsheetManager").getCourseId = () => "course";
+  scripts.get("ClassroomManager").getAssignmentId = () => null;
+  let abandoned = false;
+
+  const summary = await populator.processFolderAttachments("Analysis", "JS", [], { abandon: () => { abandoned = true; } });
+
+  assert.strictEqual(summary, undefined);
+  assert.strictEqual(abandoned, true);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./helpers");
+
+/**
+ * Imports a CSV for the given students, recording the Student Info updates and the report instead of writing them
+ * @param {string} csv - The CSV file's contents
+ * @param {Object[]} students - Student records
+ * @returns {Object} The import `summary`, the `updates` made and the report `rows`
+ */
+function importCsv(csv, students) {
+  const scripts = loadScripts({
+    DriveApp: { getFileById: () => ({ getName: () => "export.csv", getBlob: () => ({ getDataAsString: () => csv }) }) },
+    Utilities: { parseCsv: text => text.trim().split("\n").map(line => line.split(",")) }
+  });
+  const SpreadsheetManager = scripts.get("SpreadsheetManager");
+  const updates = [];
+  let rows = [];
+  SpreadsheetManager.updateStudentRecord = (student, fields) => {
+    updates.push({ userId: student.userId, ...fields });
+    Object.assign(student, fields);
+  };
+  SpreadsheetManager.writeReportSheet = (name, headers, reportRows) => {
+    rows = Array.from(reportRows, row => Array.from(row));
+  };
+
+  const CandidateNumberImporter = scripts.get("CandidateNumberImporter");
+  const summary = { ...new CandidateNumberImporter(students).importFromDrive("file-id") };
+  return { summary, updates, rows };
+}
+
+/**
+ * Builds an active student
+ */
+function student(userId, name, email, candidateNo = "") {
+  return { userId, name, email, candidateNo, upn: "", active: true };
+}
+
+test("a row matched by email with a blank candidate number doesn't wipe the stored number", () => {
+  const students = [student("1", "Jane Smith", "jsmith@school.example", 42)];
+
+  const { summary, updates, rows } = importCsv(
+    "Email,Candidate Number\njsmith@school.example,\n",
+    students
+  );
+
+  assert.deepStrictEqual(updates, []);
+  assert.strictEqual(students[0].candidateNo, 42);
+  assert.strictEqual(summary.updated, 0);
+  assert.strictEqual(summary.matched, 0);
+  assert.strictEqual(rows[0][7], "No candidate number in this row.");
+});
+
+test("a row matched by name with a blank candidate number is skipped too", () => {
+  const students = [student("1", "Jane Smith", "", 42)];
+
+  const { updates } = importCsv("Name,Candidate Number\nJane Smith,\n", students);
+
+  assert.deepStrictEqual(updates, []);
+  assert.strictEqual(students[0].candidateNo, 42);
+});
+
+test("numbers that only differ by leading zeros aren't rewritten", () => {
+  // Sheets stores "0042" as the number 42
+  const students = [student("1", "Jane Smith", "jsmith@school.example", 42)];
+
+  const { summary, updates, rows } = importCsv("Email,Candidate Number\njsmith@school.example,0042\n", students);
+
+  assert.deepStrictEqual(updates, []);
+  assert.strictEqual(summary.matched, 1);
+  assert.strictEqual(summary.updated, 0);
+  assert.strictEqual(rows[0][6], "OK");
+});
+
+test("a changed number is written and flagged", () => {
+  const students = [student("1", "Jane Smith", "jsmith@school.example", 42)];
+
+  const { summary, updates, rows } = importCsv("Email,Candidate Number\njsmith@school.example,0043\n", students);
+
+  assert.deepStrictEqual(updates, [{ userId: "1", candidateNo: "0043" }]);
+  assert.strictEqual(summary.updated, 1);
+  assert.strictEqual(rows[0][6], "WARNING");
+  assert.strictEqual(rows[0][7], "Replaced candidate number 42.");
+});
+
+test("a new number is written without a warning", () => {
+  const students = [student("1", "Jane Smith", "jsmith@school.example")];
+
+  const { updates, rows } = importCsv("Email,Candidate Number\njsmith@school.example,0007\n", students);
+
+  assert.deepStrictEqual(updates, [{ userId: "1", candidateNo: "0007" }]);
+  assert.strictEqual(rows[0][6], "OK");
+});
+
+test("a UPN change is written without touching an equal candidate number", () => {
+  const students = [student("1", "Jane Smith", "jsmith@school.example", 42)];
+
+  const { updates, rows } = importCsv("Email,UPN,Candidate Number\njsmith@school.example,A123,0042\n", students);
+
+  assert.deepStrictEqual(updates, [{ userId: "1", upn: "A123" }]);
+  assert.strictEqual(rows[0][6], "OK");
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./helpers");
+
+/**
+ * Builds a fake list endpoint that serves items a page at a time and records each call's options
+ * @param {Object[]} items - Every item the endpoint holds
+ * @param {number} pageLimit - The most items Classroom returns per page, whatever size is asked for
+ * @param {string} itemsKey - The response property that holds the items
+ * @returns {Function} The endpoint, with a `calls` array of the options it was given
+ */
+function fakeListEndpoint(items, pageLimit, itemsKey) {
+  const calls = [];
+  const list = options => {
+    calls.push(options);
+    const start = options.pageToken ? Number(options.pageToken) : 0;
+    const end = Math.min(start + Math.min(options.pageSize, pageLimit), items.length);
+    const response = { [itemsKey]: items.slice(start, end) };
+    if (end < items.length) {
+      response.nextPageToken = String(end);
+    }
+    return response;
+  };
+  list.calls = calls;
+  return list;
+}
+
+/**
+ * Builds a student as returned by `Classroom.Courses.Students.list`
+ */
+function fakeStudent(i) {
+  return {
+    userId: `user${i}`,
+    profile: { name: { fullName: `Student ${i}`, givenName: "Student", familyName: String(i) }, emailAddress: `s${i}@school.example` }
+  };
+}
+
+test("listAll follows page tokens until the last page", () => {
+  const ClassroomManager = loadScripts().get("ClassroomManager");
+  const items = Array.from({ length: 7 }, (_, i) => ({ id: i }));
+  const list = fakeListEndpoint(items, 3, "courseWork");
+
+  const result = ClassroomManager.listAll(list, "courseWork", 3);
+
+  assert.deepStrictEqual(Array.from(result, item => item.id), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual(list.calls.map(call => call.pageToken), [undefined, "3", "6"]);
+  assert.ok(list.calls.every(call => call.pageSize === 3));
+});
+
+test("listAll keeps following tokens when Classroom returns smaller pages than asked for", () => {
+  const ClassroomManager = loadScripts().get("ClassroomManager");
+  const items = Array.from({ length: 5 }, (_, i) => ({ id: i }));
+  const list = fakeListEndpoint(items, 2, "students");
+
+  assert.strictEqual(ClassroomManager.listAll(list, "students", 100).length, 5);
+  assert.strictEqual(list.calls.length, 3);
+});
+
+test("listAll uses the configured page size by default", () => {
+  const ClassroomManager = loadScripts().get("ClassroomManager");
+  ClassroomManager.pageSize = 4;
+  const list = fakeListEndpoint([{ id: 0 }], 10, "courses");
+
+  ClassroomManager.listAll(list, "courses");
+
+  assert.strictEqual(list.calls[0].pageSize, 4);
+});
+
+test("listAll returns an empty list for a response without items", () => {
+  const ClassroomManager = loadScripts().get("ClassroomManager");
+
+  assert.deepStrictEqual(Array.from(ClassroomManager.listAll(() => ({}), "students")), []);
+  assert.deepStrictEqual(Array.from(ClassroomManager.listAll(() => undefined, "students")), []);
+});
+
+test("getClassroomMembers reads every page of students", () => {
+  const students = Array.from({ length: 35 }, (_, i) => fakeStudent(i));
+  const list = fakeListEndpoint(students, 10, "students");
+  const courseIds = [];
+  const Classroom = {
+    Courses: {
+      Students: {
+        list: (courseId, options) => {
+          courseIds.push(courseId);
+          return list(options);
+        }
+      }
+    }
+  };
+  const ClassroomManager = loadScripts({ Classroom }).get("ClassroomManager");
+
+  const members = ClassroomManager.getClassroomMembers("course1");
+
+  assert.strictEqual(members.length, 35);
+  assert.strictEqual(members[34].userId, "user34");
+  assert.strictEqual(members[34].email, "s34@school.example");
+  assert.strictEqual(list.calls.length, 4);
+  assert.ok(courseIds.every(courseId => courseId === "course1"));
+});
+
+test("getStudentSubmissions passes the user ID on every page", () => {
+  const submissions = Array.from({ length: 3 }, (_, i) => ({ id: `sub${i}` }));
+  const list = fakeListEndpoint(submissions, 1, "studentSubmissions");
+  const Classroom = {
+    Courses: {
+      CourseWork: {
+        StudentSubmissions: {
+          list: (courseId, assignmentId, options) => list(options)
+        }
+      }
+    }
+  };
+  const ClassroomManager = loadScripts({ Classroom }).get("ClassroomManager");
+
+  const result = ClassroomManager.getStudentSubmissions("course1", "work1", "user7");
+
+  assert.strictEqual(result.length, 3);
+  assert.ok(list.calls.every(call => call.userId === "user7"));
+  assert.deepStrictEqual(list.calls.map(call => call.pageToken), [undefined, "1", "2"]);
+});
+
+test("getAssignmentId finds an assignment on a later page", () => {
+  const courseWork = Array.from({ length: 12 }, (_, i) => ({ id: `work${i}`, title: `Assignment ${i}` }));
+  const list = fakeListEndpoint(courseWork, 5, "courseWork");
+  const Classroom = { Courses: { CourseWork: { list: (courseId, options) => list(options) } } };
+  const ClassroomManager = loadScripts({ Classroom }).get("ClassroomManager");
+
+  assert.strictEqual(ClassroomManager.getAssignmentId("course1", "Assignment 11"), "work11");
+  assert.strictEqual(ClassroomManager.getAssignmentId("course1", "Not there"), null);
+});
+
+test("getCourseByUrl searches every page of courses", () => {
+  const courses = Array.from({ length: 8 }, (_, i) => ({ id: `c${i}`, alternateLink: `https://classroom.google.com/c/${i}` }));
+  const list = fakeListEndpoint(courses, 3, "courses");
+  const ClassroomManager = loadScripts({ Classroom: { Courses: { list } } }).get("ClassroomManager");
+
+  assert.strictEqual(ClassroomManager.getCourseByUrl("https://classroom.google.com/c/7").id, "c7");
+});
+
+test("describeSubmission gives returned work its own status, late or not", () => {
+  const scripts = loadScripts();
+  const ClassroomManager = scripts.get("ClassroomManager");
+  const attached = { assignmentSubmission: { attachments: [{}] } };
+
+  assert.strictEqual(ClassroomManager.describeSubmission({ state: "RETURNED", ...attached }).status, "RETURNED");
+  assert.strictEqual(ClassroomManager.describeSubmission({ state: "RETURNED", late: true, ...attached }).status, "RETURNED");
+  assert.strictEqual(ClassroomManager.describeSubmission({ state: "TURNED_IN", ...attached }).status, "OK");
+  assert.strictEqual(ClassroomManager.describeSubmission({ state: "TURNED_IN", late: true, ...attached }).status, "LATE");
+  assert.strictEqual(ClassroomManager.describeSubmission({ state: "CREATED", ...attached }).status, "DRAFT");
+  assert.strictEqual(ClassroomManager.describeSubmission(null).status, "MISSING");
+  assert.ok(scripts.get("SpreadsheetManager").STATUS_COLOURS.RETURNED);
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { loadScripts, pdfLibLoader, fakeBlob, fakeFile, fakeFolder, fakeSpreadsheetApp } = require("./helpers");
+
+const MimeType = { PDF: "application/pdf" };
+const KB = 1024;
+
+/**
+ * Sets up a compliance check of one candidate folder, recording the report instead of writing it
+ * @param {number} maxKb - The size limit for every category, in KB
+ * @returns {Object} The `checker`, the candidate `folder`, the category PDF's `fileName` and the `report`
+ */
+function setUp(maxKb) {
+  const folders = [];
+  const scripts = loadScripts({
+    MimeType,
+    SpreadsheetApp: fakeSpreadsheetApp(null),
+    Utilities: { newBlob: (bytes, contentType, name) => fakeBlob(bytes, contentType, name) },
+    DriveApp: { getFileById: id => folders.flatMap(folder => folder.files).find(file => file.getId() === id) }
+  });
+  const PDFMerger = scripts.get("PDFMerger");
+  PDFMerger.loadPdfLib(pdfLibLoader);
+  PDFMerger.getInstance().getPrefixCategories = () => [{ category: "Testing" }];
+  scripts.get("DriveManager").setConflictPolicy("skip");
+
+  const SpreadsheetManager = scripts.get("SpreadsheetManager");
+  SpreadsheetManager.getStudentRecords = () => [];
+  const folder = fakeFolder("Jane");
+  folders.push(folder);
+  const report = { rows: [], trashedWhenWritten: null };
+  SpreadsheetManager.writeReportSheet = (name, headers, rows) => {
+    report.rows = Array.from(rows, row => Array.from(row));
+    report.trashedWhenWritten = folder.files.filter(file => file.trashed).length;
+  };
+
+  const ComplianceChecker = scripts.get("ComplianceChecker");
+  const checker = new ComplianceChecker([{ board: "*", category: "*", maxMb: maxKb / 1024, maxPages: null }], "WJEC");
+  const fileName = checker.namingConvention.categoryPdfName("Testing", { prefix: "Jane" });
+  const sample = fakeFolder("Sample");
+  sample.folders.push(folder);
+  return { scripts, checker, sample, folder, fileName, report };
+}
+
+/**
+ * Makes a PDF whose pages carry the given amounts of incompressible data, so they differ in size
+ * @param {Object} scripts - The loaded scripts, whose pdf-lib and arrays are used
+ * @param {number[]} pageKbs - Each page's size in KB
+ * @returns {Promise<number[]>} The PDF's bytes
+ */
+async function makePdf(scripts, pageKbs) {
+  const { PDFLib } = scripts.get("PDFMerger").loadPdfLib();
+  const ScriptsUint8Array = scripts.get("Uint8Array");
+  const pdfDoc = await PDFLib.PDFDocument.create();
+  pageKbs.forEach(kb => {
+    const page = pdfDoc.addPage(PDFLib.PageSizes.A4);
+    if (kb > 0) {
+      const filler = pdfDoc.context.register(pdfDoc.context.stream(ScriptsUint8Array.from(crypto.randomBytes(kb * KB))));
+      page.node.set(PDFLib.PDFName.of("Filler"), filler);
+    }
+  });
+  return Array.from(await pdfDoc.save());
+}
+
+test("a part that is still too big after the first split is split again and the original goes once the report is written", async () => {
+  // Two large scans then four small pages: sized by the average, the first part would hold both scans
+  const { scripts, checker, sample, folder, fileName, report } = setUp(120);
+  const original = folder.addFile(fakeFile(fileName, MimeType.PDF, { bytes: await makePdf(scripts, [90, 90, 0, 0, 0, 0]) }));
+
+  const summary = await checker.checkSample(sample, true);
+
+  const parts = report.rows.filter(row => row[1] !== fileName);
+  assert.strictEqual(parts.length, 4);
+  assert.deepStrictEqual(parts.map(row => row[4]), [1, 1, 1, 3]);
+  assert.ok(parts.every(row => row[6] === "OK" && row[3] <= 0.12));
+  assert.strictEqual(report.rows.find(row => row[1] === fileName)[6], "SPLIT");
+  assert.strictEqual(report.trashedWhenWritten, 0);
+  assert.strictEqual(original.trashed, true);
+  assert.strictEqual(summary.split, 1);
+  // Only the original was in the sample when it was checked; its parts are listed but not counted
+  assert.strictEqual(summary.files, 1);
+});
+
+test("a part that can't be made small enough is flagged and the original is kept", async () => {
+  const { scripts, checker, sample, folder, fileName, report } = setUp(120);
+  const original = folder.addFile(fakeFile(fileName, MimeType.PDF, { bytes: await makePdf(scripts, [200, 0, 0, 0]) }));
+
+  const summary = await checker.checkSample(sample, true);
+
+  const originalRow = report.rows.find(row => row[1] === fileName);
+  assert.strictEqual(originalRow[6], "OVER LIMIT");
+  assert.match(originalRow[7], /still over a limit, so the original was kept/);
+  assert.deepStrictEqual(report.rows.filter(row => row[1] !== fileName).map(row => row[6]), ["OVER LIMIT", "OK", "OK"]);
+  assert.strictEqual(original.trashed, false);
+  assert.strictEqual(summary.split, 0);
+});
+
+test("a part kept by the conflict policy is measured as it is in Drive", async () => {
+  const { scripts, checker, sample, folder, fileName, report } = setUp(120);
+  const partName = checker.namingConvention.categoryPdfPartName("Testing", 0, { prefix: "Jane" });
+  folder.addFile(fakeFile(partName, MimeType.PDF, { bytes: await makePdf(scripts, [150]) }));
+  const original = folder.addFile(fakeFile(fileName, MimeType.PDF, { bytes: await makePdf(scripts, [90, 90]) }));
+
+  await checker.checkSample(sample, true);
+
+  // The kept part is also checked by itself, as it's in the folder
+  const keptRow = report.rows.find(row => /Kept the existing part/.test(row[7]));
+  assert.strictEqual(keptRow[1], partName);
+  assert.strictEqual(keptRow[6], "OVER LIMIT");
+  assert.strictEqual(original.trashed, false);
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, fakeBlob, fakeFile, fakeFolder, fakeSpreadsheetApp } = require("./helpers");
+
+const MimeType = { PDF: "application/pdf", GOOGLE_DOCS: "application/vnd.google-apps.document" };
+
+/**
+ * Builds a Google Doc that converts to a PDF with the same name
+ */
+function fakeDoc(name) {
+  const doc = fakeFile(name, MimeType.GOOGLE_DOCS);
+  doc.getAs = () => fakeBlob([1], MimeType.PDF, `${name}.pdf`);
+  return doc;
+}
+
+/**
+ * Sets up a declaration processor under the skip policy whose merges are recorded instead of run
+ */
+function setUp() {
+  const scripts = loadScripts({ MimeType, SpreadsheetApp: fakeSpreadsheetApp(null) });
+  scripts.get("DriveManager").setConflictPolicy("skip");
+
+  const merges = [];
+  scripts.get("PDFMerger").getInstance().mergePDFs = async (files, outputFileName) => {
+    merges.push({ names: Array.from(files, file => file.getName()), outputFileName });
+    return { success: true };
+  };
+
+  const DeclarationProcessor = scripts.get("DeclarationProcessor");
+  const processor = new DeclarationProcessor();
+  const declaration = fakeDoc("0. Frontsheet_J_Sm");
+  processor.mergeDeclarations = () => declaration;
+  processor.studentMarkingGridFile = [fakeDoc("J_Sm Marking Grid")];
+  return { processor, merges };
+}
+
+test("createFinalDeclarationPDF merges the PDFs an earlier run made when the conversions are skipped", async () => {
+  const { processor, merges } = setUp();
+  const folder = fakeFolder("Student");
+  folder.addFile(fakeFile("0. Frontsheet_J_Sm.pdf"));
+  folder.addFile(fakeFile("J_Sm Marking Grid.pdf"));
+
+  const result = await processor.createFinalDeclarationPDF("Jane Smith", "0. Frontsheet_J_Sm", folder);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(merges, [{
+    names: ["0. Frontsheet_J_Sm.pdf", "J_Sm Marking Grid.pdf"],
+    outputFileName: "0. Frontsheet_J_Sm"
+  }]);
+});
+
+test("createFinalDeclarationPDF converts whichever PDF is missing", async () => {
+  const { processor, merges } = setUp();
+  const folder = fakeFolder("Student");
+  folder.addFile(fakeFile("0. Frontsheet_J_Sm.pdf"));
+
+  await processor.createFinalDeclarationPDF("Jane Smith", "0. Frontsheet_J_Sm", folder);
+
+  assert.strictEqual(merges.length, 1);
+  assert.strictEqual(folder.listFiles().length, 2);
+});
+
+test("createFinalDeclarationPDF never makes a front sheet without both PDFs", async () => {
+  const { processor, merges } = setUp();
+  const folder = fakeFolder("Student");
+  processor.getDocAsPdf = docFile => (Array.isArray(docFile) ? null : fakeFile("declaration.pdf"));
+
+  const result = await processor.createFinalDeclarationPDF("Jane Smith", "0. Frontsheet_J_Sm", folder);
+
+  assert.strictEqual(result, null);
+  assert.strictEqual(merges.length, 0);
+});
+
+/**
+ * Sets up a declaration processor for one student with a declaration submission, recording the Student Info updates
+ * @param {boolean} marksAddUp - What checkMarks reports
+ */
+function setUpStudent(marksAddUp) {
+  const scripts = loadScripts({ MimeType, SpreadsheetApp: fakeSpreadsheetApp(null), DriveApp: { getFolderById: () => fakeFolder("Student") } });
+  scripts.get("ClassroomManager").getStudentSubmissions = () => [{ id: "submission" }];
+  const updates = [];
+  scripts.get("SpreadsheetManager").updateStudentRecord = (student, fields) => updates.push({ ...fields });
+
+  const DeclarationProcessor = scripts.get("DeclarationProcessor");
+  const processor = new DeclarationProcessor();
+  processor.findStudentFolderFiles = () => ({ declarationFiles: [], markingGridFiles: [] });
+  processor.findFirstGoogleDocAttachment = () => fakeFile("Declaration", MimeType.GOOGLE_DOCS);
+  processor.checkDeclarationNumbers = () => ({ message: "OK" });
+  processor.generateStudentSubmissionPrefixAndFilename = () => ({ prefix: "01234_0042_J_Sm", fileName: "0. Frontsheet_J_Sm" });
+  processor.checkMarks = () => marksAddUp;
+  const made = [];
+  processor.createFinalDeclarationPDF = async name => {
+    made.push(name);
+    return { success: true };
+  };
+  return { processor, updates, made };
+}
+
+const student = { name: "Jane Smith", userId: "1", folderId: "folder" };
+
+test("createFinalDeclarationForStudent reports a student whose marks don't add up as blocked", async () => {
+  const { processor, made } = setUpStudent(false);
+
+  const result = await processor.createFinalDeclarationForStudent("course", "assignment", student);
+
+  assert.match(result.blocked, /marks for Jane Smith don't add up/);
+  assert.deepStrictEqual(made, []);
+});
+
+test("createFinalDeclarationForStudent isn't blocked once the front sheet is made", async () => {
+  const { processor, made } = setUpStudent(true);
+
+  const result = await processor.createFinalDeclarationForStudent("course", "assignment", student);
+
+  assert.strictEqual(result.blocked, null);
+  assert.deepStrictEqual(made, ["Jane Smith"]);
+});
+
+test("createFinalDeclarationForStudent is blocked when the front sheet can't be made", async () => {
+  const { processor } = setUpStudent(true);
+  processor.createFinalDeclarationPDF = async () => null;
+
+  const result = await processor.createFinalDeclarationForStudent("course", "assignment", student);
+
+  assert.match(result.blocked, /couldn't be made/);
+});
+
+test("createFinalDeclarationForms abandons a job whose assignment is gone without needing a UI", async () => {
+  const scripts = loadScripts({ MimeType, SpreadsheetApp: fakeSpreadsheetApp(null) });
+  scripts.get("SpreadsheetManager").getCourseId = () => "course";
+  scripts.get("ClassroomManager").getAssignmentId = () => null;
+  let abandoned = false;
+  const runner = { abandon: () => { abandoned = true; } };
+
+  const DeclarationProcessor = scripts.get("DeclarationProcessor");
+  const summary = await new DeclarationProcessor().createFinalDeclarationForms("Declaration", [], runner);
+
+  assert.strictEqual(summary, undefined);
+  assert.strictEqual(abandoned, true);
+});
@@ -0,0 +1,226 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, fakeFile, fakeFolder, fakeSpreadsheetApp } = require("./helpers");
+
+const MimeType = { PDF: "application/pdf", GOOGLE_DOCS: "application/vnd.google-apps.document" };
+
+/**
+ * Loads the scripts with a fake UI that answers alerts with `answer` (null for no UI)
+ */
+function loadDriveManager(answer = null) {
+  const SpreadsheetApp = fakeSpreadsheetApp(answer);
+  const DriveManager = loadScripts({ SpreadsheetApp, MimeType }).get("DriveManager");
+  return { DriveManager, SpreadsheetApp };
+}
+
+/**
+ * Builds a folder holding one "Report.pdf" last updated on 1 March 2024
+ */
+function folderWithReport() {
+  const folder = fakeFolder("Student");
+  const existing = folder.addFile(fakeFile("Report.pdf", MimeType.PDF, { lastUpdated: new Date(2024, 2, 1) }));
+  return { folder, existing };
+}
+
+test("resolveFileConflict returns the name unchanged when nothing clashes", () => {
+  const { DriveManager } = loadDriveManager();
+  const folder = fakeFolder("Student");
+
+  for (const policy of Object.values(DriveManager.CONFLICT_POLICIES)) {
+    assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, policy), "Report.pdf");
+  }
+});
+
+test("skip keeps the existing file", () => {
+  const { DriveManager } = loadDriveManager();
+  const { folder, existing } = folderWithReport();
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, "skip"), null);
+  assert.strictEqual(existing.trashed, false);
+});
+
+test("overwrite moves the existing file to the bin", () => {
+  const { DriveManager } = loadDriveManager();
+  const { folder, existing } = folderWithReport();
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, "overwrite"), "Report.pdf");
+  assert.strictEqual(existing.trashed, true);
+});
+
+test("keep-both-with-suffix picks the first free numbered name", () => {
+  const { DriveManager } = loadDriveManager();
+  const { folder, existing } = folderWithReport();
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, "keep-both-with-suffix"), "Report (2).pdf");
+
+  folder.addFile(fakeFile("Report (2).pdf"));
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, "keep-both-with-suffix"), "Report (3).pdf");
+  assert.strictEqual(existing.trashed, false);
+});
+
+test("overwrite-if-newer replaces the existing file only when the source is newer", () => {
+  const { DriveManager } = loadDriveManager();
+  const { folder, existing } = folderWithReport();
+  const olderSource = fakeFile("Report.pdf", MimeType.PDF, { lastUpdated: new Date(2024, 1, 1) });
+  const newerSource = fakeFile("Report.pdf", MimeType.PDF, { lastUpdated: new Date(2024, 3, 1) });
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", olderSource, "overwrite-if-newer"), null);
+  assert.strictEqual(existing.trashed, false);
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", newerSource, "overwrite-if-newer"), "Report.pdf");
+  assert.strictEqual(existing.trashed, true);
+});
+
+test("overwrite-if-newer keeps the existing file when there is no source to compare", () => {
+  const { DriveManager } = loadDriveManager();
+  const { folder, existing } = folderWithReport();
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, "overwrite-if-newer"), null);
+  assert.strictEqual(existing.trashed, false);
+});
+
+test("ask replaces the existing file when the user says yes", () => {
+  const { DriveManager, SpreadsheetApp } = loadDriveManager("YES");
+  const { folder, existing } = folderWithReport();
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, "ask"), "Report.pdf");
+  assert.strictEqual(existing.trashed, true);
+  assert.strictEqual(SpreadsheetApp.alerts.length, 1);
+});
+
+test("ask keeps the existing file when the user says no", () => {
+  const { DriveManager } = loadDriveManager("NO");
+  const { folder, existing } = folderWithReport();
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, "ask"), null);
+  assert.strictEqual(existing.trashed, false);
+});
+
+test("ask falls back to skip without prompting when there is no UI", () => {
+  const { DriveManager, SpreadsheetApp } = loadDriveManager(null);
+  const { folder, existing } = folderWithReport();
+
+  assert.strictEqual(DriveManager.getEffectiveConflictPolicy("ask"), "skip");
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf", null, "ask"), null);
+  assert.strictEqual(existing.trashed, false);
+  assert.strictEqual(SpreadsheetApp.alerts.length, 0);
+});
+
+test("the run's policy applies when no policy is passed", () => {
+  const { DriveManager } = loadDriveManager();
+  const { folder, existing } = folderWithReport();
+
+  DriveManager.setConflictPolicy("overwrite");
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "Report.pdf"), "Report.pdf");
+  assert.strictEqual(existing.trashed, true);
+});
+
+test("setConflictPolicy rejects unknown policies", () => {
+  const { DriveManager } = loadDriveManager();
+
+  assert.throws(() => DriveManager.setConflictPolicy("replace"), /Unknown conflict policy "replace"/);
+  assert.strictEqual(DriveManager.conflictPolicy, "ask");
+});
+
+test("only files of the given MIME type clash", () => {
+  const { DriveManager } = loadDriveManager();
+  const folder = fakeFolder("Student");
+  const doc = folder.addFile(fakeFile("0. Frontsheet_J_Sm", MimeType.GOOGLE_DOCS));
+
+  assert.strictEqual(DriveManager.resolveFileConflict(folder, "0. Frontsheet_J_Sm", null, "overwrite", MimeType.PDF), "0. Frontsheet_J_Sm");
+  assert.strictEqual(doc.trashed, false);
+});
+
+test("copyFile copies under skip only when nothing clashes", () => {
+  const { DriveManager } = loadDriveManager();
+  DriveManager.setConflictPolicy("skip");
+  const destination = fakeFolder("Student");
+  const source = fakeFile("Essay.pdf");
+
+  const copied = DriveManager.copyFile(source, destination, "Analysis");
+  assert.ok(copied);
+  assert.strictEqual(DriveManager.copyFile(source, destination, "Analysis"), null);
+  assert.strictEqual(destination.listFiles().length, 1);
+});
+
+test("resolveFolderConflict reuses the existing folder under skip and overwrite-if-newer", () => {
+  const { DriveManager } = loadDriveManager();
+  const parent = fakeFolder("Root");
+  const existing = parent.createFolder("Jane Smith");
+
+  assert.strictEqual(DriveManager.resolveFolderConflict(parent, "Jane Smith", "skip").existingFolder, existing);
+  assert.strictEqual(DriveManager.resolveFolderConflict(parent, "Jane Smith", "overwrite-if-newer").existingFolder, existing);
+  assert.strictEqual(existing.trashed, false);
+});
+
+test("resolveFolderConflict replaces the folder under overwrite", () => {
+  const { DriveManager } = loadDriveManager();
+  const parent = fakeFolder("Root");
+  const existing = parent.createFolder("Jane Smith");
+
+  const resolution = DriveManager.resolveFolderConflict(parent, "Jane Smith", "overwrite");
+
+  assert.strictEqual(resolution.folderName, "Jane Smith");
+  assert.strictEqual(resolution.existingFolder, undefined);
+  assert.strictEqual(existing.trashed, true);
+});
+
+test("resolveFolderConflict keeps both folders with a numbered name", () => {
+  const { DriveManager } = loadDriveManager();
+  const parent = fakeFolder("Root");
+  parent.createFolder("Jane Smith");
+  parent.createFolder("Jane Smith (2)");
+
+  assert.strictEqual(DriveManager.resolveFolderConflict(parent, "Jane Smith", "keep-both-with-suffix").folderName, "Jane Smith (3)");
+});
+
+test("resolveFolderConflict asks, and reuses the folder when there is no UI", () => {
+  const parent = fakeFolder("Root");
+  const existing = parent.createFolder("Jane Smith");
+
+  const noUi = loadDriveManager(null);
+  assert.strictEqual(noUi.DriveManager.resolveFolderConflict(parent, "Jane Smith", "ask").existingFolder, existing);
+  assert.strictEqual(noUi.SpreadsheetApp.alerts.length, 0);
+
+  const yes = loadDriveManager("YES");
+  assert.strictEqual(yes.DriveManager.resolveFolderConflict(parent, "Jane Smith", "ask").folderName, "Jane Smith");
+  assert.strictEqual(existing.trashed, true);
+});
+
+test("createFolder creates a folder or returns the one kept by the policy", () => {
+  const { DriveManager } = loadDriveManager();
+  const parent = fakeFolder("Root");
+
+  const created = DriveManager.createFolder(parent, "Jane Smith", "skip");
+  assert.strictEqual(DriveManager.createFolder(parent, "Jane Smith", "skip"), created);
+  assert.strictEqual(parent.folders.length, 1);
+});
+
+test("isPdf and isImage go by the extension when Drive didn't recognise the upload", () => {
+  const { DriveManager } = loadDriveManager();
+
+  assert.strictEqual(DriveManager.isPdf(fakeFile("Report.pdf", "application/octet-stream")), true);
+  assert.strictEqual(DriveManager.isImage(fakeFile("Scan.JPG", "application/octet-stream")), true);
+  assert.strictEqual(DriveManager.isImage(fakeFile("Screenshot.png", "image/png")), true);
+  assert.strictEqual(DriveManager.isPdf(fakeFile("Notes.txt", "application/octet-stream")), false);
+  assert.strictEqual(DriveManager.isImage(fakeFile("Report.pdf")), false);
+});
+
+test("copyDocument returns null for a failed copy without needing a UI", () => {
+  const { DriveManager, SpreadsheetApp } = loadDriveManager(null);
+  const doc = fakeFile("Declaration", MimeType.GOOGLE_DOCS);
+  doc.makeCopy = () => { throw new Error("Quota exceeded"); };
+
+  assert.strictEqual(DriveManager.copyDocument(doc, "Copy", fakeFolder("Student")), null);
+  assert.strictEqual(SpreadsheetApp.alerts.length, 0);
+});
+
+test("copyDocument shows the copy error when there is a UI", () => {
+  const { DriveManager, SpreadsheetApp } = loadDriveManager("OK");
+  const doc = fakeFile("Declaration", MimeType.GOOGLE_DOCS);
+  doc.makeCopy = () => { throw new Error("Quota exceeded"); };
+
+  assert.strictEqual(DriveManager.copyDocument(doc, "Copy", fakeFolder("Student")), null);
+  assert.match(SpreadsheetApp.alerts[0][0], /Quota exceeded/);
+});
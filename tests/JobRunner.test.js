@@ -0,0 +1,209 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./helpers");
+
+/**
+ * Builds a fake script properties store
+ */
+function fakeProperties() {
+  const values = {};
+  return {
+    values: values,
+    getProperty: key => (key in values ? values[key] : null),
+    setProperty: (key, value) => { values[key] = value; },
+    deleteProperty: key => { delete values[key]; },
+    getProperties: () => ({ ...values })
+  };
+}
+
+/**
+ * Builds a fake ScriptApp that keeps a list of the project's triggers
+ */
+function fakeScriptApp() {
+  const triggers = [];
+  return {
+    triggers: triggers,
+    newTrigger: handlerFunction => {
+      const builder = {
+        timeBased: () => builder,
+        after: delayMs => {
+          builder.delayMs = delayMs;
+          return builder;
+        },
+        create: () => {
+          const trigger = { delayMs: builder.delayMs, getHandlerFunction: () => handlerFunction };
+          triggers.push(trigger);
+          return trigger;
+        }
+      };
+      return builder;
+    },
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: trigger => triggers.splice(triggers.indexOf(trigger), 1)
+  };
+}
+
+/**
+ * Builds a clock that only moves when told to
+ */
+function fakeClock() {
+  const clock = { time: Date.UTC(2025, 4, 1, 9), now: () => clock.time, advance: ms => { clock.time += ms; } };
+  return clock;
+}
+
+const students = ["a", "b", "c", "d", "e"].map(userId => ({ userId }));
+
+/**
+ * Sets up a job runner with fake services and a five-minute limit
+ */
+function setUp() {
+  const JobRunner = loadScripts().get("JobRunner");
+  const services = { properties: fakeProperties(), scriptApp: fakeScriptApp(), clock: fakeClock(), maxRuntimeMs: 5 * 60 * 1000 };
+  return { JobRunner, services, newRunner: () => new JobRunner("mergePDFs", services) };
+}
+
+test("run processes every item and clears its state when done", async () => {
+  const { services, newRunner } = setUp();
+  const runner = newRunner().start("continueMergingPDFs", { recursive: true });
+  const done = [];
+
+  const summary = await runner.run(students, student => student.userId, student => done.push(student.userId));
+
+  assert.deepStrictEqual(done, ["a", "b", "c", "d", "e"]);
+  assert.strictEqual(summary.status, "complete");
+  assert.strictEqual(summary.processed, 5);
+  assert.strictEqual(summary.remaining, 0);
+  assert.deepStrictEqual(services.properties.values, {});
+  assert.strictEqual(newRunner().hasSavedState(), false);
+});
+
+test("run pauses before the deadline, schedules a continuation and resumes where it stopped", async () => {
+  const { JobRunner, services, newRunner } = setUp();
+  const done = [];
+  // Each student takes two minutes, so only two fit in the first five-minute run
+  const processStudent = student => {
+    services.clock.advance(2 * 60 * 1000);
+    done.push(student.userId);
+  };
+
+  const firstRun = await newRunner().start("continueMergingPDFs", { recursive: true })
+    .run(students, student => student.userId, processStudent);
+
+  assert.strictEqual(firstRun.status, "paused");
+  assert.strictEqual(firstRun.processed, 2);
+  assert.strictEqual(firstRun.remaining, 3);
+  assert.deepStrictEqual(services.scriptApp.triggers.map(trigger => trigger.getHandlerFunction()), ["continueMergingPDFs"]);
+  assert.strictEqual(services.scriptApp.triggers[0].delayMs, JobRunner.CONTINUATION_DELAY_MS);
+
+  // The trigger's execution starts a new runner, which loads the saved state
+  services.clock.advance(60 * 1000);
+  const resumed = newRunner();
+  assert.strictEqual(resumed.hasSavedState(), true);
+  assert.deepStrictEqual({ ...resumed.getParams() }, { recursive: true });
+
+  const secondRun = await resumed.run(students, student => student.userId, processStudent);
+
+  assert.strictEqual(secondRun.status, "paused");
+  assert.strictEqual(secondRun.runs, 2);
+  assert.strictEqual(services.scriptApp.triggers.length, 1);
+
+  services.clock.advance(60 * 1000);
+  const lastRun = await newRunner().run(students, student => student.userId, processStudent);
+
+  assert.strictEqual(lastRun.status, "complete");
+  assert.strictEqual(lastRun.runs, 3);
+  assert.deepStrictEqual(done, ["a", "b", "c", "d", "e"]);
+  assert.strictEqual(services.scriptApp.triggers.length, 0);
+  assert.deepStrictEqual(services.properties.values, {});
+});
+
+test("a failing item is recorded and the rest still run", async () => {
+  const { newRunner } = setUp();
+  const runner = newRunner().start("continueMergingPDFs");
+
+  const summary = await runner.run(students, student => student.userId, student => {
+    if (student.userId === "c") throw new Error("No folder ID");
+  });
+
+  assert.strictEqual(summary.status, "complete");
+  assert.strictEqual(summary.processed, 5);
+  assert.deepStrictEqual(Array.from(summary.failed, failure => ({ ...failure })), [{ key: "c", message: "No folder ID" }]);
+});
+
+test("failed items are kept across a pause and aren't retried", async () => {
+  const { services, newRunner } = setUp();
+  const attempts = [];
+  const processStudent = student => {
+    attempts.push(student.userId);
+    services.clock.advance(2 * 60 * 1000);
+    if (student.userId === "a") throw new Error("Conversion failed");
+  };
+
+  await newRunner().start("continueMergingPDFs").run(students, student => student.userId, processStudent);
+  await newRunner().run(students, student => student.userId, processStudent);
+  const summary = await newRunner().run(students, student => student.userId, processStudent);
+
+  assert.deepStrictEqual(attempts, ["a", "b", "c", "d", "e"]);
+  assert.deepStrictEqual(Array.from(summary.failed, failure => failure.key), ["a"]);
+});
+
+test("recordProgress counts outcomes per group and keeps them across a pause", async () => {
+  const { services, newRunner } = setUp();
+  const processStudent = runner => student => {
+    services.clock.advance(2 * 60 * 1000);
+    runner.recordProgress("Analysis", student.userId === "b" ? "skipped" : "copied");
+  };
+
+  const first = newRunner().start("continueCollectingSubmissions");
+  await first.run(students, student => student.userId, processStudent(first));
+  const second = newRunner();
+  await second.run(students, student => student.userId, processStudent(second));
+  const third = newRunner();
+  const summary = await third.run(students, student => student.userId, processStudent(third));
+
+  assert.deepStrictEqual({ ...summary.progress.Analysis }, { copied: 4, skipped: 1 });
+});
+
+test("start discards saved progress and old continuation triggers", async () => {
+  const { services, newRunner } = setUp();
+  await newRunner().start("continueMergingPDFs").run(students, student => student.userId, () => services.clock.advance(4 * 60 * 1000));
+  assert.strictEqual(services.scriptApp.triggers.length, 1);
+
+  const restarted = newRunner().start("continueMergingPDFs", { recursive: false });
+
+  assert.strictEqual(services.scriptApp.triggers.length, 0);
+  assert.deepStrictEqual(Array.from(restarted.state.completed), []);
+  assert.strictEqual(restarted.state.runs, 0);
+});
+
+test("clear removes the saved state and the continuation trigger", async () => {
+  const { JobRunner, services, newRunner } = setUp();
+  const otherTrigger = services.scriptApp.newTrigger("onOpen").timeBased().after(0).create();
+  await newRunner().start("continueMergingPDFs").run(students, student => student.userId, () => services.clock.advance(4 * 60 * 1000));
+
+  const runner = newRunner();
+  assert.strictEqual(JobRunner.listPendingJobs(services.properties).length, 1);
+  runner.clear();
+
+  assert.strictEqual(runner.hasSavedState(), false);
+  assert.strictEqual(newRunner().hasSavedState(), false);
+  assert.strictEqual(JobRunner.listPendingJobs(services.properties).length, 0);
+  assert.deepStrictEqual(services.scriptApp.triggers, [otherTrigger]);
+});
+
+test("run refuses to start a job that hasn't been started", async () => {
+  const { newRunner } = setUp();
+
+  await assert.rejects(newRunner().run(students, student => student.userId, () => {}), /has not been started/);
+});
+
+test("describeSummary mentions the students left and the failures", () => {
+  const { JobRunner } = setUp();
+
+  const description = JobRunner.describeSummary({
+    status: "paused", processed: 2, remaining: 3, total: 5, runs: 1, failed: [{ key: "c", message: "No folder ID" }], progress: {}
+  });
+
+  assert.match(description, /3 of 5 students left/);
+  assert.match(description, /Failed for 1: c \(No folder ID\)/);
+});
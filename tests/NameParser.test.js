@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./helpers");
+
+const scripts = loadScripts();
+const NameParser = scripts.get("NameParser");
+const NamingConvention = scripts.get("NamingConvention");
+const TextProcessor = scripts.get("TextProcessor");
+
+/**
+ * Parses a name and copies the result out of the scripts' context so it can be compared
+ */
+function parse(student) {
+  const parsed = NameParser.parse(student);
+  return { ...parsed, forenames: Array.from(parsed.forenames) };
+}
+
+test("display names split at the first surname particle", () => {
+  assert.deepStrictEqual(parse("Mary Jane van der Berg"), {
+    forenames: ["Mary", "Jane"], surname: "van der Berg", surnameCore: "Berg", source: "display"
+  });
+  assert.deepStrictEqual(parse("Ana de la Cruz").surname, "de la Cruz");
+  assert.deepStrictEqual(parse("Ahmad bin Ismail").surname, "bin Ismail");
+  assert.deepStrictEqual(parse("Ludwig van Beethoven").surnameCore, "Beethoven");
+});
+
+test("display names without a particle use the last word as the surname", () => {
+  assert.deepStrictEqual(parse("John Paul Smith"), {
+    forenames: ["John", "Paul"], surname: "Smith", surnameCore: "Smith", source: "display"
+  });
+});
+
+test("a particle as the first word is a forename", () => {
+  // "Van" is someone's first name here, not the start of their surname
+  assert.deepStrictEqual(parse("Van Morrison").forenames, ["Van"]);
+  assert.strictEqual(parse("Van Morrison").surname, "Morrison");
+});
+
+test("hyphenated and apostrophe surnames stay whole", () => {
+  assert.strictEqual(parse("Sarah Jones-Smith").surname, "Jones-Smith");
+  assert.strictEqual(parse("Aoife O'Brien").surname, "O'Brien");
+  assert.deepStrictEqual(parse("Jean-Luc Picard").forenames, ["Jean-Luc"]);
+});
+
+test("single-word names have no surname and don't crash", () => {
+  assert.deepStrictEqual(parse("Madonna"), { forenames: ["Madonna"], surname: "", surnameCore: "", source: "display" });
+  assert.strictEqual(NameParser.getInitials(NameParser.parse("Madonna")), "M");
+  assert.doesNotThrow(() => new TextProcessor().formatStudentName("Madonna"));
+});
+
+test("empty and messy names are tidied", () => {
+  assert.deepStrictEqual(parse({ name: "  Zoë   O'Brien  " }).forenames, ["Zoë"]);
+  assert.deepStrictEqual(parse(null), { forenames: [], surname: "", surnameCore: "", source: "display" });
+  assert.strictEqual(NameParser.getInitials(NameParser.parse("")), "");
+});
+
+test("Classroom given and family names are preferred to the display name", () => {
+  const parsed = parse({ name: "Mary Jane van der Berg", givenName: "Mary Jane", familyName: "van der Berg" });
+
+  assert.deepStrictEqual(parsed, { forenames: ["Mary", "Jane"], surname: "van der Berg", surnameCore: "Berg", source: "classroom" });
+
+  // A family name with no particle is still kept whole
+  assert.strictEqual(parse({ name: "Li Wei Zhang", givenName: "Li Wei", familyName: "Zhang" }).surname, "Zhang");
+  assert.strictEqual(parse({ name: "Maria Garcia Lopez", givenName: "Maria", familyName: "Garcia Lopez" }).surname, "Garcia Lopez");
+});
+
+test("a legal name overrides the Classroom names", () => {
+  const student = { name: "Bobby Smith", givenName: "Bobby", familyName: "Smith", legalName: "Robert James Smith" };
+
+  assert.deepStrictEqual(parse(student), { forenames: ["Robert", "James"], surname: "Smith", surnameCore: "Smith", source: "legal" });
+});
+
+test("a legal name written 'Surname, Forenames' is read exactly", () => {
+  const parsed = parse({ name: "Maria Garcia", legalName: "Garcia Lopez, Maria Isabel" });
+
+  assert.deepStrictEqual(parsed.forenames, ["Maria", "Isabel"]);
+  assert.strictEqual(parsed.surname, "Garcia Lopez");
+  assert.strictEqual(parsed.source, "legal");
+});
+
+test("initials use each forename and the surname without particles", () => {
+  assert.strictEqual(NameParser.getInitials(NameParser.parse("Mary Jane van der Berg")), "MJB");
+  assert.strictEqual(NameParser.getInitials(NameParser.parse("Émile Zola")), "EZ");
+  assert.strictEqual(NameParser.getInitials(NameParser.parse("Aoife O'Brien")), "AO");
+});
+
+test("toFileSafe removes accents and apostrophes and keeps hyphens", () => {
+  assert.strictEqual(NameParser.toFileSafe("Zoë"), "Zoe");
+  assert.strictEqual(NameParser.toFileSafe("O'Brien"), "OBrien");
+  assert.strictEqual(NameParser.toFileSafe("Jones-Smith"), "Jones-Smith");
+  assert.strictEqual(NameParser.toFileSafe("van der Berg"), "vanderBerg");
+  assert.strictEqual(NameParser.toFileSafe("Müller"), "Muller");
+  assert.strictEqual(NameParser.toFileSafe("Łukasz Øster"), "LukaszOster");
+  assert.strictEqual(NameParser.toFileSafe("Strauß"), "Strauss");
+  assert.strictEqual(NameParser.toFileSafe("Siobhán Ní Bhriain"), "SiobhanNiBhriain");
+});
+
+test("naming values come from the parsed name", () => {
+  const values = NamingConvention.getStudentValues({ name: "Zoë O'Brien", candidateNo: 42, centreNo: 1234 });
+
+  assert.strictEqual(values.forename, "Zoe");
+  assert.strictEqual(values.surname, "OBrien");
+  assert.strictEqual(values.initials, "ZO");
+  assert.strictEqual(values.candidate, "0042");
+  assert.strictEqual(values.centre, "01234");
+});
+
+test("the WJEC student name uses the surname without spaces", () => {
+  const textProcessor = new TextProcessor();
+
+  assert.strictEqual(textProcessor.formatStudentName("Mary Jane van der Berg"), "VA_M");
+  assert.strictEqual(textProcessor.formatStudentName({ name: "Zoë O'Brien" }), "OB_Z");
+  assert.strictEqual(textProcessor.formatStudentName("Madonna"), "M");
+});
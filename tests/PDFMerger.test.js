@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, pdfLibLoader, fakeBlob, fakeFile, fakeFolder, fakeSpreadsheetApp } = require("./helpers");
+
+const MimeType = { PDF: "application/pdf", GOOGLE_DOCS: "application/vnd.google-apps.document" };
+
+/**
+ * Loads the scripts with the run's conflict policy set
+ */
+function loadWithPolicy(policy) {
+  const scripts = loadScripts({
+    MimeType,
+    SpreadsheetApp: fakeSpreadsheetApp(null),
+    Utilities: { newBlob: (bytes, contentType, name) => fakeBlob(bytes, contentType, name) }
+  });
+  scripts.get("DriveManager").setConflictPolicy(policy);
+  return scripts;
+}
+
+test("saveResultingPdf returns the existing PDF when the conflict policy skips the save", () => {
+  const PDFMerger = loadWithPolicy("skip").get("PDFMerger");
+  const folder = fakeFolder("Sample");
+  const existing = folder.addFile(fakeFile("Analysis.pdf"));
+
+  const result = PDFMerger.getInstance().saveResultingPdf({ bytes: [1, 2, 3] }, "Analysis.pdf", folder);
+
+  assert.strictEqual(result.skipped, true);
+  assert.strictEqual(result.id, existing.getId());
+  assert.strictEqual(folder.listFiles().length, 1);
+});
+
+test("saveResultingPdf replaces the existing PDF under overwrite", () => {
+  const PDFMerger = loadWithPolicy("overwrite").get("PDFMerger");
+  const folder = fakeFolder("Sample");
+  const existing = folder.addFile(fakeFile("Analysis.pdf"));
+
+  const result = PDFMerger.getInstance().saveResultingPdf({ bytes: [1, 2, 3] }, "Analysis.pdf", folder);
+
+  assert.strictEqual(result.skipped, undefined);
+  assert.strictEqual(existing.trashed, true);
+  assert.deepStrictEqual(folder.listFiles().map(file => file.getName()), ["Analysis.pdf"]);
+  assert.notStrictEqual(result.id, existing.getId());
+});
+
+test("saveResultingPdf doesn't treat a Google Doc with the same name as a clash", () => {
+  const PDFMerger = loadWithPolicy("skip").get("PDFMerger");
+  const folder = fakeFolder("Student");
+  const doc = folder.addFile(fakeFile("0. Frontsheet_J_Sm", MimeType.GOOGLE_DOCS));
+
+  const result = PDFMerger.getInstance().saveResultingPdf({ bytes: [1, 2, 3] }, "0. Frontsheet_J_Sm", folder);
+
+  assert.strictEqual(result.skipped, undefined);
+  assert.strictEqual(doc.trashed, false);
+  assert.strictEqual(folder.listFiles().length, 2);
+});
+
+test("copySinglePdfFile counts a PDF kept by the conflict policy as a success", async () => {
+  const PDFMerger = loadWithPolicy("skip").get("PDFMerger");
+  const folder = fakeFolder("Sample");
+  const existing = folder.addFile(fakeFile("Analysis.pdf"));
+
+  const result = await PDFMerger.getInstance().copySinglePdfFile(fakeFile("Essay.pdf"), "Analysis.pdf", folder);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.skipped, true);
+  assert.strictEqual(result.file.id, existing.getId());
+});
+
+test("the vendored pdf-lib matches the pinned digest", () => {
+  const PDFMerger = loadScripts().get("PDFMerger");
+
+  assert.strictEqual(pdfLibLoader.sha256Hex(pdfLibLoader.readSource()), PDFMerger.PDF_LIB_SHA256);
+});
+
+test("loadPdfLib loads the vendored pdf-lib once and it can merge PDFs", async () => {
+  const PDFMerger = loadScripts().get("PDFMerger");
+  let reads = 0;
+  const loader = { ...pdfLibLoader, readSource: () => { reads++; return pdfLibLoader.readSource(); } };
+
+  const { PDFLib } = PDFMerger.loadPdfLib(loader);
+  assert.strictEqual(PDFMerger.loadPdfLib(loader).PDFLib, PDFLib);
+  assert.strictEqual(reads, 1);
+
+  const makePdf = async pages => {
+    const doc = await PDFLib.PDFDocument.create();
+    for (let i = 0; i < pages; i++) doc.addPage(PDFMerger.A4_SIZE);
+    return doc.save();
+  };
+  const merged = await PDFLib.PDFDocument.create();
+  for (const bytes of [await makePdf(2), await makePdf(3)]) {
+    const source = await PDFLib.PDFDocument.load(bytes);
+    (await merged.copyPages(source, source.getPageIndices())).forEach(page => merged.addPage(page));
+  }
+  assert.strictEqual(await PDFMerger.countPages(await merged.save()), 5);
+});
+
+test("loadPdfLib refuses a copy of pdf-lib that fails the integrity check", () => {
+  const PDFMerger = loadScripts().get("PDFMerger");
+  const tampered = { ...pdfLibLoader, readSource: () => `${pdfLibLoader.readSource()}\n// changed` };
+
+  assert.throws(() => PDFMerger.loadPdfLib(tampered), /failed its integrity check/);
+  assert.strictEqual(PDFMerger._pdfLib, null);
+});
+
+test("findCategoryFiles finds PDFs and images that Drive didn't recognise by their extension", () => {
+  const PDFMerger = loadScripts().get("PDFMerger");
+  const folder = fakeFolder("Student");
+  folder.addFile(fakeFile("Analysis scan.jpg", "application/octet-stream"));
+  folder.addFile(fakeFile("Analysis.pdf", "application/octet-stream"));
+  folder.addFile(fakeFile("Analysis notes.docx", "application/octet-stream"));
+  folder.addFile(fakeFile("Analysis", MimeType.GOOGLE_DOCS));
+
+  const found = PDFMerger.getInstance().findCategoryFiles(folder, ["Analysis"]);
+
+  assert.deepStrictEqual(Array.from(found, file => file.getName()), ["Analysis scan.jpg", "Analysis.pdf"]);
+});
+
+test("addImagePage embeds a PNG labelled as a JPEG as a PNG", async () => {
+  const PDFMerger = loadScripts().get("PDFMerger");
+  const { PDFLib } = PDFMerger.loadPdfLib(pdfLibLoader);
+  const png = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==", "base64");
+  const pdfDoc = await PDFLib.PDFDocument.create();
+
+  const pages = await PDFMerger.getInstance().addImagePage(pdfDoc, fakeFile("photo.jpg", "image/jpeg", { bytes: Array.from(png) }));
+
+  assert.strictEqual(pages, 1);
+  assert.strictEqual(pdfDoc.getPageCount(), 1);
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts, fakeFolder } = require("./helpers");
+
+/**
+ * Sets up a sample run for two students where Jane's front sheet is blocked
+ * @returns {Object} The orchestrator, a started job runner and the students whose PDFs were `merged`
+ */
+function setUp() {
+  const scripts = loadScripts({ DriveApp: { getFolderById: () => fakeFolder("Sample") } });
+  scripts.get("SpreadsheetManager").getCourseId = () => "course";
+  scripts.get("SpreadsheetManager").getStudentRecords = () => [
+    { name: "Jane Smith", userId: "1", active: true },
+    { name: "Omar Khan", userId: "2", active: true }
+  ];
+  scripts.get("SampleSelector").filterToSelection = students => students;
+  scripts.get("ClassroomManager").getAssignmentId = () => "assignment";
+  scripts.get("DeclarationProcessor").prototype.createFinalDeclarationForStudent = async (courseId, assignmentId, student) =>
+    ({ blocked: student.userId === "1" ? "The marks for Jane Smith don't add up." : null });
+
+  const SampleCreationOrchestrator = scripts.get("SampleCreationOrchestrator");
+  const orchestrator = new SampleCreationOrchestrator();
+  const merged = [];
+  orchestrator.mergeAllOtherPDFs = async student => merged.push(student.name);
+
+  // Records failures the way JobRunner does, without the saved state
+  const runner = {
+    abandon: () => {},
+    run: async (items, getKey, processItem) => {
+      const failed = [];
+      for (const item of items) {
+        try {
+          await processItem(item);
+        } catch (e) {
+          failed.push({ key: getKey(item), message: e.message });
+        }
+      }
+      return { failed };
+    }
+  };
+  return { orchestrator, runner, merged };
+}
+
+test("runSample leaves out a student whose front sheet is blocked and reports them as failed", async () => {
+  const { orchestrator, runner, merged } = setUp();
+
+  const summary = await orchestrator.runSample("sample-folder", "Declaration", runner);
+
+  assert.deepStrictEqual(merged, ["Omar Khan"]);
+  assert.deepStrictEqual(summary.failed, [{ key: "1", message: "The marks for Jane Smith don't add up." }]);
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./helpers");
+
+/**
+ * Builds a fake DocumentApp whose one document has the given body text and tables
+ * @param {string} text - The body text
+ * @param {string[][][]} tables - The text of each table's cells, by table, row and column
+ */
+function fakeDocumentApp(text, tables) {
+  const fakeTable = rows => ({
+    getNumRows: () => rows.length,
+    getRow: r => ({ getNumCells: () => rows[r].length, getCell: c => ({ getText: () => rows[r][c] }) })
+  });
+  return { openById: () => ({ getBody: () => ({ getText: () => text, getTables: () => tables.map(fakeTable) }) }) };
+}
+
+/**
+ * Extracts the numbers from a declaration with the given text and tables, read through a fake DocumentApp
+ */
+function extract(text, tables = []) {
+  const scripts = loadScripts({ DocumentApp: fakeDocumentApp(text, tables) });
+  const TextProcessor = scripts.get("TextProcessor");
+  const result = new TextProcessor().getCandidateAndCentreNo("doc-id");
+  return { ...result, Sources: { ...result.Sources } };
+}
+
+test("labelled numbers in a table are read with high confidence", () => {
+  const result = extract("", [[["Candidate Number", "0042"], ["Centre Number:", "12345"]]]);
+
+  assert.deepStrictEqual(result, {
+    CandidateNo: "0042", CentreNo: "12345", Confidence: "HIGH", Sources: { CandidateNo: "label", CentreNo: "label" }
+  });
+});
+
+test("numbers typed one digit per cell or in the cell below the label are read whole", () => {
+  const result = extract("", [[
+    ["Candidate No.", "0", "0", "4", "2"],
+    ["Centre No.", "", "", "", ""],
+    ["12345", "", "", "", ""]
+  ]]);
+
+  assert.strictEqual(result.CandidateNo, "0042");
+  assert.strictEqual(result.CentreNo, "12345");
+  assert.strictEqual(result.Confidence, "HIGH");
+});
+
+test("labels in the text are used when the tables don't have them", () => {
+  const result = extract("Candidate No: 0 0 4 2\nCentre Number\n\n12345\nSigned: J Smith", [[["Name", "Jane Smith"]]]);
+
+  assert.strictEqual(result.CandidateNo, "0042");
+  assert.strictEqual(result.CentreNo, "12345");
+  assert.strictEqual(result.Confidence, "HIGH");
+});
+
+test("a label with no number doesn't borrow the next field's number", () => {
+  const result = extract("Candidate Number: Centre Number: 12345");
+
+  assert.strictEqual(result.CentreNo, "12345");
+  assert.strictEqual(result.Sources.CandidateNo, null);
+  assert.strictEqual(result.Confidence, "NONE");
+});
+
+test("an unlabelled number is guessed with low confidence, skipping years", () => {
+  const result = extract("Coursework 2024\nI declare this is my own work. 0042\nCentre Number: 12345");
+
+  assert.strictEqual(result.CandidateNo, "0042");
+  assert.deepStrictEqual(result.Sources, { CandidateNo: "pattern", CentreNo: "label" });
+  assert.strictEqual(result.Confidence, "LOW");
+});
+
+test("a year is only guessed when there's no other number", () => {
+  assert.strictEqual(extract("Submitted 2024\nCentre Number: 12345").CandidateNo, "2024");
+});
+
+test("low-confidence number checks are highlighted like warnings", () => {
+  const scripts = loadScripts();
+  const checks = scripts.get("DeclarationProcessor").NUMBER_CHECK;
+  const colours = scripts.get("SpreadsheetManager").STATUS_COLOURS;
+
+  assert.ok(colours[checks.LOW_CONFIDENCE]);
+  assert.ok(colours[checks.MISSING] && colours[checks.MISMATCH]);
+});
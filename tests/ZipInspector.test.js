@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { loadScripts, fakeFile } = require("./helpers");
+
+/*
+ * The fixtures are real zips. encrypted.zip was made with Info-ZIP's `zip -P`, and the rest with Python's
+ * zipfile module. zip64.zip was written with zipfile's ZIP64 limits lowered, so that it has the same ZIP64
+ * records and extra fields as an archive over 4 GB without being one.
+ */
+const FIXTURES = path.join(__dirname, "fixtures");
+
+/**
+ * Reads a fixture zip's bytes
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+const ZipInspector = loadScripts().get("ZipInspector");
+
+/**
+ * Inspects a fixture as though it were a zip in Drive
+ */
+function inspectFixture(name) {
+  return new ZipInspector().inspect(fakeFile(name, "application/zip", { bytes: fixture(name) }));
+}
+
+test("readEntries reads an empty zip as having no entries", () => {
+  assert.deepStrictEqual(Array.from(ZipInspector.readEntries(fixture("empty.zip"))), []);
+  assert.strictEqual(inspectFixture("empty.zip").status, ZipInspector.STATUS.EMPTY);
+});
+
+test("readEntries marks entries in a password-protected zip as encrypted", () => {
+  const entries = ZipInspector.readEntries(fixture("encrypted.zip"));
+
+  assert.deepStrictEqual(Array.from(entries, entry => [entry.path, entry.size, entry.encrypted]), [
+    ["main.py", 12, true],
+    ["notes.txt", 13, true]
+  ]);
+  assert.strictEqual(inspectFixture("encrypted.zip").status, ZipInspector.STATUS.ENCRYPTED);
+});
+
+test("readEntries decodes names the zip marks as UTF-8", () => {
+  const entries = ZipInspector.readEntries(fixture("utf8-names.zip"));
+
+  assert.deepStrictEqual(Array.from(entries, entry => entry.path), ["Zoë/café.py", "日本/テスト.txt"]);
+  assert.strictEqual(inspectFixture("utf8-names.zip").status, ZipInspector.STATUS.OK);
+});
+
+test("readEntries finds the central directory of a zip with a trailing comment", () => {
+  const entries = ZipInspector.readEntries(fixture("comment.zip"));
+
+  assert.deepStrictEqual(Array.from(entries, entry => [entry.path, entry.size]), [
+    ["src/main.py", 240],
+    ["__MACOSX/src/._main.py", 1]
+  ]);
+  assert.ok(entries[0].compressedSize < entries[0].size);
+
+  const result = inspectFixture("comment.zip");
+  assert.strictEqual(result.status, ZipInspector.STATUS.OK);
+  assert.deepStrictEqual(Array.from(result.entries, entry => entry.path), ["src/main.py"]);
+});
+
+test("readEntries reads the sizes and directory of a ZIP64 archive", () => {
+  const entries = ZipInspector.readEntries(fixture("zip64.zip"));
+
+  assert.deepStrictEqual(Array.from(entries, entry => [entry.path, entry.size, entry.compressedSize]), [
+    ["report.pdf", 96, 96],
+    ["code/main.py", 36, 36]
+  ]);
+  assert.strictEqual(inspectFixture("zip64.zip").status, ZipInspector.STATUS.OK);
+});
+
+test("readEntries returns null for a ZIP64 archive whose ZIP64 record is missing", () => {
+  const bytes = Buffer.from(fixture("zip64.zip"));
+  const locator = bytes.lastIndexOf(Buffer.from([0x50, 0x4b, 0x06, 0x07]));
+  const zip64End = Number(bytes.readBigUInt64LE(locator + 8));
+  bytes.fill(0, zip64End, zip64End + 4);
+
+  assert.strictEqual(ZipInspector.readEntries(bytes), null);
+});
+
+test("inspect reports bytes that aren't a zip, or a cut-off zip, as corrupt", () => {
+  const notAZip = new ZipInspector().inspect(fakeFile("work.zip", "application/zip", { bytes: Buffer.from("Not a zip at all") }));
+  assert.strictEqual(notAZip.status, ZipInspector.STATUS.CORRUPT);
+
+  const truncated = fixture("comment.zip").subarray(0, 100);
+  assert.strictEqual(ZipInspector.readEntries(truncated), null);
+});
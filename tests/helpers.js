@@ -0,0 +1,149 @@
+/**
+ * Loads the project's Apps Script files into a fresh Node `vm` context, as Apps Script does, so that
+ * tests can call the classes with fake services in place of Classroom, Drive and the rest.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Loads every script in the project into a new context
+ * @param {Object} [globals={}] - Fake services and other globals the scripts can see (e.g. `Classroom`)
+ * @returns {Object} The `context` and a `get` function that returns a top-level class or function by name
+ */
+function loadScripts(globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  fs.readdirSync(ROOT)
+    .filter(fileName => fileName.endsWith(".js"))
+    .forEach(fileName => {
+      vm.runInContext(fs.readFileSync(path.join(ROOT, fileName), "utf8"), context, { filename: fileName });
+    });
+
+  // Classes declared at the top level aren't properties of the context, so they are looked up by name
+  return { context, get: name => vm.runInContext(name, context) };
+}
+
+/**
+ * Reads the vendored pdf-lib and hashes it with Node instead of HtmlService and Utilities
+ * (see `PDFMerger.loadPdfLib`)
+ * @type {Object}
+ */
+const pdfLibLoader = {
+  readSource: () => fs.readFileSync(path.join(ROOT, "vendor", "pdf-lib.html"), "utf8"),
+  sha256Hex: content => crypto.createHash("sha256").update(content, "utf8").digest("hex")
+};
+
+/**
+ * Iterates over a list the way Drive's file and folder iterators do
+ */
+function fakeIterator(items) {
+  let index = 0;
+  return { hasNext: () => index < items.length, next: () => items[index++] };
+}
+
+/**
+ * Builds a fake Drive file
+ * @param {string} name - The file name
+ * @param {string} [mimeType="application/pdf"] - The MIME type
+ * @param {Object} [options={}] - The file's `bytes` and `lastUpdated` date
+ * @returns {Object} The file
+ */
+function fakeFile(name, mimeType = "application/pdf", options = {}) {
+  const bytes = options.bytes || [];
+  const file = {
+    id: `${name}#${Math.random().toString(36).slice(2)}`,
+    name: name,
+    mimeType: mimeType,
+    trashed: false,
+    lastUpdated: options.lastUpdated || new Date(2024, 0, 1),
+    getId: () => file.id,
+    getName: () => file.name,
+    setName: newName => { file.name = newName; return file; },
+    getMimeType: () => file.mimeType,
+    getLastUpdated: () => file.lastUpdated,
+    getSize: () => bytes.length,
+    getUrl: () => `https://drive.google.com/file/d/${file.id}`,
+    getBlob: () => fakeBlob(bytes, file.mimeType, file.name),
+    setTrashed: trashed => { file.trashed = trashed; return file; },
+    isTrashed: () => file.trashed,
+    makeCopy: (newName, folder) => folder.addFile(fakeFile(newName, file.mimeType, options))
+  };
+  return file;
+}
+
+/**
+ * Builds a fake blob
+ */
+function fakeBlob(bytes, contentType, name) {
+  const blob = {
+    getBytes: () => Array.from(bytes),
+    getContentType: () => contentType,
+    getName: () => name,
+    setName: newName => { name = newName; return blob; }
+  };
+  return blob;
+}
+
+/**
+ * Builds a fake Drive folder. Trashed files and folders aren't listed.
+ * @param {string} name - The folder name
+ * @returns {Object} The folder, with `files` and `folders` arrays of everything it holds
+ */
+function fakeFolder(name) {
+  const folder = {
+    name: name,
+    files: [],
+    folders: [],
+    trashed: false,
+    getId: () => `folder:${name}`,
+    getName: () => folder.name,
+    setTrashed: trashed => { folder.trashed = trashed; return folder; },
+    addFile: file => { folder.files.push(file); return file; },
+    listFiles: () => folder.files.filter(file => !file.trashed),
+    getFiles: () => fakeIterator(folder.listFiles()),
+    getFilesByName: fileName => fakeIterator(folder.listFiles().filter(file => file.getName() === fileName)),
+    getFolders: () => fakeIterator(folder.folders.filter(child => !child.trashed)),
+    getFoldersByName: folderName => fakeIterator(folder.folders.filter(child => !child.trashed && child.name === folderName)),
+    createFolder: folderName => {
+      const child = fakeFolder(folderName);
+      folder.folders.push(child);
+      return child;
+    },
+    createFile: blob => folder.addFile(fakeFile(blob.getName(), blob.getContentType(), { bytes: blob.getBytes() }))
+  };
+  return folder;
+}
+
+/**
+ * Builds a fake SpreadsheetApp with no sheets, whose UI answers every alert with the given button, or with
+ * no UI at all (as when a script runs from a trigger)
+ * @param {string|null} answer - "YES", "NO" or "OK", or null for no UI
+ * @returns {Object} The fake SpreadsheetApp, with an `alerts` array of the alerts shown
+ */
+function fakeSpreadsheetApp(answer) {
+  const alerts = [];
+  const ui = {
+    Button: { YES: "YES", NO: "NO", OK: "OK", CANCEL: "CANCEL" },
+    ButtonSet: { YES_NO: "YES_NO", OK: "OK", OK_CANCEL: "OK_CANCEL" },
+    alert: (...args) => {
+      alerts.push(args);
+      return answer;
+    }
+  };
+  return {
+    alerts: alerts,
+    // No sheets, so the defaults (such as the WJEC naming convention) are used
+    getActiveSpreadsheet: () => ({ getSheetByName: () => null }),
+    getUi: () => {
+      if (!answer) {
+        throw new Error("Cannot call SpreadsheetApp.getUi() from this context.");
+      }
+      return ui;
+    }
+  };
+}
+
+module.exports = { ROOT, loadScripts, pdfLibLoader, fakeFile, fakeBlob, fakeFolder, fakeSpreadsheetApp };